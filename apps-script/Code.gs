@@ -0,0 +1,780 @@
+// Google Apps Script backend for the Print Hub.
+// Deploy as a web app (Execute as: me, Access: anyone) and put the /exec URL in
+// VITE_SHEETS_ENDPOINT.
+//
+// Protocol:
+//   GET  ?method=GET&collection=requests -> { ok: true, rows: [...], version }
+//   GET  ?format=ics                     -> iCalendar feed of request due dates
+//   POST text/plain JSON body            -> { ok: true, row, version } | { ok: false, error }
+//     { ...row, collection }                          create (upserts by id)
+//     { action: "update", collection, id, changes, updatedAt }
+//     { action: "batch", collection, updates: [{ id, changes, updatedAt }] } -> { ok, rows, version }
+//     { action: "createMany", collection, records: [row] }  (upserts each by id) -> { ok, rows, version }
+//     { action: "delete", collection, id }
+//     { action: "attach", collection, id, attachment: { id, name, type, data (base64), ... } }
+//     { action: "comment", collection, id, comment: { id, author, body, internal, createdAt } }
+//     { action: "notify", event: "created" | "status" | "comment", id, commentId }  -> { ok, rows }
+//     { action: "notify", resend: <delivery id> }   (that channel again, for a failed one)
+//     { action: "notify", event: "test" }            (the webhook only, not logged)
+//       Only the event and the request travel: the recipient (the request's
+//       requesterEmail), the rules (the "notifications" settings row) and the
+//       message come from here, and the webhook and the app link from the script
+//       properties `webhookUrl` and `appUrl`. Every delivery is logged in the
+//       Deliveries tab, and a channel that delivered an event isn't sent it again.
+//       Authorise UrlFetchApp and MailApp once from the editor before using these.
+// `collection` picks the tab ("requests" when omitted, "printers", "history", "settings"
+// or "deliveries", which is read-only from the app).
+// The client sends text/plain so the browser skips the CORS preflight, which
+// Apps Script can't answer; ContentService replies are readable cross-origin.
+
+var COLLECTIONS = {
+  requests: {
+    sheet: "Requests",
+    columns: [
+      "id",
+      "createdAt",
+      "updatedAt",
+      "version",
+      "name",
+      "requesterEmail",
+      "requesterTeam",
+      "description",
+      "dueDate",
+      "priority",
+      "status",
+      "statusReason",
+      "devNotes",
+      "pinned",
+      "printerId",
+      "material",
+      "color",
+      "quantity",
+      "infill",
+      "layerHeight",
+      "supports",
+      "estimateGrams",
+      "estimateVolume",
+      "estimateHours",
+      "fitCheck",
+      "boardRank",
+      "deletedAt",
+      "attachments",
+      "comments",
+    ],
+    json: ["fitCheck", "attachments", "comments"],
+  },
+  printers: {
+    sheet: "Printers",
+    columns: [
+      "id",
+      "createdAt",
+      "updatedAt",
+      "version",
+      "name",
+      "model",
+      "buildX",
+      "buildY",
+      "buildZ",
+      "nozzle",
+      "material",
+      "status",
+      "workHours",
+    ],
+    json: ["workHours"],
+  },
+  // Append-only audit trail of request changes
+  history: {
+    sheet: "History",
+    columns: ["id", "createdAt", "updatedAt", "version", "requestId", "type", "field", "from", "to", "actor"],
+    // Old and new values of any field: text, numbers, flags or lists
+    json: ["from", "to"],
+  },
+  // Configuration shared by everyone using the app, one row per setting (e.g. "pipeline")
+  settings: {
+    sheet: "Settings",
+    columns: ["id", "createdAt", "updatedAt", "version", "value"],
+    json: ["value"],
+  },
+  // Notifications sent (or tried), written by notify_ only
+  deliveries: {
+    sheet: "Deliveries",
+    columns: [
+      "id",
+      "createdAt",
+      "updatedAt",
+      "version",
+      "requestId",
+      "event",
+      "channel",
+      "target",
+      "ok",
+      "error",
+      "key",
+    ],
+  },
+};
+
+function doGet(e) {
+  if (e && e.parameter && e.parameter.format === "ics") {
+    return ContentService.createTextOutput(
+      calendar_(readRows_(collectionSheet_("requests")), kindOf_())
+    ).setMimeType(ContentService.MimeType.ICAL);
+  }
+  return handle_(function () {
+    var sheet = collectionSheet_(e && e.parameter && e.parameter.collection);
+    return { ok: true, rows: readRows_(sheet), version: sheetVersion_() };
+  });
+}
+
+function doPost(e) {
+  return handle_(function () {
+    var payload = JSON.parse((e && e.postData && e.postData.contents) || "{}");
+    if (payload.collection === "deliveries") throw new Error("The delivery log is written by the script only");
+    // Notifications take the lock only around the delivery log, never while sending
+    if (payload.action === "notify") return notify_(payload);
+    return withLock_(function () {
+      return dispatch_(payload);
+    });
+  });
+}
+
+function withLock_(fn) {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    return fn();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function dispatch_(payload) {
+  var action = payload.action || "create";
+  var sheet = collectionSheet_(payload.collection);
+
+  if (action === "create") {
+    if (!payload.id) throw new Error("Missing id");
+    var record = Object.assign({}, payload);
+    delete record.action;
+    delete record.collection;
+    return ok_(upsert_(sheet, record));
+  }
+
+  // Imports: every record is upserted under the one lock, as a single write
+  if (action === "createMany") {
+    var records = payload.records || [];
+    records.forEach(function (r) {
+      if (!r.id) throw new Error("Missing id");
+    });
+    var created = records.map(function (r) {
+      return upsert_(sheet, r);
+    });
+    bumpVersion_();
+    return { ok: true, rows: created, version: sheetVersion_() };
+  }
+
+  if (action === "update") {
+    var found = findRow_(sheet, payload.id);
+    if (!found) throw new Error("No request with id " + payload.id);
+    return ok_(applyUpdate_(sheet, found, payload.changes, payload.updatedAt));
+  }
+
+  // Several updates under the one lock; every id is checked before anything is written
+  if (action === "batch") {
+    var targets = (payload.updates || []).map(function (u) {
+      var hit = findRow_(sheet, u.id);
+      if (!hit) throw new Error("No request with id " + u.id);
+      return hit;
+    });
+    var rows = (payload.updates || []).map(function (u, i) {
+      return applyUpdate_(sheet, targets[i], u.changes, u.updatedAt);
+    });
+    bumpVersion_();
+    return { ok: true, rows: rows, version: sheetVersion_() };
+  }
+
+  if (action === "attach") {
+    var owner = findRow_(sheet, payload.id);
+    if (!owner) throw new Error("No request with id " + payload.id);
+    var file = saveFile_(payload.attachment);
+    var meta = Object.assign({}, payload.attachment, { url: file.getUrl(), uploaded: true });
+    delete meta.data;
+    var list = (owner.row.attachments || []).filter(function (a) {
+      return a.id !== meta.id;
+    });
+    list.push(meta);
+    var attached = Object.assign({}, owner.row, {
+      attachments: list,
+      version: Number(owner.row.version || 0) + 1,
+    });
+    writeRow_(sheet, attached, owner.index);
+    return ok_(attached);
+  }
+
+  // Appended under the lock so two people commenting at once both land
+  if (action === "comment") {
+    var thread = findRow_(sheet, payload.id);
+    if (!thread) throw new Error("No request with id " + payload.id);
+    var comments = (thread.row.comments || []).filter(function (c) {
+      return c.id !== payload.comment.id;
+    });
+    comments.push(payload.comment);
+    var commented = Object.assign({}, thread.row, {
+      comments: comments,
+      version: Number(thread.row.version || 0) + 1,
+    });
+    writeRow_(sheet, commented, thread.index);
+    return ok_(commented);
+  }
+
+  if (action === "delete") {
+    var target = findRow_(sheet, payload.id);
+    if (target) sheet.deleteRow(target.index);
+    bumpVersion_();
+    return { ok: true, row: null, version: sheetVersion_() };
+  }
+
+  throw new Error("Unknown action " + action);
+}
+
+// ---------- helpers ----------
+
+var ATTACHMENT_FOLDER = "Print Hub attachments";
+
+function upsert_(sheet, record) {
+  var existing = findRow_(sheet, record.id);
+  var row = Object.assign({}, existing ? existing.row : {}, record, {
+    version: existing ? Number(existing.row.version || 0) + 1 : 1,
+  });
+  writeRow_(sheet, row, existing && existing.index);
+  return row;
+}
+
+function applyUpdate_(sheet, found, changes, updatedAt) {
+  changes = changes || {};
+  if (changes.attachments) changes.attachments = keepUploads_(changes.attachments, found.row.attachments);
+  var updated = Object.assign({}, found.row, changes, {
+    updatedAt: updatedAt || new Date().toISOString(),
+    version: Number(found.row.version || 0) + 1,
+  });
+  writeRow_(sheet, updated, found.index);
+  return updated;
+}
+
+function saveFile_(attachment) {
+  var folders = DriveApp.getFoldersByName(ATTACHMENT_FOLDER);
+  var folder = folders.hasNext() ? folders.next() : DriveApp.createFolder(ATTACHMENT_FOLDER);
+  var blob = Utilities.newBlob(
+    Utilities.base64Decode(attachment.data),
+    attachment.type || "application/octet-stream",
+    attachment.name
+  );
+  return folder.createFile(blob);
+}
+
+// An attachments list from the app may predate an upload finishing; keep the
+// Drive links the sheet already has for the same files
+function keepUploads_(incoming, existing) {
+  var byId = {};
+  (existing || []).forEach(function (a) {
+    byId[a.id] = a;
+  });
+  return incoming.map(function (a) {
+    var known = byId[a.id];
+    return known && known.url && !a.url ? Object.assign({}, a, { url: known.url, uploaded: true }) : a;
+  });
+}
+
+function handle_(fn) {
+  var out;
+  try {
+    out = fn();
+  } catch (err) {
+    out = { ok: false, error: String((err && err.message) || err) };
+  }
+  return ContentService.createTextOutput(JSON.stringify(out)).setMimeType(
+    ContentService.MimeType.JSON
+  );
+}
+
+function ok_(row) {
+  bumpVersion_();
+  return { ok: true, row: row, version: sheetVersion_() };
+}
+
+function collectionSheet_(name) {
+  var config = COLLECTIONS[name || "requests"];
+  if (!config) throw new Error("Unknown collection " + name);
+  return sheet_(config.sheet, config.columns);
+}
+
+function sheet_(name, columns) {
+  var book = SpreadsheetApp.getActiveSpreadsheet();
+  var sheet = book.getSheetByName(name) || book.insertSheet(name);
+  if (sheet.getLastRow() === 0) sheet.appendRow(columns);
+  return sheet;
+}
+
+function headers_(sheet) {
+  return sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+}
+
+// New fields from the app get their own column instead of being dropped
+function ensureColumns_(sheet, keys) {
+  var headers = headers_(sheet);
+  keys.forEach(function (k) {
+    if (headers.indexOf(k) === -1) {
+      headers.push(k);
+      sheet.getRange(1, headers.length).setValue(k);
+    }
+  });
+  return headers;
+}
+
+// Only a collection's `json` columns hold encoded values; there everything is
+// written as JSON, so free text that happens to start with "[" or "{" stays text.
+function jsonColumns_(sheet) {
+  var name = sheet.getName();
+  var key = Object.keys(COLLECTIONS).filter(function (k) {
+    return COLLECTIONS[k].sheet === name;
+  })[0];
+  return key ? COLLECTIONS[key].json || [] : [];
+}
+
+function toCell_(v, json) {
+  if (v === null || v === undefined) return "";
+  if (json || typeof v === "object") return JSON.stringify(v);
+  return v;
+}
+
+function fromCell_(v, json) {
+  if (v instanceof Date) return v.toISOString();
+  if (json && typeof v === "string" && v !== "") {
+    try {
+      return JSON.parse(v);
+    } catch (e) {
+      // written before the column was encoded
+      return v;
+    }
+  }
+  return v;
+}
+
+function readRows_(sheet) {
+  if (sheet.getLastRow() < 2) return [];
+  var headers = headers_(sheet);
+  var json = jsonColumns_(sheet);
+  return sheet
+    .getRange(2, 1, sheet.getLastRow() - 1, headers.length)
+    .getValues()
+    .map(function (values) {
+      var row = {};
+      headers.forEach(function (h, i) {
+        row[h] = fromCell_(values[i], json.indexOf(h) !== -1);
+      });
+      return row;
+    });
+}
+
+function findRow_(sheet, id) {
+  var rows = readRows_(sheet);
+  for (var i = 0; i < rows.length; i++) {
+    if (String(rows[i].id) === String(id)) return { row: rows[i], index: i + 2 };
+  }
+  return null;
+}
+
+function writeRow_(sheet, row, index) {
+  var headers = ensureColumns_(sheet, Object.keys(row));
+  var json = jsonColumns_(sheet);
+  var values = headers.map(function (h) {
+    return toCell_(row[h], json.indexOf(h) !== -1);
+  });
+  if (index) sheet.getRange(index, 1, 1, values.length).setValues([values]);
+  else sheet.appendRow(values);
+}
+
+function sheetVersion_() {
+  return Number(PropertiesService.getScriptProperties().getProperty("version") || 0);
+}
+
+function bumpVersion_() {
+  PropertiesService.getScriptProperties().setProperty("version", String(sheetVersion_() + 1));
+}
+
+// Statuses no longer in the pipeline keep a kind, as in kindFor() in src/pipeline.js
+var LEGACY_KINDS = { "In Progress": "printing", Done: "done", Archived: "archived" };
+
+// status -> kind ("waiting", "printing", "finished", "done" or "archived") from
+// the shared pipeline in the Settings tab
+function kindOf_() {
+  var found = findRow_(collectionSheet_("settings"), "pipeline");
+  var statuses = (found && found.row.value && found.row.value.statuses) || [];
+  var kinds = {};
+  statuses.forEach(function (s) {
+    kinds[s.name] = s.kind;
+  });
+  return function (status) {
+    return kinds[status] || LEGACY_KINDS[status] || "waiting";
+  };
+}
+
+// Same feed as toIcs() in src/calendar.js: one all-day event per dated request,
+// leaving out archived ones
+function calendar_(rows, kindOf) {
+  var esc = function (v) {
+    return String(v == null ? "" : v)
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+  };
+  var day = function (d) {
+    return Utilities.formatDate(d, Session.getScriptTimeZone(), "yyyyMMdd");
+  };
+  var lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//LIVEWIRE//Print Hub//EN",
+    "CALSCALE:GREGORIAN",
+    "X-WR-CALNAME:Print deadlines",
+  ];
+  rows.forEach(function (r) {
+    if (!r.dueDate || kindOf(r.status) === "archived") return;
+    var parts = String(r.dueDate).slice(0, 10).split("-");
+    var start = new Date(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2]));
+    var end = new Date(start.getTime());
+    end.setDate(end.getDate() + 1);
+    var stamp = new Date(r.updatedAt || r.createdAt || Date.now())
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace(/\.\d+/, "");
+    lines.push(
+      "BEGIN:VEVENT",
+      "UID:" + r.id + "@print-inbox",
+      "DTSTAMP:" + stamp,
+      "DTSTART;VALUE=DATE:" + day(start),
+      "DTEND;VALUE=DATE:" + day(end),
+      "SUMMARY:" + esc((kindOf(r.status) === "done" ? "Done: " : "Due: ") + r.name),
+      "DESCRIPTION:" + esc(r.priority + " priority, " + r.status + "\n\n" + (r.description || "")),
+      "END:VEVENT"
+    );
+  });
+  lines.push("END:VCALENDAR");
+  return lines.join("\r\n") + "\r\n";
+}
+
+// ---------- notifications ----------
+// The app only names an event and a request; everything sent is built here. The
+// message helpers (summarize_, render_, webhookBody_, deliveryKey_, deliveriesFor_)
+// are mirrored in src/notify.js for the mock server; `npm run check:notify` compares them.
+
+var NOTIFY_EVENTS = ["created", "status", "comment", "overdue"];
+
+var DEFAULT_RULES = {
+  format: "slack",
+  events: { created: true, status: true, overdue: false, comment: false },
+  statuses: [],
+  email: {
+    enabled: false,
+    subject: "Your print request: {{status}}",
+    body: "Hi {{name}},\n\n{{summary}}\n\n{{description}}\n\nOpen it here: {{link}}",
+  },
+};
+
+var WEBHOOK_FIELDS = [
+  "id",
+  "name",
+  "requesterEmail",
+  "requesterTeam",
+  "description",
+  "status",
+  "statusReason",
+  "priority",
+  "dueDate",
+  "printerId",
+  "material",
+  "color",
+  "quantity",
+  "createdAt",
+  "updatedAt",
+];
+
+function notify_(payload) {
+  var webhookUrl = PropertiesService.getScriptProperties().getProperty("webhookUrl") || "";
+  var rules = notifyRules_();
+
+  if (payload.event === "test") {
+    if (!webhookUrl) throw new Error("Set the webhookUrl script property first");
+    var test = send_({ channel: "webhook", url: webhookUrl, body: webhookBody_(rules.format, { type: "test" }) });
+    return { ok: true, rows: [{ channel: "webhook", target: "webhook", ok: test.ok, error: test.error || "" }] };
+  }
+
+  if (payload.resend) {
+    var entry = findRow_(collectionSheet_("deliveries"), payload.resend);
+    if (!entry) throw new Error("No delivery with id " + payload.resend);
+    var commentId = String(entry.row.key).indexOf("comment:") === 0 ? String(entry.row.key).slice(8) : "";
+    var again = notifyEvent_(entry.row.event, requestRow_(entry.row.requestId), commentId);
+    return { ok: true, rows: again ? deliver_(again, rules, webhookUrl, entry.row.channel, entry.row.key) : [] };
+  }
+
+  if (NOTIFY_EVENTS.indexOf(payload.event) === -1) throw new Error("Unknown event " + payload.event);
+  var row = requestRow_(payload.id);
+  if (payload.event === "overdue" && !isOverdue_(row, kindOf_())) return { ok: true, rows: [] };
+  var event = notifyEvent_(payload.event, row, payload.commentId);
+  if (!event || !wantsEvent_(rules, event)) return { ok: true, rows: [] };
+  return { ok: true, rows: deliver_(event, rules, webhookUrl) };
+}
+
+// Overdue notices, once per request and due date. Run this from a time-driven
+// trigger (hourly is plenty); nothing goes out unless the rules ask for them.
+function notifyOverdue() {
+  var rules = notifyRules_();
+  if (!rules.events.overdue) return;
+  var webhookUrl = PropertiesService.getScriptProperties().getProperty("webhookUrl") || "";
+  var kindOf = kindOf_();
+  readRows_(collectionSheet_("requests")).forEach(function (r) {
+    if (isOverdue_(r, kindOf)) deliver_(notifyEvent_("overdue", r), rules, webhookUrl);
+  });
+}
+
+// The shared rules as saved from the app, with defaults for anything missing
+function notifyRules_() {
+  var found = findRow_(collectionSheet_("settings"), "notifications");
+  var saved = (found && found.row.value) || {};
+  return {
+    format: saved.format || DEFAULT_RULES.format,
+    events: Object.assign({}, DEFAULT_RULES.events, saved.events),
+    statuses: saved.statuses || [],
+    email: Object.assign({}, DEFAULT_RULES.email, saved.email),
+  };
+}
+
+function requestRow_(id) {
+  var found = findRow_(collectionSheet_("requests"), id);
+  if (!found) throw new Error("No request with id " + id);
+  return found.row;
+}
+
+// Everything a message is built from, or null when there is nothing to send
+// (the comment is an internal note, or gone)
+function notifyEvent_(type, r, commentId) {
+  var appUrl = PropertiesService.getScriptProperties().getProperty("appUrl") || "";
+  var event = {
+    type: type,
+    request: r,
+    at: new Date().toISOString(),
+    link: appUrl ? appUrl + "?request=" + encodeURIComponent(r.id) : "",
+  };
+  if (type === "status") event.from = previousStatus_(r);
+  if (type === "comment") {
+    event.comment = (r.comments || []).filter(function (c) {
+      return c.id === commentId && !c.internal;
+    })[0];
+    if (!event.comment) return null;
+  }
+  return event;
+}
+
+// Where the request's latest move into its current status came from, per the History tab
+function previousStatus_(r) {
+  var moves = readRows_(collectionSheet_("history")).filter(function (h) {
+    return h.requestId === r.id && h.field === "status" && h.to === r.status;
+  });
+  return moves.length ? moves[moves.length - 1].from : "";
+}
+
+function isOverdue_(r, kindOf) {
+  if (!r.dueDate || r.deletedAt) return false;
+  var kind = kindOf(r.status);
+  if (kind === "done" || kind === "archived") return false;
+  return String(r.dueDate).slice(0, 10) < Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy-MM-dd");
+}
+
+function wantsEvent_(rules, event) {
+  if (!rules.events[event.type]) return false;
+  if (event.type === "status" && rules.statuses.length) return rules.statuses.indexOf(event.request.status) !== -1;
+  return true;
+}
+
+// Names one occurrence of an event, so retries and resends don't repeat a delivery
+function deliveryKey_(event) {
+  var r = event.request;
+  if (event.type === "status") return "status:" + r.status + ":" + r.updatedAt;
+  if (event.type === "overdue") return "overdue:" + r.dueDate;
+  if (event.type === "comment") return "comment:" + event.comment.id;
+  return event.type;
+}
+
+// Sends on each channel the rules call for (or just `onlyChannel`), skipping one
+// that already delivered this event, and logs every attempt in the Deliveries tab.
+// The lock is held while the log is read and written, not while mail and webhooks
+// go out, so a slow webhook doesn't hold up every other write.
+function deliver_(event, rules, webhookUrl, onlyChannel, key) {
+  key = key || deliveryKey_(event);
+  var pending = withLock_(function () {
+    var delivered = readRows_(collectionSheet_("deliveries")).filter(function (d) {
+      return d.requestId === event.request.id && d.key === key && d.ok === true;
+    });
+    return deliveriesFor_(rules, event, webhookUrl).filter(function (d) {
+      if (onlyChannel && d.channel !== onlyChannel) return false;
+      return !delivered.some(function (s) {
+        return s.channel === d.channel;
+      });
+    });
+  });
+  var rows = pending.map(function (d) {
+    var result = send_(d.message);
+    var now = new Date().toISOString();
+    return {
+      id: Utilities.getUuid(),
+      createdAt: now,
+      updatedAt: now,
+      version: 1,
+      requestId: event.request.id,
+      event: event.type,
+      channel: d.channel,
+      target: d.target,
+      ok: result.ok,
+      error: result.error || "",
+      key: key,
+    };
+  });
+  if (!rows.length) return rows;
+  withLock_(function () {
+    var log = collectionSheet_("deliveries");
+    rows.forEach(function (row) {
+      writeRow_(log, row);
+    });
+    bumpVersion_();
+  });
+  return rows;
+}
+
+// The webhook is logged by name only; its URL stays in the script properties
+function deliveriesFor_(rules, event, webhookUrl) {
+  var out = [];
+  if (webhookUrl) {
+    out.push({
+      channel: "webhook",
+      target: "webhook",
+      message: { channel: "webhook", url: webhookUrl, body: webhookBody_(rules.format, event) },
+    });
+  }
+  var to = event.request.requesterEmail;
+  if (rules.email.enabled && to) {
+    out.push({
+      channel: "email",
+      target: to,
+      message: {
+        channel: "email",
+        to: to,
+        subject: render_(rules.email.subject, event),
+        body: render_(rules.email.body, event),
+      },
+    });
+  }
+  return out;
+}
+
+function send_(m) {
+  try {
+    if (m.channel === "email") {
+      MailApp.sendEmail(m.to, m.subject || "Print request", m.body || "");
+      return { ok: true };
+    }
+    var res = UrlFetchApp.fetch(m.url, {
+      method: "post",
+      contentType: "application/json",
+      payload: JSON.stringify(m.body || {}),
+      muteHttpExceptions: true,
+    });
+    var code = res.getResponseCode();
+    return code < 300 ? { ok: true } : { ok: false, error: "Webhook answered HTTP " + code };
+  } catch (err) {
+    return { ok: false, error: String((err && err.message) || err) };
+  }
+}
+
+function dayOf_(iso) {
+  return iso ? String(iso).slice(0, 10) : "no due date";
+}
+
+function summarize_(event) {
+  var r = event.request;
+  if (event.type === "test") return "Test notification from the Print Hub";
+  if (event.type === "created") return "New print request from " + r.name + ": " + r.description;
+  if (event.type === "status") {
+    if (!event.from) return r.name + "'s request is now " + r.status;
+    return r.name + "'s request moved from " + event.from + " to " + r.status;
+  }
+  if (event.type === "overdue") {
+    return r.name + "'s request is overdue (due " + dayOf_(r.dueDate) + ", " + r.status + ")";
+  }
+  if (event.type === "comment") {
+    return event.comment.author + " commented on " + r.name + "'s request: " + event.comment.body;
+  }
+  return r.name + "'s request was updated";
+}
+
+function render_(template, event) {
+  var r = event.request;
+  var values = {
+    summary: summarize_(event),
+    name: r.name,
+    status: r.status,
+    from: event.from || "",
+    description: r.description,
+    dueDate: r.dueDate ? dayOf_(r.dueDate) : "",
+    comment: event.comment ? event.comment.body : "",
+    link: event.link || "",
+  };
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, function (_, key) {
+    return values[key] == null ? "" : values[key];
+  });
+}
+
+function webhookBody_(format, event) {
+  var text = event.link ? summarize_(event) + "\n" + event.link : summarize_(event);
+  if (format === "discord") return { content: text };
+  if (format === "json") {
+    var request = {};
+    WEBHOOK_FIELDS.forEach(function (k) {
+      request[k] = event.request && event.request[k] != null ? event.request[k] : "";
+    });
+    return {
+      event: event.type,
+      text: text,
+      at: event.at,
+      from: event.from,
+      comment: event.comment,
+      link: event.link,
+      request: request,
+    };
+  }
+  return { text: text };
+}
+
+// Trashed requests (deletedAt set) are removed after this many days. The app
+// purges them too; run this from a daily time-driven trigger so the sheet stays
+// tidy even when nobody has the app open.
+var TRASH_RETENTION_DAYS = 30;
+
+function purgeTrash() {
+  var lock = LockService.getScriptLock();
+  lock.waitLock(10000);
+  try {
+    var sheet = collectionSheet_("requests");
+    var cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 3600 * 1000;
+    var expired = readRows_(sheet).filter(function (r) {
+      return r.deletedAt && new Date(r.deletedAt).getTime() <= cutoff;
+    });
+    expired.forEach(function (r) {
+      var found = findRow_(sheet, r.id);
+      if (found) sheet.deleteRow(found.index);
+    });
+    if (expired.length) bumpVersion_();
+  } finally {
+    lock.releaseLock();
+  }
+}
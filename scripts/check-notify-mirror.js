@@ -0,0 +1,112 @@
+// Checks that src/notify.js still renders notifications exactly like apps-script/Code.gs.
+// Code.gs is what sends them; notify.js mirrors its message helpers for the mock server
+// and the settings screen. Both are run on the same sample events and compared:
+//
+//   npm run check:notify
+//
+// Code.gs is loaded into a sandbox with nothing but its own top-level declarations, so
+// only helpers that don't touch the Apps Script services can be compared here.
+
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import vm from "node:vm";
+import {
+  defaultNotifySettings,
+  deliveriesFor,
+  deliveryKey,
+  notifyEvents,
+  renderTemplate,
+  summarize,
+  wantsEvent,
+  webhookBody,
+} from "../src/notify.js";
+
+const source = readFileSync(fileURLToPath(new URL("../apps-script/Code.gs", import.meta.url)), "utf8");
+const gs = vm.createContext({});
+vm.runInContext(source, gs);
+
+const request = {
+  id: "r1",
+  name: "Alex",
+  requesterEmail: "alex@example.com",
+  requesterTeam: "Design",
+  description: "Bracket for the rig",
+  status: "Printing",
+  priority: "High",
+  dueDate: "2026-10-19T00:00:00.000Z",
+  quantity: 2,
+  comments: [],
+  createdAt: "2026-10-01T09:00:00.000Z",
+  updatedAt: "2026-10-02T10:30:00.000Z",
+};
+const at = "2026-10-02T10:30:01.000Z";
+const link = "https://example.com/app?request=r1";
+const comment = { id: "c1", author: "Sam", body: "Can it be red?", internal: false };
+
+const events = [
+  { type: "test" },
+  { type: "created", request, at, link },
+  { type: "created", request: { ...request, requesterEmail: "" }, at, link: "" },
+  { type: "status", request, at, link, from: "Queued" },
+  { type: "status", request, at, link, from: "" },
+  { type: "overdue", request, at, link },
+  { type: "overdue", request: { ...request, dueDate: "" }, at, link },
+  { type: "comment", request, at, link, comment },
+];
+
+const rules = [
+  defaultNotifySettings,
+  {
+    ...defaultNotifySettings,
+    format: "json",
+    statuses: ["Printing"],
+    email: {
+      enabled: true,
+      subject: "{{ status }}: {{name}}",
+      body: "{{summary}} / {{from}} / {{dueDate}} / {{nope}}",
+    },
+  },
+  {
+    ...defaultNotifySettings,
+    format: "discord",
+    statuses: ["Done"],
+    events: { ...defaultNotifySettings.events, comment: true },
+  },
+];
+
+// Objects from the sandbox have their own prototypes, so compare them as JSON
+const plain = (v) => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+const failures = [];
+const hook = "https://hooks.example.com/x";
+
+function same(what, mirror, backend) {
+  const a = JSON.stringify(plain(mirror));
+  const b = JSON.stringify(plain(backend));
+  if (a !== b) failures.push(`${what}\n  notify.js: ${a}\n  Code.gs:   ${b}`);
+}
+
+same("default rules", defaultNotifySettings, gs.DEFAULT_RULES);
+same("events", Object.keys(notifyEvents).sort(), [...gs.NOTIFY_EVENTS].sort());
+
+events.forEach((event) => {
+  const name = `${event.type} event${event.from !== undefined ? ` (from "${event.from}")` : ""}`;
+  same(`summary of ${name}`, summarize(event), gs.summarize_(event));
+  if (event.type === "test") {
+    same(`webhook body of ${name}`, webhookBody("slack", event), gs.webhookBody_("slack", event));
+    return;
+  }
+  same(`key of ${name}`, deliveryKey(event), gs.deliveryKey_(event));
+  rules.forEach((r, i) => {
+    same(`rules ${i} want ${name}`, wantsEvent(r, event), gs.wantsEvent_(r, event));
+    same(`rules ${i} webhook body of ${name}`, webhookBody(r.format, event), gs.webhookBody_(r.format, event));
+    same(`rules ${i} email of ${name}`, renderTemplate(r.email.body, event), gs.render_(r.email.body, event));
+    same(`rules ${i} deliveries of ${name}`, deliveriesFor(r, event, hook), gs.deliveriesFor_(r, event, hook));
+    same(`rules ${i} deliveries of ${name}, no webhook`, deliveriesFor(r, event, ""), gs.deliveriesFor_(r, event, ""));
+  });
+});
+
+if (failures.length) {
+  console.error(`src/notify.js and apps-script/Code.gs disagree:\n\n${failures.join("\n\n")}`);
+  process.exit(1);
+}
+console.log("src/notify.js matches apps-script/Code.gs");
@@ -0,0 +1,382 @@
+// Local stand-in for the Apps Script endpoint (apps-script/Code.gs).
+// Speaks the same GET/POST JSON protocol so the app can be exercised offline:
+//
+//   npm run mock:sheet
+//   VITE_SHEETS_ENDPOINT=http://localhost:8787/exec npm run dev
+//
+// The same rows are also served REST-style under /requests, /printers, /history and /settings for
+// the REST adapter:
+//
+//   VITE_STORAGE_ADAPTER=rest VITE_STORAGE_ENDPOINT=http://localhost:8787 npm run dev
+//
+// GET ?format=ics serves the due-date calendar feed, as the Apps Script does.
+//
+// Notifications are sent from here like Code.gs does (the "notify" action, or
+// POST /notify for the REST adapter), with the rules from the settings rows. Webhooks
+// go to MOCK_WEBHOOK_URL, by default the stand-in /webhook endpoint here, which prints
+// what it receives and lists it on GET /webhook; emails are printed instead of sent.
+// Links point at MOCK_APP_URL, and overdue notices are checked once a minute.
+//
+// Rows live in memory. MOCK_FAIL_RATE=0.3 makes that share of writes fail with
+// a 503, MOCK_REJECT=1 rejects every write (ok: false / 422) to check toasts.
+
+import http from "node:http";
+import { randomUUID } from "node:crypto";
+import { dayKey, toIcs } from "../src/calendar.js";
+import {
+  defaultNotifySettings,
+  deliveriesFor,
+  deliveryKey,
+  notifyEvents,
+  sharedNotifySettings,
+  wantsEvent,
+  webhookBody,
+} from "../src/notify.js";
+import { defaultPipeline, isClosedKind, kindFor, sharedPipeline } from "../src/pipeline.js";
+
+const PORT = Number(process.env.PORT || 8787);
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE || 0);
+const REJECT = process.env.MOCK_REJECT === "1";
+const WEBHOOK_URL = process.env.MOCK_WEBHOOK_URL ?? `http://localhost:${PORT}/webhook`;
+const APP_URL = process.env.MOCK_APP_URL ?? "http://localhost:5173/";
+
+const collections = {
+  requests: new Map(),
+  printers: new Map(),
+  history: new Map(),
+  settings: new Map(),
+  deliveries: new Map(),
+};
+const files = new Map();
+const webhooks = [];
+let version = 0;
+
+function rowsOf(name = "requests") {
+  if (!collections[name]) throw new Error(`Unknown collection ${name}`);
+  return collections[name];
+}
+
+const cors = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+function reply(res, status, body) {
+  res.writeHead(status, { ...cors, "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+function store(rows, row) {
+  version += 1;
+  const saved = { ...row, version: (rows.get(row.id)?.version || 0) + 1 };
+  rows.set(row.id, saved);
+  return { ok: true, row: saved, version };
+}
+
+function dispatch(payload) {
+  const action = payload.action || "create";
+  const rows = rowsOf(payload.collection);
+  if (payload.collection === "deliveries") throw new Error("The delivery log is written by the server only");
+
+  if (action === "create") {
+    if (!payload.id) throw new Error("Missing id");
+    const { action: _action, collection: _collection, ...row } = payload;
+    return store(rows, { ...rows.get(row.id), ...row });
+  }
+
+  if (action === "update") {
+    const existing = rows.get(payload.id);
+    if (!existing) throw new Error(`No request with id ${payload.id}`);
+    const changes = { ...payload.changes };
+    // Same as Code.gs: don't lose upload links to an older attachments list
+    if (changes.attachments) {
+      const known = new Map((existing.attachments || []).map((a) => [a.id, a]));
+      changes.attachments = changes.attachments.map((a) =>
+        known.get(a.id)?.url && !a.url ? { ...a, url: known.get(a.id).url, uploaded: true } : a
+      );
+    }
+    return store(rows, {
+      ...existing,
+      ...changes,
+      updatedAt: payload.updatedAt || new Date().toISOString(),
+    });
+  }
+
+  // Imports: several whole records upserted in one write
+  if (action === "createMany") {
+    const records = payload.records || [];
+    if (records.some((r) => !r.id)) throw new Error("Missing id");
+    const saved = records.map((r) => store(rows, { ...rows.get(r.id), ...r }).row);
+    return { ok: true, rows: saved, version };
+  }
+
+  // Several updates in one write; all ids are checked before anything changes
+  if (action === "batch") {
+    const updates = payload.updates || [];
+    const missing = updates.find((u) => !rows.has(u.id));
+    if (missing) throw new Error(`No request with id ${missing.id}`);
+    const saved = updates.map(
+      (u) => dispatch({ action: "update", collection: payload.collection, ...u }).row
+    );
+    return { ok: true, rows: saved, version };
+  }
+
+  if (action === "attach") {
+    const existing = rows.get(payload.id);
+    if (!existing) throw new Error(`No request with id ${payload.id}`);
+    const { data, ...meta } = payload.attachment;
+    files.set(meta.id, { ...meta, bytes: Buffer.from(data || "", "base64") });
+    const entry = { ...meta, url: `http://localhost:${PORT}/files/${meta.id}`, uploaded: true };
+    const attachments = (existing.attachments || []).filter((a) => a.id !== meta.id);
+    return store(rows, { ...existing, attachments: [...attachments, entry] });
+  }
+
+  // Comments are appended one at a time so concurrent ones don't overwrite each other
+  if (action === "comment") {
+    const existing = rows.get(payload.id);
+    if (!existing) throw new Error(`No request with id ${payload.id}`);
+    const comments = (existing.comments || []).filter((c) => c.id !== payload.comment.id);
+    return store(rows, { ...existing, comments: [...comments, payload.comment] });
+  }
+
+  if (action === "delete") {
+    rows.delete(payload.id);
+    version += 1;
+    return { ok: true, row: null, version };
+  }
+
+  throw new Error(`Unknown action ${action}`);
+}
+
+// ---------- notifications, as in Code.gs ----------
+
+const settingRows = () => [...collections.settings.values()];
+const notifyRules = () => sharedNotifySettings(settingRows()) || defaultNotifySettings;
+const currentKindOf = () => kindFor(sharedPipeline(settingRows()) || defaultPipeline);
+
+async function send(message) {
+  if (message.channel === "email") {
+    console.log(`email to ${message.to}: ${message.subject}\n${message.body}`);
+    return { ok: true };
+  }
+  try {
+    const res = await fetch(message.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(message.body || {}),
+    });
+    return res.ok ? { ok: true } : { ok: false, error: `Webhook answered HTTP ${res.status}` };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+// null when there is nothing to send (an internal note, or a comment that's gone)
+function notifyEvent(type, r, commentId) {
+  const event = {
+    type,
+    request: r,
+    at: new Date().toISOString(),
+    link: APP_URL ? `${APP_URL}?request=${encodeURIComponent(r.id)}` : "",
+  };
+  if (type === "status") {
+    const moves = [...collections.history.values()].filter(
+      (h) => h.requestId === r.id && h.field === "status" && h.to === r.status
+    );
+    event.from = moves.at(-1)?.from || "";
+  }
+  if (type === "comment") {
+    event.comment = (r.comments || []).find((c) => c.id === commentId && !c.internal);
+    if (!event.comment) return null;
+  }
+  return event;
+}
+
+const isOverdue = (r, kindOf) =>
+  Boolean(r.dueDate) &&
+  !r.deletedAt &&
+  !isClosedKind(kindOf(r.status)) &&
+  String(r.dueDate).slice(0, 10) < dayKey(new Date());
+
+// Skips channels that already delivered this event, and logs every attempt
+async function deliver(event, onlyChannel, key = deliveryKey(event)) {
+  const log = collections.deliveries;
+  const delivered = [...log.values()].filter((d) => d.requestId === event.request.id && d.key === key && d.ok);
+  const rows = [];
+  for (const d of deliveriesFor(notifyRules(), event, WEBHOOK_URL)) {
+    if (onlyChannel && d.channel !== onlyChannel) continue;
+    if (delivered.some((s) => s.channel === d.channel)) continue;
+    const result = await send(d.message);
+    const now = new Date().toISOString();
+    const entry = {
+      id: randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      requestId: event.request.id,
+      event: event.type,
+      channel: d.channel,
+      target: d.target,
+      ok: result.ok,
+      error: result.error || "",
+      key,
+    };
+    rows.push(store(log, entry).row);
+  }
+  return rows;
+}
+
+async function notify(payload) {
+  if (payload.event === "test") {
+    if (!WEBHOOK_URL) throw new Error("Set MOCK_WEBHOOK_URL first");
+    const body = webhookBody(notifyRules().format, { type: "test" });
+    const result = await send({ channel: "webhook", url: WEBHOOK_URL, body });
+    return { ok: true, rows: [{ channel: "webhook", target: "webhook", ok: result.ok, error: result.error || "" }] };
+  }
+
+  if (payload.resend) {
+    const entry = collections.deliveries.get(payload.resend);
+    if (!entry) throw new Error(`No delivery with id ${payload.resend}`);
+    const r = collections.requests.get(entry.requestId);
+    if (!r) throw new Error(`No request with id ${entry.requestId}`);
+    const commentId = entry.key.startsWith("comment:") ? entry.key.slice(8) : "";
+    const event = notifyEvent(entry.event, r, commentId);
+    return { ok: true, rows: event ? await deliver(event, entry.channel, entry.key) : [] };
+  }
+
+  if (!notifyEvents[payload.event]) throw new Error(`Unknown event ${payload.event}`);
+  const r = collections.requests.get(payload.id);
+  if (!r) throw new Error(`No request with id ${payload.id}`);
+  if (payload.event === "overdue" && !isOverdue(r, currentKindOf())) return { ok: true, rows: [] };
+  const event = notifyEvent(payload.event, r, payload.commentId);
+  if (!event || !wantsEvent(notifyRules(), event)) return { ok: true, rows: [] };
+  return { ok: true, rows: await deliver(event) };
+}
+
+async function notifyOverdue() {
+  if (!notifyRules().events.overdue) return;
+  const kindOf = currentKindOf();
+  for (const r of collections.requests.values()) {
+    if (isOverdue(r, kindOf)) await deliver(notifyEvent("overdue", r));
+  }
+}
+
+// REST routes: /{collection}, /{collection}/batch, /{collection}/bulk, /{collection}/:id
+// and /{collection}/:id/{attachments,comments}
+async function rest(req, res, collection, id, sub) {
+  const rows = rowsOf(collection);
+  if (req.method === "GET" && !id) return reply(res, 200, [...rows.values()]);
+  if (collection === "deliveries") return reply(res, 405, { error: "The delivery log is written by the server only" });
+
+  if (Math.random() < FAIL_RATE) return reply(res, 503, { error: "Simulated outage" });
+  if (REJECT) return reply(res, 422, { error: "Simulated rejection" });
+
+  try {
+    const body = JSON.parse((await readBody(req)) || "{}");
+    if (req.method === "POST" && id === "batch" && !sub) {
+      return reply(res, 200, dispatch({ action: "batch", collection, updates: body.updates }));
+    }
+    if (req.method === "POST" && id === "bulk" && !sub) {
+      return reply(res, 201, dispatch({ action: "createMany", collection, records: body.records }));
+    }
+    if (req.method === "POST" && sub === "attachments") {
+      return reply(res, 201, dispatch({ action: "attach", collection, id, attachment: body }));
+    }
+    if (req.method === "POST" && sub === "comments") {
+      return reply(res, 201, dispatch({ action: "comment", collection, id, comment: body }));
+    }
+    if (req.method === "POST") return reply(res, 201, dispatch({ ...body, collection }));
+    if (req.method === "PATCH") {
+      const { updatedAt, ...changes } = body;
+      return reply(res, 200, dispatch({ action: "update", collection, id, changes, updatedAt }));
+    }
+    if (req.method === "DELETE") {
+      if (!rows.has(id)) return reply(res, 404, { error: "Not found" });
+      return reply(res, 200, dispatch({ action: "delete", collection, id }));
+    }
+    return reply(res, 405, { error: "Method not allowed" });
+  } catch (err) {
+    return reply(res, 404, { error: err.message });
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return reply(res, 204, {});
+
+  const url = new URL(req.url, "http://localhost");
+  const file = url.pathname.match(/^\/files\/([^/]+)$/);
+  if (file && req.method === "GET") {
+    const stored = files.get(decodeURIComponent(file[1]));
+    if (!stored) return reply(res, 404, { error: "Not found" });
+    res.writeHead(200, { ...cors, "Content-Type": stored.type || "application/octet-stream" });
+    return res.end(stored.bytes);
+  }
+
+  if (url.pathname === "/webhook") {
+    if (req.method === "GET") return reply(res, 200, webhooks);
+    const text = await readBody(req);
+    let body = text;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // not JSON; kept as sent
+    }
+    const received = { at: new Date().toISOString(), body };
+    webhooks.push(received);
+    console.log(`webhook ${JSON.stringify(received.body)}`);
+    return reply(res, 200, { ok: true });
+  }
+
+  if (url.pathname === "/notify" && req.method === "POST") {
+    try {
+      return reply(res, 200, await notify(JSON.parse((await readBody(req)) || "{}")));
+    } catch (err) {
+      return reply(res, 422, { error: err.message });
+    }
+  }
+
+  const match = url.pathname.match(/^\/(requests|printers|history|settings|deliveries)(?:\/([^/]+))?(?:\/(attachments|comments))?\/?$/);
+  if (match) return rest(req, res, match[1], match[2] && decodeURIComponent(match[2]), match[3]);
+
+  if (req.method === "GET" && url.searchParams.get("format") === "ics") {
+    res.writeHead(200, { ...cors, "Content-Type": "text/calendar; charset=utf-8" });
+    const pipeline = sharedPipeline([...collections.settings.values()]) || defaultPipeline;
+    return res.end(toIcs([...collections.requests.values()], { kindOf: kindFor(pipeline) }));
+  }
+
+  if (req.method === "GET") {
+    const name = url.searchParams.get("collection") || "requests";
+    if (!collections[name]) return reply(res, 200, { ok: false, error: `Unknown collection ${name}` });
+    return reply(res, 200, { ok: true, rows: [...collections[name].values()], version });
+  }
+
+  if (req.method !== "POST") return reply(res, 405, { ok: false, error: "Method not allowed" });
+
+  if (Math.random() < FAIL_RATE) return reply(res, 503, { ok: false, error: "Simulated outage" });
+  if (REJECT) return reply(res, 200, { ok: false, error: "Simulated rejection" });
+
+  try {
+    const payload = JSON.parse((await readBody(req)) || "{}");
+    if (payload.action === "notify") return reply(res, 200, await notify(payload));
+    const out = dispatch(payload);
+    console.log(`${payload.collection || "requests"} ${payload.action || "create"} ${payload.id} -> v${out.version}`);
+    reply(res, 200, out);
+  } catch (err) {
+    reply(res, 200, { ok: false, error: err.message });
+  }
+});
+
+setInterval(notifyOverdue, 60 * 1000);
+
+server.listen(PORT, () => {
+  console.log(`Mock sheet endpoint on http://localhost:${PORT}/exec`);
+});
@@ -0,0 +1,173 @@
+import React, { useMemo, useState } from "react";
+import { computeAnalytics, rangePresets, resolveRange } from "./analytics.js";
+
+const cardClass = "bg-white/80 backdrop-blur border border-slate-200 rounded-2xl shadow-sm p-4 space-y-3";
+
+const days = (n) => (n === null ? "-" : `${n.toFixed(1)} d`);
+const percent = (n) => (n === null ? "-" : `${Math.round(n * 100)}%`);
+
+function Tile({ label, value, hint }) {
+  return (
+    <div className="rounded-xl border border-slate-200 bg-white px-3 py-2">
+      <p className="text-xs text-slate-500">{label}</p>
+      <p className="text-xl font-semibold text-slate-900">{value}</p>
+      {hint && <p className="text-[11px] text-slate-400">{hint}</p>}
+    </div>
+  );
+}
+
+// One bar per row, scaled to the largest value in the chart
+function Bars({ rows, color }) {
+  const max = Math.max(1, ...rows.map((r) => r.value));
+  return (
+    <div className="space-y-1 text-xs">
+      {rows.map((r) => (
+        <div key={r.key || r.label} className="flex items-center gap-2">
+          <span className="w-28 shrink-0 truncate text-slate-600">{r.label}</span>
+          <div className="flex-1 h-3 rounded bg-slate-100">
+            <div className={`h-3 rounded ${color}`} style={{ width: `${(r.value / max) * 100}%` }} />
+          </div>
+          <span className="w-8 text-right text-slate-700">{r.value}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Throughput, lead time, on-time rate, backlog age and breakdowns for the requests
+// in view (so the search and filters narrow it too), over a chosen date range
+export default function Analytics({ requests, history, kindOf, priorities, requesterOf, now, onExport }) {
+  const [preset, setPreset] = useState("12w");
+  const [custom, setCustom] = useState({ from: "", to: "" });
+
+  const stats = useMemo(() => {
+    const range = resolveRange(preset, custom, requests, now);
+    return computeAnalytics(requests, history, { ...range, now, kindOf, priorities, requesterOf });
+  }, [preset, custom, requests, history, now, kindOf, priorities, requesterOf]);
+
+  const weekRows = (key) => stats.weeks.map((w) => ({ key: w.start, label: w.label, value: w[key] }));
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select
+          value={preset}
+          onChange={(e) => setPreset(e.target.value)}
+          className="rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+        >
+          {rangePresets.map((p) => (
+            <option key={p.value} value={p.value}>
+              {p.label}
+            </option>
+          ))}
+        </select>
+        {preset === "custom" && (
+          <>
+            <input
+              type="date"
+              value={custom.from}
+              onChange={(e) => setCustom((c) => ({ ...c, from: e.target.value }))}
+              className="rounded-lg border border-slate-200 px-3 py-2"
+            />
+            <span className="text-slate-400">to</span>
+            <input
+              type="date"
+              value={custom.to}
+              onChange={(e) => setCustom((c) => ({ ...c, to: e.target.value }))}
+              className="rounded-lg border border-slate-200 px-3 py-2"
+            />
+          </>
+        )}
+        <span className="text-xs text-slate-500">
+          {new Date(stats.from).toLocaleDateString()} - {new Date(stats.to).toLocaleDateString()} · {requests.length}{" "}
+          requests in view
+        </span>
+        <button
+          type="button"
+          onClick={() => onExport(stats)}
+          className="ml-auto px-3 py-2 rounded-lg border border-slate-200 hover:bg-slate-50 active:scale-95"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        <Tile label="Completed" value={stats.totals.completed} hint={`${stats.totals.created} created`} />
+        <Tile
+          label="Average lead time"
+          value={days(stats.leadTime.averageDays)}
+          hint={`median ${days(stats.leadTime.medianDays)}`}
+        />
+        <Tile
+          label="On time"
+          value={percent(stats.onTime.rate)}
+          hint={`${stats.onTime.onTime} of ${stats.onTime.count} with a due date`}
+        />
+        <Tile label="Open now" value={stats.totals.open} />
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className={cardClass}>
+          <h4 className="font-semibold text-slate-800">Completed per week</h4>
+          <Bars rows={weekRows("completed")} color="bg-emerald-400" />
+        </div>
+        <div className={cardClass}>
+          <h4 className="font-semibold text-slate-800">Overdue at the end of each week</h4>
+          <Bars rows={weekRows("overdue")} color="bg-rose-400" />
+        </div>
+        <div className={cardClass}>
+          <h4 className="font-semibold text-slate-800">Age of open requests</h4>
+          <Bars rows={stats.backlogAge.map((b) => ({ label: b.label, value: b.count }))} color="bg-amber-400" />
+        </div>
+        <div className={cardClass}>
+          <h4 className="font-semibold text-slate-800">By priority</h4>
+          <table className="w-full text-xs">
+            <thead className="text-left text-slate-500">
+              <tr>
+                <th className="font-medium">Priority</th>
+                <th className="font-medium text-right">Created</th>
+                <th className="font-medium text-right">Completed</th>
+              </tr>
+            </thead>
+            <tbody className="text-slate-700">
+              {stats.byPriority.map((p) => (
+                <tr key={p.label}>
+                  <td>{p.label}</td>
+                  <td className="text-right">{p.created}</td>
+                  <td className="text-right">{p.completed}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className={cardClass}>
+        <h4 className="font-semibold text-slate-800">By requester</h4>
+        {!stats.byRequester.length && <p className="text-xs text-slate-400">No requests in this range.</p>}
+        {stats.byRequester.length > 0 && (
+          <table className="w-full text-xs">
+            <thead className="text-left text-slate-500">
+              <tr>
+                <th className="font-medium">Requester</th>
+                <th className="font-medium text-right">Created</th>
+                <th className="font-medium text-right">Completed</th>
+                <th className="font-medium text-right">Open now</th>
+              </tr>
+            </thead>
+            <tbody className="text-slate-700">
+              {stats.byRequester.map((r) => (
+                <tr key={r.label}>
+                  <td className="truncate">{r.label}</td>
+                  <td className="text-right">{r.created}</td>
+                  <td className="text-right">{r.completed}</td>
+                  <td className="text-right">{r.open}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useRef, useState } from "react";
+import { acceptedExtensions, formatBytes } from "./attachments.js";
+import { formatDuration, formatSize } from "./meshParse.js";
+
+export function AttachmentDropZone({ onFiles, busy }) {
+  const [dragging, setDragging] = useState(false);
+  const input = useRef(null);
+
+  return (
+    <div
+      role="button"
+      tabIndex={0}
+      onClick={() => input.current?.click()}
+      onKeyDown={(e) => {
+        if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          input.current?.click();
+        }
+      }}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragging(false);
+        if (e.dataTransfer.files.length) onFiles([...e.dataTransfer.files]);
+      }}
+      className={`rounded-lg border-2 border-dashed px-3 py-4 text-center text-sm cursor-pointer transition focus:ring-2 focus:ring-indigo-200 ${
+        dragging ? "border-indigo-300 bg-indigo-50 text-indigo-700" : "border-slate-200 text-slate-500 hover:bg-slate-50"
+      }`}
+    >
+      {busy ? "Reading files..." : "Drop STL, 3MF or G-code here, or click to choose"}
+      <input
+        ref={input}
+        type="file"
+        multiple
+        accept={acceptedExtensions.join(",")}
+        className="hidden"
+        onChange={(e) => {
+          if (e.target.files.length) onFiles([...e.target.files]);
+          e.target.value = "";
+        }}
+      />
+    </div>
+  );
+}
+
+function describe(a) {
+  if (a.metaError) return a.metaError;
+  if (!a.meta) return "";
+  if (a.kind === "gcode") {
+    const parts = [];
+    if (a.meta.printSeconds !== undefined) parts.push(`~${formatDuration(a.meta.printSeconds)}`);
+    if (a.meta.filamentMm !== undefined) {
+      const grams = a.meta.filamentGrams ? ` (${a.meta.filamentGrams} g)` : "";
+      parts.push(`${(a.meta.filamentMm / 1000).toFixed(2)} m filament${grams}`);
+    }
+    if (a.meta.slicer) parts.push(a.meta.slicer);
+    return parts.join(" · ");
+  }
+  return [
+    formatSize(a.meta.bbox.size),
+    `${a.meta.triangles.toLocaleString()} triangles`,
+    `${(a.meta.volume / 1000).toFixed(1)} cm³`,
+  ].join(" · ");
+}
+
+export function AttachmentList({ attachments, onOpen, onRemove }) {
+  if (!attachments?.length) return null;
+
+  return (
+    <ul className="space-y-2">
+      {attachments.map((a) => (
+        <li key={a.id} className="flex items-start gap-2 rounded-lg border border-slate-200 px-3 py-2">
+          <span className="text-[10px] font-semibold uppercase px-1.5 py-0.5 rounded bg-slate-100 text-slate-600">
+            {a.kind}
+          </span>
+          <div className="flex-1 min-w-0">
+            <button
+              type="button"
+              onClick={() => onOpen?.(a)}
+              className="block text-sm text-slate-800 truncate hover:text-indigo-600 text-left"
+              title="Download"
+            >
+              {a.name}
+            </button>
+            <p className={`text-xs ${a.metaError ? "text-amber-600" : "text-slate-500"}`}>
+              {formatBytes(a.size)}
+              {describe(a) && ` · ${describe(a)}`}
+            </p>
+          </div>
+          {a.uploaded === false && <span className="text-[11px] text-amber-600">Not uploaded</span>}
+          {onRemove && (
+            <button
+              type="button"
+              onClick={() => onRemove(a)}
+              className="text-xs text-slate-400 hover:text-rose-600"
+              title="Remove attachment"
+            >
+              X
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
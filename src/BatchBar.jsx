@@ -0,0 +1,69 @@
+import React from "react";
+
+const buttonClass =
+  "px-3 py-1.5 rounded-md border border-slate-200 bg-white text-sm text-slate-700 hover:bg-slate-50 active:scale-95";
+const selectClass = "rounded-md border border-slate-200 px-2 py-1.5 text-sm focus:ring-2 focus:ring-indigo-200";
+
+// Actions for the selected cards; every action is applied as one batch
+export default function BatchBar({
+  count,
+  statuses,
+  priorities,
+  onSetStatus,
+  onSetPriority,
+  onPin,
+  onArchive,
+  onDelete,
+  onExport,
+  onClear,
+}) {
+  if (!count) return null;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-30 w-[calc(100%-2rem)] max-w-3xl">
+      <div className="flex flex-wrap items-center gap-2 rounded-2xl border border-indigo-100 bg-white/95 backdrop-blur shadow-xl px-4 py-3">
+        <span className="text-sm font-semibold text-slate-800 mr-1">{count} selected</span>
+
+        <select value="" onChange={(e) => e.target.value && onSetStatus(e.target.value)} className={selectClass}>
+          <option value="">Set status...</option>
+          {statuses.map((s) => (
+            <option key={s}>{s}</option>
+          ))}
+        </select>
+
+        <select value="" onChange={(e) => e.target.value && onSetPriority(e.target.value)} className={selectClass}>
+          <option value="">Set priority...</option>
+          {priorities.map((p) => (
+            <option key={p}>{p}</option>
+          ))}
+        </select>
+
+        <button type="button" onClick={() => onPin(true)} className={buttonClass}>
+          Pin
+        </button>
+        <button type="button" onClick={() => onPin(false)} className={buttonClass}>
+          Unpin
+        </button>
+        {onArchive && (
+          <button type="button" onClick={onArchive} className={buttonClass}>
+            Archive
+          </button>
+        )}
+        <button type="button" onClick={onExport} className={buttonClass}>
+          Export CSV
+        </button>
+        <button
+          type="button"
+          onClick={onDelete}
+          className="px-3 py-1.5 rounded-md border border-rose-200 bg-rose-50 text-sm text-rose-700 hover:bg-rose-100 active:scale-95"
+        >
+          Delete
+        </button>
+
+        <button type="button" onClick={onClear} className="ml-auto text-sm text-slate-500 hover:text-slate-800">
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useEffect, useRef, useState } from "react";
+import { moveCard } from "./board.js";
+
+// One column per status. Cards move by drag-and-drop, or with Alt + arrow keys
+// while focused (left/right changes status, up/down reorders).
+// `accentFor(status)` gives the column's top border class.
+export default function Board({ columns, renderCard, accentFor, onMove }) {
+  const [dragId, setDragId] = useState(null);
+  // Where a dragged card would land: { status, index }
+  const [dropAt, setDropAt] = useState(null);
+  const cardRefs = useRef({});
+  const refocus = useRef(null);
+
+  // Cards remount when they change column, so put focus back after a keyboard move
+  useEffect(() => {
+    if (!refocus.current) return;
+    cardRefs.current[refocus.current]?.querySelector("[tabindex]")?.focus();
+    refocus.current = null;
+  }, [columns]);
+
+  const findCard = (id) => columns.flatMap((c) => c.cards).find((r) => r.id === id);
+
+  function move(card, status, index) {
+    const moves = moveCard(columns, card, status, index);
+    if (moves.length) onMove(moves);
+  }
+
+  function onKeyDown(e, card, colIndex, index) {
+    if (!e.altKey) return;
+    const step = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    if (step) {
+      const target = columns[colIndex + step];
+      if (!target) return;
+      e.preventDefault();
+      refocus.current = card.id;
+      move(card, target.status, index);
+    } else if (e.key === "ArrowUp" || e.key === "ArrowDown") {
+      e.preventDefault();
+      refocus.current = card.id;
+      move(card, columns[colIndex].status, index + (e.key === "ArrowUp" ? -1 : 1));
+    }
+  }
+
+  // Index among the column's other cards, so dropping below yourself works
+  function dropIndex(column, beforeId) {
+    const others = column.cards.filter((r) => r.id !== dragId);
+    const i = others.findIndex((r) => r.id === beforeId);
+    return i === -1 ? others.length : i;
+  }
+
+  function drop(e, column) {
+    e.preventDefault();
+    const card = findCard(dragId);
+    if (card && dropAt) move(card, column.status, dropAt.index);
+    setDragId(null);
+    setDropAt(null);
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-slate-500">Drag cards between columns, or focus a card and use Alt + arrow keys.</p>
+      <div className="flex gap-3 overflow-x-auto pb-2">
+        {columns.map((column, colIndex) => (
+          <div
+            key={column.status}
+            onDragOver={(e) => {
+              e.preventDefault();
+              if (dropAt?.status !== column.status) {
+                setDropAt({ status: column.status, index: dropIndex(column, null) });
+              }
+            }}
+            onDrop={(e) => drop(e, column)}
+            className={`flex-1 min-w-[16rem] rounded-2xl border border-slate-200 border-t-4 bg-white/60 p-2 space-y-2 ${
+              accentFor(column.status)
+            } ${dragId && dropAt?.status === column.status ? "ring-2 ring-indigo-200" : ""}`}
+          >
+            <div className="flex items-center justify-between px-1">
+              <h4 className="text-sm font-semibold text-slate-700">{column.status}</h4>
+              <span className="text-xs text-slate-500">{column.cards.length}</span>
+            </div>
+
+            {column.cards.map((card, index) => (
+              <div
+                key={card.id}
+                ref={(el) => {
+                  cardRefs.current[card.id] = el;
+                }}
+                draggable
+                onDragStart={(e) => {
+                  e.dataTransfer.effectAllowed = "move";
+                  e.dataTransfer.setData("text/plain", card.id);
+                  setDragId(card.id);
+                }}
+                onDragEnd={() => {
+                  setDragId(null);
+                  setDropAt(null);
+                }}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  e.stopPropagation();
+                  const index = dropIndex(column, card.id);
+                  if (dropAt?.status !== column.status || dropAt.index !== index) {
+                    setDropAt({ status: column.status, index });
+                  }
+                }}
+                onKeyDown={(e) => onKeyDown(e, card, colIndex, index)}
+                className={`${dragId === card.id ? "opacity-50" : ""} ${
+                  dragId && dragId !== card.id && dropAt?.status === column.status && dropAt.index === dropIndex(column, card.id)
+                    ? "border-t-2 border-indigo-400 pt-1"
+                    : ""
+                }`}
+              >
+                {renderCard(card)}
+              </div>
+            ))}
+
+            {column.cards.length === 0 && (
+              <p className="text-xs text-slate-400 text-center py-6">Nothing here</p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
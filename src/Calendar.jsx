@@ -0,0 +1,199 @@
+import React, { useState } from "react";
+import { addDays, dayKey, monthGrid, requestsByDay, weekDays } from "./calendar.js";
+import { isClosedKind } from "./pipeline.js";
+
+const MONTH_LIMIT = 3;
+
+const chipStyles = {
+  Low: "bg-emerald-50 text-emerald-800 border-emerald-200",
+  Normal: "bg-sky-50 text-sky-800 border-sky-200",
+  High: "bg-amber-50 text-amber-800 border-amber-200",
+  Urgent: "bg-rose-50 text-rose-800 border-rose-200",
+};
+
+// Month and week views of due dates, with scheduled print starts shown alongside.
+// Dragging a request onto another day (or from the "No due date" tray) reschedules it.
+export default function Calendar({ requests, jobs, kindOf, onSelect, onReschedule, onExport, subscribeUrl }) {
+  const [mode, setMode] = useState("month");
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [dragId, setDragId] = useState(null);
+  const [overKey, setOverKey] = useState(null);
+
+  const byDay = requestsByDay(requests);
+  const startsByDay = {};
+  jobs.forEach((job) => {
+    const key = dayKey(job.start);
+    (startsByDay[key] = startsByDay[key] || []).push(job);
+  });
+  const undated = requests.filter((r) => !r.dueDate);
+  const todayKey = dayKey(new Date());
+
+  const days = mode === "month" ? monthGrid(anchor).flat() : weekDays(anchor);
+  const title =
+    mode === "month"
+      ? anchor.toLocaleDateString(undefined, { month: "long", year: "numeric" })
+      : `Week of ${weekDays(anchor)[0].toLocaleDateString(undefined, { month: "short", day: "numeric" })}`;
+
+  function step(n) {
+    setAnchor((a) => (mode === "month" ? new Date(a.getFullYear(), a.getMonth() + n, 1) : addDays(a, 7 * n)));
+  }
+
+  function drop(e, key) {
+    e.preventDefault();
+    const id = dragId || e.dataTransfer.getData("text/plain");
+    const req = requests.find((r) => r.id === id);
+    if (req && String(req.dueDate || "").slice(0, 10) !== key) onReschedule(req.id, key);
+    setDragId(null);
+    setOverKey(null);
+  }
+
+  const chip = (r) => (
+    <button
+      key={r.id}
+      type="button"
+      draggable
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", r.id);
+        setDragId(r.id);
+      }}
+      onDragEnd={() => {
+        setDragId(null);
+        setOverKey(null);
+      }}
+      onClick={() => onSelect(r)}
+      title={`${r.name} (${r.priority}, ${r.status})`}
+      className={`block w-full truncate rounded border px-1.5 py-0.5 text-left text-[11px] ${
+        chipStyles[r.priority] || chipStyles.Normal
+      } ${isClosedKind(kindOf(r.status)) ? "line-through opacity-60" : ""}`}
+    >
+      {r.name}
+    </button>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={() => step(-1)} className="px-2 py-1 rounded-md border border-slate-200 text-sm hover:bg-slate-50">
+            Prev
+          </button>
+          <button type="button" onClick={() => setAnchor(new Date())} className="px-2 py-1 rounded-md border border-slate-200 text-sm hover:bg-slate-50">
+            Today
+          </button>
+          <button type="button" onClick={() => step(1)} className="px-2 py-1 rounded-md border border-slate-200 text-sm hover:bg-slate-50">
+            Next
+          </button>
+          <h4 className="font-semibold text-slate-800">{title}</h4>
+        </div>
+
+        <div className="flex items-center gap-2 text-sm">
+          <div className="flex rounded-lg border border-slate-200 overflow-hidden">
+            {["month", "week"].map((m) => (
+              <button
+                key={m}
+                type="button"
+                onClick={() => setMode(m)}
+                aria-pressed={mode === m}
+                className={`px-3 py-1 capitalize ${mode === m ? "bg-indigo-600 text-white" : "bg-white text-slate-700 hover:bg-slate-50"}`}
+              >
+                {m}
+              </button>
+            ))}
+          </div>
+          <button type="button" onClick={onExport} className="px-3 py-1 rounded-lg border border-slate-200 bg-white hover:bg-slate-50">
+            Export .ics
+          </button>
+        </div>
+      </div>
+
+      {subscribeUrl && (
+        <p className="text-xs text-slate-500">
+          Subscribe from your calendar app: <code className="select-all break-all text-slate-700">{subscribeUrl}</code>
+        </p>
+      )}
+
+      <div className="grid grid-cols-7 gap-px rounded-2xl border border-slate-200 bg-slate-200 overflow-hidden text-xs">
+        {weekDays(anchor).map((d) => (
+          <div key={d.getDay()} className="bg-slate-50 px-2 py-1 font-semibold text-slate-600">
+            {d.toLocaleDateString(undefined, { weekday: "short" })}
+          </div>
+        ))}
+
+        {days.map((d) => {
+          const key = dayKey(d);
+          const due = byDay[key] || [];
+          const starts = startsByDay[key] || [];
+          const shown = mode === "month" ? due.slice(0, MONTH_LIMIT) : due;
+          const outside = mode === "month" && d.getMonth() !== anchor.getMonth();
+
+          return (
+            <div
+              key={key}
+              onDragOver={(e) => {
+                e.preventDefault();
+                if (overKey !== key) setOverKey(key);
+              }}
+              onDrop={(e) => drop(e, key)}
+              className={`bg-white p-1 space-y-1 ${mode === "month" ? "min-h-[6rem]" : "min-h-[16rem]"} ${
+                outside ? "bg-slate-50/80 text-slate-400" : ""
+              } ${overKey === key && dragId ? "ring-2 ring-inset ring-indigo-300" : ""}`}
+            >
+              <div className="flex items-center justify-between">
+                <span
+                  className={`inline-flex h-5 min-w-[1.25rem] items-center justify-center rounded-full px-1 ${
+                    key === todayKey ? "bg-indigo-600 text-white" : ""
+                  }`}
+                >
+                  {d.getDate()}
+                </span>
+                {starts.length > 0 && (
+                  <span
+                    className="text-[10px] text-slate-500"
+                    title={starts.map((j) => `${j.req.name} starts on ${j.printer.name}`).join("\n")}
+                  >
+                    {starts.length} print{starts.length > 1 ? "s" : ""}
+                  </span>
+                )}
+              </div>
+
+              {shown.map(chip)}
+              {due.length > shown.length && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setAnchor(d);
+                    setMode("week");
+                  }}
+                  className="text-[11px] text-indigo-600 hover:underline"
+                >
+                  +{due.length - shown.length} more
+                </button>
+              )}
+
+              {mode === "week" &&
+                starts.map((j) => (
+                  <button
+                    key={`start-${j.req.id}`}
+                    type="button"
+                    onClick={() => onSelect(j.req)}
+                    className="block w-full truncate rounded border border-dashed border-slate-300 px-1.5 py-0.5 text-left text-[11px] text-slate-600"
+                  >
+                    {j.start.toLocaleTimeString(undefined, { hour: "2-digit", minute: "2-digit" })} {j.req.name} on{" "}
+                    {j.printer.name}
+                  </button>
+                ))}
+            </div>
+          );
+        })}
+      </div>
+
+      {undated.length > 0 && (
+        <div className="rounded-2xl border border-dashed border-slate-200 bg-white/70 p-3 space-y-2">
+          <p className="text-xs text-slate-500">No due date ({undated.length}), drag onto a day to schedule</p>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-1">{undated.map(chip)}</div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React, { useEffect, useState } from "react";
+import { latestCommentAt, threadOf } from "./comments.js";
+
+// Comments on one request, oldest first, with a reply box. Showing the thread
+// counts as reading it.
+export default function CommentThread({ req, remote, pendingIds, onAdd, onRead }) {
+  const [body, setBody] = useState("");
+  const [internal, setInternal] = useState(false);
+  const comments = threadOf(req);
+  const latest = latestCommentAt(req);
+
+  useEffect(() => {
+    if (latest) onRead();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [req.id, latest]);
+
+  function submit(e) {
+    e.preventDefault();
+    if (!body.trim()) return;
+    onAdd({ body: body.trim(), internal });
+    setBody("");
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-slate-600">Comments</p>
+      {!comments.length && <p className="text-xs text-slate-400">No comments yet.</p>}
+
+      <ul className="space-y-2">
+        {comments.map((c) => (
+          <li
+            key={c.id}
+            className={`rounded-xl border px-3 py-2 ${
+              c.internal ? "border-amber-200 bg-amber-50/60" : "border-slate-200 bg-white"
+            }`}
+          >
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              <span className="font-semibold text-slate-800">{c.author}</span>
+              <span className="text-slate-400">{new Date(c.createdAt).toLocaleString()}</span>
+              {c.internal && (
+                <span className="px-1.5 py-0.5 rounded-full border border-amber-200 text-amber-800">Internal</span>
+              )}
+              {remote && pendingIds.includes(c.id) && <span className="text-amber-600">not synced</span>}
+            </div>
+            <p className="mt-1 text-sm text-slate-700 whitespace-pre-line">{c.body}</p>
+          </li>
+        ))}
+      </ul>
+
+      <form onSubmit={submit} className="space-y-2">
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          rows={2}
+          placeholder={internal ? "Note for the print team..." : "Add a comment..."}
+          className="w-full rounded-lg border border-slate-200 px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-200"
+        />
+        <div className="flex items-center justify-between gap-2">
+          <label className="flex items-center gap-2 text-xs text-slate-600">
+            <input
+              type="checkbox"
+              checked={internal}
+              onChange={(e) => setInternal(e.target.checked)}
+              className="accent-amber-600"
+            />
+            Mark as internal
+          </label>
+          <button
+            type="submit"
+            disabled={!body.trim()}
+            className="px-3 py-1.5 rounded-md bg-indigo-600 text-white text-sm hover:bg-indigo-500 active:scale-95 disabled:opacity-50"
+          >
+            Comment
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
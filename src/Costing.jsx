@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import { defaultCosting, formatMoney } from "./costing.js";
+
+const inputClass =
+  "w-full rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:ring-2 focus:ring-indigo-200";
+
+// Price table editor; values stay strings while editing and are converted on save
+export function CostSettings({ costing, onSave }) {
+  const [draft, setDraft] = useState(costing);
+
+  const setTop = (key) => (e) => setDraft((d) => ({ ...d, [key]: e.target.value }));
+  const setMaterial = (name, key) => (e) =>
+    setDraft((d) => ({
+      ...d,
+      materials: { ...d.materials, [name]: { ...d.materials[name], [key]: e.target.value } },
+    }));
+
+  function submit(e) {
+    e.preventDefault();
+    const num = (v, fallback) => (Number(v) >= 0 && v !== "" ? Number(v) : fallback);
+    onSave({
+      currency: (draft.currency || "USD").trim().toUpperCase(),
+      machineRatePerHour: num(draft.machineRatePerHour, defaultCosting.machineRatePerHour),
+      filamentDiameter: num(draft.filamentDiameter, defaultCosting.filamentDiameter) || 1.75,
+      materials: Object.fromEntries(
+        Object.entries(draft.materials).map(([name, m]) => [
+          name,
+          {
+            pricePerKg: num(m.pricePerKg, 0),
+            density: num(m.density, defaultCosting.materials.Other.density) || 1,
+          },
+        ])
+      ),
+    });
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <h4 className="font-semibold text-slate-800">Material prices</h4>
+
+      <div className="grid grid-cols-3 gap-2 text-xs text-slate-600">
+        <label>
+          Currency
+          <input value={draft.currency} onChange={setTop("currency")} maxLength={3} className={inputClass} />
+        </label>
+        <label>
+          Machine / hour
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={draft.machineRatePerHour}
+            onChange={setTop("machineRatePerHour")}
+            className={inputClass}
+          />
+        </label>
+        <label>
+          Filament Ø (mm)
+          <input
+            type="number"
+            min="0.5"
+            step="0.05"
+            value={draft.filamentDiameter}
+            onChange={setTop("filamentDiameter")}
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 text-xs">
+        <span className="font-semibold text-slate-600">Material</span>
+        <span className="font-semibold text-slate-600">Price / kg</span>
+        <span className="font-semibold text-slate-600">Density g/cm³</span>
+        {Object.entries(draft.materials).map(([name, m]) => (
+          <React.Fragment key={name}>
+            <span className="self-center text-slate-700">{name}</span>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={m.pricePerKg}
+              onChange={setMaterial(name, "pricePerKg")}
+              className={inputClass}
+            />
+            <input
+              type="number"
+              min="0.1"
+              step="0.01"
+              value={m.density}
+              onChange={setMaterial(name, "density")}
+              className={inputClass}
+            />
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <button type="button" onClick={() => setDraft(defaultCosting)} className="text-xs text-slate-500 underline">
+          Reset to defaults
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-500 active:scale-95"
+        >
+          Save prices
+        </button>
+      </div>
+    </form>
+  );
+}
+
+const sourceLabels = {
+  weight: "entered weight",
+  gcode: "G-code slicer estimate",
+  volume: "entered volume",
+};
+
+// Per-part inputs in the detail drawer plus the computed totals for the whole request
+export function EstimatePanel({ req, estimate, costing, onChange }) {
+  const field = (key, label, step) => (
+    <label className="text-xs text-slate-600">
+      {label}
+      <input
+        type="number"
+        min="0"
+        step={step}
+        value={req[key] || ""}
+        onChange={(e) => onChange({ [key]: e.target.value })}
+        className={inputClass}
+      />
+    </label>
+  );
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-slate-600">Estimate</p>
+      <div className="grid grid-cols-3 gap-2">
+        {field("estimateGrams", "Weight (g / part)", "1")}
+        {field("estimateVolume", "Volume (cm³ / part)", "0.1")}
+        {field("estimateHours", "Time (h / part)", "0.1")}
+      </div>
+      {estimate ? (
+        <div className="rounded-lg bg-slate-50 border border-slate-200 px-3 py-2 text-sm text-slate-700 space-y-1">
+          <div className="flex justify-between">
+            <span>
+              {estimate.grams.toFixed(0)} g · {estimate.meters.toFixed(1)} m {estimate.material}
+            </span>
+            <span>{estimate.hours.toFixed(1)} h</span>
+          </div>
+          <div className="flex justify-between text-xs text-slate-500">
+            <span>Material {formatMoney(estimate.materialCost, costing)}</span>
+            <span>Machine {formatMoney(estimate.machineCost, costing)}</span>
+          </div>
+          <div className="flex justify-between font-semibold text-slate-900">
+            <span>Total</span>
+            <span>{formatMoney(estimate.total, costing)}</span>
+          </div>
+          {estimate.source && <p className="text-xs text-slate-400">From {sourceLabels[estimate.source]}</p>}
+        </div>
+      ) : (
+        <p className="text-xs text-slate-400">
+          Enter a weight, volume or time, or attach sliced G-code to estimate filament and cost.
+        </p>
+      )}
+    </div>
+  );
+}
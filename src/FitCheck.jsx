@@ -0,0 +1,69 @@
+import React, { useRef } from "react";
+import { fitReport, fitSuggestion } from "./fit.js";
+import { formatSize } from "./meshParse.js";
+
+// "Check fit" tool for the detail drawer: measure an STL without attaching it,
+// then list every printer the request's meshes do or don't fit on
+export default function FitCheck({ req, printers, busy, onCheck, onClear }) {
+  const input = useRef(null);
+  const report = fitReport(req, printers);
+  const hasVolumes = report.length > 0 && report[0].results.length > 0;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-slate-600">Build volume fit</p>
+        <div className="flex items-center gap-2">
+          {req.fitCheck && (
+            <button type="button" onClick={onClear} className="text-xs text-slate-500 underline">
+              Clear check
+            </button>
+          )}
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() => input.current?.click()}
+            className="px-3 py-1.5 rounded-md border border-slate-200 text-sm text-slate-700 hover:bg-slate-50 active:scale-95 disabled:opacity-50"
+          >
+            {busy ? "Reading..." : "Check fit"}
+          </button>
+          <input
+            ref={input}
+            type="file"
+            accept=".stl"
+            className="hidden"
+            onChange={(e) => {
+              if (e.target.files[0]) onCheck(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </div>
+      </div>
+
+      {!report.length && <p className="text-xs text-slate-400">Choose an STL, or attach STL/3MF files, to check fit.</p>}
+      {report.length > 0 && !hasVolumes && (
+        <p className="text-xs text-slate-400">Add build volumes under Printers to check fit.</p>
+      )}
+
+      {hasVolumes &&
+        report.map((mesh, i) => (
+          <div key={`${mesh.name}-${i}`} className="rounded-lg border border-slate-200 px-3 py-2 space-y-1">
+            <p className="text-sm text-slate-800 truncate">
+              {mesh.name} <span className="text-xs text-slate-500">{formatSize(mesh.size)}</span>
+            </p>
+            <ul className="space-y-1 text-xs">
+              {mesh.results.map((r) => (
+                <li key={r.printer.id} className="flex items-start justify-between gap-2">
+                  <span className={r.fits ? "text-emerald-700" : "text-rose-700"}>
+                    {r.fits ? "Fits" : "Too big for"} {r.printer.name}
+                    {r.fits && r.rotated && <span className="text-slate-500"> (rotated to {formatSize(r.size)})</span>}
+                  </span>
+                  {!r.fits && <span className="text-slate-500 text-right">{fitSuggestion(r)}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+    </div>
+  );
+}
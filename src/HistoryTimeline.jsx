@@ -0,0 +1,55 @@
+import React, { useState } from "react";
+import { describeEvent } from "./history.js";
+
+const COLLAPSED_COUNT = 8;
+
+const dotStyles = {
+  created: "bg-emerald-400",
+  deleted: "bg-rose-400",
+  status: "bg-indigo-400",
+  priority: "bg-amber-400",
+};
+
+// Newest first; `names` maps printer ids to names for readable descriptions
+export default function HistoryTimeline({ events, names, remote }) {
+  const [expanded, setExpanded] = useState(false);
+  const newest = [...events].reverse();
+  const shown = expanded ? newest : newest.slice(0, COLLAPSED_COUNT);
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-slate-600">History</p>
+      {!events.length && <p className="text-xs text-slate-400">No changes recorded yet.</p>}
+
+      <ol className="relative border-l border-slate-200 ml-1.5 space-y-3">
+        {shown.map((e) => (
+          <li key={e.id} className="pl-4">
+            <span
+              className={`absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border-2 border-white ${
+                dotStyles[e.type] || "bg-slate-300"
+              }`}
+            />
+            <p className="text-sm text-slate-700">
+              <span className="font-semibold">{e.actor}</span> {describeEvent(e, names)}
+            </p>
+            {e.type === "notes" && e.to && (
+              <p className="mt-1 text-xs text-slate-500 whitespace-pre-line line-clamp-3 border-l-2 border-slate-200 pl-2">
+                {e.to}
+              </p>
+            )}
+            <p className="text-[11px] text-slate-400">
+              {new Date(e.updatedAt || e.createdAt).toLocaleString()}
+              {remote && !e.synced && " · not synced"}
+            </p>
+          </li>
+        ))}
+      </ol>
+
+      {newest.length > COLLAPSED_COUNT && (
+        <button type="button" onClick={() => setExpanded((v) => !v)} className="text-xs text-indigo-600 hover:underline">
+          {expanded ? "Show less" : `Show all ${newest.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+import React, { useState } from "react";
+import { notifyEvents, templateFields, validateNotifySettings, webhookFormats } from "./notify.js";
+
+const inputClass =
+  "w-full rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:ring-2 focus:ring-indigo-200";
+
+// Notification rules, shared by everyone: which events go out, the webhook message
+// format and the requester email template. The backend does the sending.
+export function NotificationSettings({ settings, statuses, available, onSave, onTest, onError }) {
+  const [draft, setDraft] = useState(settings);
+
+  const setEvent = (key) => (e) => setDraft((d) => ({ ...d, events: { ...d.events, [key]: e.target.checked } }));
+  const setEmail = (key) => (e) =>
+    setDraft((d) => ({ ...d, email: { ...d.email, [key]: key === "enabled" ? e.target.checked : e.target.value } }));
+  const toggleStatus = (status) =>
+    setDraft((d) => ({
+      ...d,
+      statuses: d.statuses.includes(status) ? d.statuses.filter((s) => s !== status) : [...d.statuses, status],
+    }));
+
+  function submit(e) {
+    e.preventDefault();
+    const error = validateNotifySettings(draft);
+    if (error) onError(error);
+    else onSave(draft);
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <h4 className="font-semibold text-slate-800">Notifications</h4>
+
+      <p className="text-xs text-slate-500">
+        {available
+          ? "The backend sends these. Its webhook URL and the link to the app are set there " +
+            "(the webhookUrl and appUrl script properties on Apps Script)."
+          : "Notifications need a shared backend; with this browser only, nothing is sent."}
+      </p>
+      <label className="block text-xs text-slate-600">
+        Message format
+        <select
+          value={draft.format}
+          onChange={(e) => setDraft((d) => ({ ...d, format: e.target.value }))}
+          className={inputClass}
+        >
+          {webhookFormats.map((f) => (
+            <option key={f.value} value={f.value}>
+              {f.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="space-y-1 text-xs text-slate-600">
+        <p className="font-semibold">Send on</p>
+        {Object.entries(notifyEvents).map(([key, label]) => (
+          <label key={key} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={draft.events[key]}
+              onChange={setEvent(key)}
+              className="accent-indigo-600"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {draft.events.status && (
+        <div className="space-y-1 text-xs text-slate-600">
+          <p className="font-semibold">Only status changes into (none ticked means any)</p>
+          <div className="flex flex-wrap gap-x-3 gap-y-1">
+            {statuses.map((s) => (
+              <label key={s} className="inline-flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={draft.statuses.includes(s)}
+                  onChange={() => toggleStatus(s)}
+                  className="accent-indigo-600"
+                />
+                {s}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2 border-t border-slate-100 pt-3 text-xs text-slate-600">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={draft.email.enabled}
+            onChange={setEmail("enabled")}
+            className="accent-indigo-600"
+          />
+          Also email the requester (when they gave an address)
+        </label>
+        {draft.email.enabled && (
+          <>
+            <label className="block">
+              Subject
+              <input value={draft.email.subject} onChange={setEmail("subject")} className={inputClass} />
+            </label>
+            <label className="block">
+              Body
+              <textarea value={draft.email.body} onChange={setEmail("body")} rows={5} className={inputClass} />
+            </label>
+            <p className="text-slate-400">Placeholders: {templateFields.map((f) => `{{${f}}}`).join(" ")}</p>
+          </>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <button
+          type="button"
+          onClick={onTest}
+          disabled={!available}
+          className="text-xs text-indigo-600 hover:underline disabled:text-slate-300"
+        >
+          Send a test to the webhook
+        </button>
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-500 active:scale-95"
+        >
+          Save notifications
+        </button>
+      </div>
+    </form>
+  );
+}
+
+const channelLabels = { webhook: "Webhook", email: "Email" };
+
+// Notifications sent about one request, newest first; failed ones can be sent
+// again until that event gets through
+export function DeliveryLog({ entries, onResend }) {
+  if (!entries.length) return null;
+  const deliveredLater = (e) => entries.some((d) => d.ok && d.key === e.key && d.channel === e.channel);
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-slate-600">Notifications</p>
+      <ul className="space-y-1">
+        {[...entries].reverse().map((e) => (
+          <li key={e.id} className="flex items-start justify-between gap-2 text-xs">
+            <div className="min-w-0">
+              <p className="text-slate-700">
+                {channelLabels[e.channel]} · {notifyEvents[e.event] || e.event}
+                {e.channel === "email" && <span className="text-slate-400"> to {e.target}</span>}
+              </p>
+              <p className="text-[11px] text-slate-400">
+                {new Date(e.createdAt).toLocaleString()}
+                {e.ok === true && " · delivered"}
+              </p>
+              {e.ok === false && <p className="text-[11px] text-rose-600">Failed: {e.error}</p>}
+            </div>
+            {e.ok === false && !deliveredLater(e) && (
+              <button type="button" onClick={() => onResend(e)} className="shrink-0 text-indigo-600 hover:underline">
+                Resend
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,245 @@
+import React, { useState } from "react";
+import { pipelinePresets, requirements, statusColors, statusKinds } from "./pipeline.js";
+
+const inputClass =
+  "w-full rounded-lg border border-slate-200 px-2 py-1.5 text-sm focus:ring-2 focus:ring-indigo-200";
+const smallButton = "px-2 py-1 rounded-md border border-slate-200 text-xs text-slate-600 hover:bg-slate-50";
+
+// Status and transition editor. Renaming a status renames it in the transitions too;
+// requests already in a renamed or removed status keep it until they are moved on.
+export default function PipelineSettings({ pipeline, onSave }) {
+  const [draft, setDraft] = useState(pipeline);
+  const [approvers, setApprovers] = useState(pipeline.approvers.join(", "));
+  const names = draft.statuses.map((s) => s.name);
+
+  function setStatus(index, changes) {
+    setDraft((d) => {
+      const old = d.statuses[index].name;
+      const rename = (name) => (changes.name !== undefined && name === old ? changes.name : name);
+      return {
+        ...d,
+        statuses: d.statuses.map((s, i) => (i === index ? { ...s, ...changes } : s)),
+        transitions: d.transitions.map((t) => ({ ...t, from: rename(t.from), to: rename(t.to) })),
+      };
+    });
+  }
+
+  function moveStatus(index, by) {
+    setDraft((d) => {
+      const statuses = [...d.statuses];
+      const [status] = statuses.splice(index, 1);
+      statuses.splice(Math.max(0, Math.min(statuses.length, index + by)), 0, status);
+      return { ...d, statuses };
+    });
+  }
+
+  function removeStatus(index) {
+    setDraft((d) => {
+      const name = d.statuses[index].name;
+      return {
+        ...d,
+        statuses: d.statuses.filter((_, i) => i !== index),
+        transitions: d.transitions.filter((t) => t.from !== name && t.to !== name),
+      };
+    });
+  }
+
+  const addStatus = () =>
+    setDraft((d) => ({ ...d, statuses: [...d.statuses, { name: "", color: "slate", kind: "waiting" }] }));
+
+  const setTransition = (index, changes) =>
+    setDraft((d) => ({ ...d, transitions: d.transitions.map((t, i) => (i === index ? { ...t, ...changes } : t)) }));
+
+  const toggleRequirement = (index, key) =>
+    setDraft((d) => ({
+      ...d,
+      transitions: d.transitions.map((t, i) =>
+        i === index
+          ? { ...t, requires: t.requires.includes(key) ? t.requires.filter((r) => r !== key) : [...t.requires, key] }
+          : t
+      ),
+    }));
+
+  const addTransition = () =>
+    setDraft((d) => ({
+      ...d,
+      transitions: [
+        ...d.transitions,
+        { id: Date.now().toString(36), from: "*", to: names[0] || "", label: "", requires: [], approver: false },
+      ],
+    }));
+
+  function applyPreset(key) {
+    const { label: _label, ...preset } = pipelinePresets[key];
+    setDraft(preset);
+    setApprovers(preset.approvers.join(", "));
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    onSave({
+      ...draft,
+      statuses: draft.statuses.map((s) => ({ ...s, name: s.name.trim() })),
+      transitions: draft.transitions.map((t) => ({ ...t, label: t.label.trim() })),
+      approvers: approvers
+        .split(",")
+        .map((a) => a.trim())
+        .filter(Boolean),
+    });
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold text-slate-800">Pipeline</h4>
+        <div className="flex gap-1">
+          {Object.entries(pipelinePresets).map(([key, p]) => (
+            <button key={key} type="button" onClick={() => applyPreset(key)} className={smallButton}>
+              {p.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <p className="text-xs font-semibold text-slate-600">Statuses (new requests start in the first)</p>
+        {draft.statuses.map((s, i) => (
+          <div key={i} className="flex items-center gap-1">
+            <input
+              value={s.name}
+              onChange={(e) => setStatus(i, { name: e.target.value })}
+              placeholder="Status name"
+              className={inputClass}
+            />
+            <select
+              value={s.color}
+              onChange={(e) => setStatus(i, { color: e.target.value })}
+              className={`${inputClass} w-24`}
+            >
+              {Object.keys(statusColors).map((c) => (
+                <option key={c}>{c}</option>
+              ))}
+            </select>
+            <select
+              value={s.kind}
+              onChange={(e) => setStatus(i, { kind: e.target.value })}
+              title="What this status means for the queue, the calendar and overdue counts"
+              className={`${inputClass} w-28`}
+            >
+              {statusKinds.map((k) => (
+                <option key={k}>{k}</option>
+              ))}
+            </select>
+            <button type="button" onClick={() => moveStatus(i, -1)} disabled={i === 0} className={smallButton}>
+              ↑
+            </button>
+            <button
+              type="button"
+              onClick={() => moveStatus(i, 1)}
+              disabled={i === draft.statuses.length - 1}
+              className={smallButton}
+            >
+              ↓
+            </button>
+            <button type="button" onClick={() => removeStatus(i)} className={smallButton} aria-label="Remove status">
+              ✕
+            </button>
+          </div>
+        ))}
+        <button type="button" onClick={addStatus} className="text-xs text-indigo-600 hover:underline">
+          Add status
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        <p className="text-xs font-semibold text-slate-600">Transitions (shown as quick actions on the cards)</p>
+        {draft.transitions.map((t, i) => (
+          <div key={t.id} className="space-y-1 rounded-lg border border-slate-100 p-2">
+            <div className="flex items-center gap-1">
+              <select
+                value={t.from}
+                onChange={(e) => setTransition(i, { from: e.target.value })}
+                className={inputClass}
+              >
+                <option value="*">Any status</option>
+                {names.map((n) => (
+                  <option key={n}>{n}</option>
+                ))}
+              </select>
+              <span className="text-slate-400">→</span>
+              <select value={t.to} onChange={(e) => setTransition(i, { to: e.target.value })} className={inputClass}>
+                {names.map((n) => (
+                  <option key={n}>{n}</option>
+                ))}
+              </select>
+              <input
+                value={t.label}
+                onChange={(e) => setTransition(i, { label: e.target.value })}
+                placeholder="Button label"
+                className={inputClass}
+              />
+              <button
+                type="button"
+                onClick={() => setDraft((d) => ({ ...d, transitions: d.transitions.filter((_, k) => k !== i) }))}
+                className={smallButton}
+                aria-label="Remove transition"
+              >
+                ✕
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-slate-600">
+              <span>Needs</span>
+              {Object.entries(requirements).map(([key, label]) => (
+                <label key={key} className="inline-flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={t.requires.includes(key)}
+                    onChange={() => toggleRequirement(i, key)}
+                    className="accent-indigo-600"
+                  />
+                  {label}
+                </label>
+              ))}
+              <label className="inline-flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={t.approver}
+                  onChange={(e) => setTransition(i, { approver: e.target.checked })}
+                  className="accent-indigo-600"
+                />
+                approvers only
+              </label>
+            </div>
+          </div>
+        ))}
+        <button type="button" onClick={addTransition} className="text-xs text-indigo-600 hover:underline">
+          Add transition
+        </button>
+      </div>
+
+      <label className="block text-xs text-slate-600">
+        Approvers (names or emails, comma separated; empty lets everyone approve)
+        <input value={approvers} onChange={(e) => setApprovers(e.target.value)} className={inputClass} />
+      </label>
+
+      <label className="flex items-center gap-2 text-xs text-slate-600">
+        <input
+          type="checkbox"
+          checked={draft.strict}
+          onChange={(e) => setDraft((d) => ({ ...d, strict: e.target.checked }))}
+          className="accent-indigo-600"
+        />
+        Only allow the transitions above (otherwise any status can be picked in the detail view)
+      </label>
+
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-500 active:scale-95"
+        >
+          Save pipeline
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -1,10 +1,132 @@
-import React, { useEffect, useMemo, useState } from "react";
-
-const SHEETS_ENDPOINT =
-  "https://script.google.com/macros/s/AKfycbwdRHaAIBTC7q0olATYdoGb6BBZuO3OUrBaCvu6V2AJuZvpMsq1PFkvUUy9wMNscL-EMA/exec";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  dropPendingChanges,
+  enqueueOp,
+  hasPendingFor,
+  loadOutbox,
+  makeOp,
+  markFailed,
+  opCollection,
+  opRecordIds,
+  opsFor,
+  pendingComments,
+  saveOutbox,
+} from "./outbox.js";
+import { mergeRecords } from "./merge.js";
+import { PRINTERS_KEY, emptyPrinter, normalizePrinter, validatePrinter } from "./printers.js";
+import PrinterFleet from "./PrinterFleet.jsx";
+import {
+  emptySpec,
+  materials,
+  normalizeSpec,
+  specChips,
+  specSummary,
+  supportOptions,
+  validateSpec,
+} from "./printSpec.js";
+import {
+  deleteAttachmentBlob,
+  loadAttachmentBlob,
+  readAttachment,
+  saveAttachmentBlob,
+} from "./attachments.js";
+import { AttachmentDropZone, AttachmentList } from "./Attachments.jsx";
+import { estimateRequest, estimateSummary, formatMoney, loadCosting, saveCosting, spendTotals } from "./costing.js";
+import { CostSettings, EstimatePanel } from "./Costing.jsx";
+import { fitWarning } from "./fit.js";
+import FitCheck from "./FitCheck.jsx";
+import { parseStl } from "./meshParse.js";
+import { boardColumns, loadView, saveView, views } from "./board.js";
+import Board from "./Board.jsx";
+import { scheduleQueue } from "./schedule.js";
+import Schedule from "./Schedule.jsx";
+import { toIcs } from "./calendar.js";
+import Calendar from "./Calendar.jsx";
+import {
+  HISTORY_KEY,
+  changeEvents,
+  eventsFor,
+  loadHistory,
+  mergeHistory,
+  mergeTarget,
+  saveHistory,
+} from "./history.js";
+import HistoryTimeline from "./HistoryTimeline.jsx";
+import { actorName, loadProfile, normalizeProfile, saveProfile, validateProfile } from "./identity.js";
+import ProfileSettings from "./ProfileSettings.jsx";
+import { canonicalName, isMine, loadAliases, mergeAliases, requesterDirectory, saveAliases } from "./requesters.js";
+import RequesterDirectory from "./RequesterDirectory.jsx";
+import { latestCommentAt, loadReads, saveReads, unreadCount } from "./comments.js";
+import CommentThread from "./CommentThread.jsx";
+import {
+  canApprove,
+  firstStatus,
+  isClosedKind,
+  kindFor,
+  hasSavedPipeline,
+  loadPipeline,
+  PIPELINE_SETTING,
+  missingRequirement,
+  savePipeline,
+  sharedPipeline,
+  statusNames,
+  statusOfKind,
+  statusStyle,
+  transitionFor,
+  transitionsFrom,
+  validatePipeline,
+} from "./pipeline.js";
+import PipelineSettings from "./PipelineSettings.jsx";
+import {
+  deliveriesByRequest,
+  hasSavedNotifySettings,
+  loadNotifySettings,
+  NOTIFY_SETTING,
+  saveNotifySettings,
+  sharedNotifySettings,
+  wantsEvent,
+} from "./notify.js";
+import { DeliveryLog, NotificationSettings } from "./Notifications.jsx";
+import {
+  activeReminders,
+  describeReminder,
+  loadReminderSettings,
+  loadReminderState,
+  markAnnounced,
+  saveReminderSettings,
+  saveReminderState,
+  snooze,
+  triageBuckets,
+  unannounced,
+} from "./reminders.js";
+import { ReminderBanner, ReminderSettings } from "./Reminders.jsx";
+import { expiredTrash, isTrashed } from "./trash.js";
+import TrashPanel from "./TrashPanel.jsx";
+import TransferPanel from "./TransferPanel.jsx";
+import { highlightPattern, matchQuery, parseQuery, queryStatuses } from "./query.js";
+import { Highlight, SearchBox } from "./Search.jsx";
+import {
+  defaultViewState,
+  loadSavedViews,
+  readUrlState,
+  saveSavedViews,
+  writeUrlState,
+} from "./urlState.js";
+import SavedViews from "./SavedViews.jsx";
+import { datedName, downloadFile, toCsv } from "./transfer.js";
+import { analyticsColumns, analyticsRows } from "./analytics.js";
+import Analytics from "./Analytics.jsx";
+import BatchBar from "./BatchBar.jsx";
+import {
+  adapterOptions,
+  createAdapter,
+  defaultStorageConfig,
+  loadStorageConfig,
+  saveStorageConfig,
+  sendOp,
+} from "./storage.js";
 
 const priorities = ["Low", "Normal", "High", "Urgent"];
-const statuses = ["New", "In Progress", "Done", "Archived"];
 
 const priorityStyles = {
   Low: "bg-emerald-50 text-emerald-700 border border-emerald-100",
@@ -13,13 +135,6 @@ const priorityStyles = {
   Urgent: "bg-rose-50 text-rose-700 border border-rose-100",
 };
 
-const statusStyles = {
-  New: "bg-sky-50 text-sky-700 border border-sky-100",
-  "In Progress": "bg-indigo-50 text-indigo-700 border border-indigo-100",
-  Done: "bg-emerald-50 text-emerald-700 border border-emerald-100",
-  Archived: "bg-slate-100 text-slate-600 border border-slate-200",
-};
-
 const sortOptions = [
   { value: "newest", label: "Newest" },
   { value: "oldest", label: "Oldest" },
@@ -29,6 +144,12 @@ const sortOptions = [
 
 const STORAGE_KEY = "print-inbox-requests-v2";
 
+// Typed fields wait for a pause before being sent to the sheet
+const NOTES_SYNC_DELAY = 800;
+const TYPED_FIELDS = ["devNotes", "estimateGrams", "estimateVolume", "estimateHours"];
+// How often the outbox is retried while something is waiting
+const OUTBOX_POLL_INTERVAL = 15000;
+
 const uuid = () =>
   typeof crypto !== "undefined" && "randomUUID" in crypto
     ? crypto.randomUUID()
@@ -41,71 +162,24 @@ const formatDate = (iso) => {
   return d.toLocaleDateString(undefined, { month: "short", day: "numeric" });
 };
 
+// Toasts with an action (e.g. Undo) stay up longer so there's time to click it
+const TOAST_MS = 3000;
+const ACTION_TOAST_MS = 8000;
+
 function useToasts() {
   const [toasts, setToasts] = useState([]);
-  const push = (message, tone = "info") => {
+  // `action` is an optional { label, onClick } button shown in the toast
+  const push = (message, tone = "info", action = null) => {
     const id = uuid();
-    setToasts((t) => [...t, { id, message, tone }]);
-    setTimeout(() => setToasts((t) => t.filter((x) => x.id !== id)), 3000);
+    setToasts((t) => [...t, { id, message, tone, action }]);
+    setTimeout(() => setToasts((t) => t.filter((x) => x.id !== id)), action ? ACTION_TOAST_MS : TOAST_MS);
   };
   const remove = (id) => setToasts((t) => t.filter((x) => x.id !== id));
   return { toasts, push, remove };
 }
 
-// Reliable send from static hosting → Apps Script
-async function postToSheet(payload) {
-  if (!SHEETS_ENDPOINT) return { sent: false, reason: "no-endpoint" };
-  const bodyText = JSON.stringify(payload);
-
-  // Prefer sendBeacon
-  try {
-    if (navigator.sendBeacon) {
-      const blob = new Blob([bodyText], { type: "text/plain;charset=UTF-8" });
-      const ok = navigator.sendBeacon(SHEETS_ENDPOINT, blob);
-      return { sent: ok, reason: ok ? "beacon" : "beacon-failed" };
-    }
-  } catch {
-    // fall through
-  }
-
-  // Fallback: simple POST no-cors (no custom headers)
-  try {
-    await fetch(SHEETS_ENDPOINT, {
-      method: "POST",
-      mode: "no-cors",
-      body: bodyText,
-      keepalive: true,
-    });
-    return { sent: true, reason: "fetch-no-cors" };
-  } catch (e) {
-    return { sent: false, reason: "fetch-failed", error: e };
-  }
-}
-
-function triageBuckets(reqs) {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  const isToday = (iso) => {
-    if (!iso) return false;
-    const d = new Date(iso);
-    return (
-      !Number.isNaN(d.getTime()) &&
-      d.getFullYear() === today.getFullYear() &&
-      d.getMonth() === today.getMonth() &&
-      d.getDate() === today.getDate()
-    );
-  };
-
-  const overdue = reqs.filter((r) => {
-    if (!r.dueDate) return false;
-    const d = new Date(r.dueDate);
-    return !Number.isNaN(d.getTime()) && d < today && r.status !== "Done";
-  });
-
-  const dueToday = reqs.filter((r) => isToday(r.dueDate));
-  return { overdue, dueToday };
-}
+// Outbox payloads: a create carries the row, an update its changed fields
+const updatePayload = (changes, updatedAt) => ({ changes, updatedAt });
 
 const priorityRank = { Low: 0, Normal: 1, High: 2, Urgent: 3 };
 
@@ -130,7 +204,159 @@ function sortRequests(reqs, sort) {
   return copy;
 }
 
-function DetailDrawer({ selected, onClose, updateRequest, onCopySummary, onDelete }) {
+function ConflictPanel({ req, onKeepLocal, onUseSheet }) {
+  const show = (v) => (typeof v === "boolean" ? (v ? "Yes" : "No") : v || "-");
+
+  return (
+    <div className="rounded-xl border border-rose-200 bg-rose-50 p-3 space-y-2">
+      <p className="text-sm font-semibold text-rose-800">
+        This request was changed here and in the sheet
+      </p>
+      <div className="grid grid-cols-3 gap-2 text-xs">
+        <span className="text-rose-700 font-semibold">Field</span>
+        <span className="text-rose-700 font-semibold">Yours</span>
+        <span className="text-rose-700 font-semibold">Sheet</span>
+        {req.conflict.fields.map((f) => (
+          <React.Fragment key={f}>
+            <span className="text-slate-600">{f}</span>
+            <span className="text-slate-800 break-words">{show(req[f])}</span>
+            <span className="text-slate-800 break-words">{show(req.conflict.remote[f])}</span>
+          </React.Fragment>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button
+          onClick={() => onKeepLocal(req)}
+          className="px-3 py-1.5 rounded-md bg-white border border-rose-200 text-rose-700 text-xs hover:bg-rose-100 active:scale-95"
+        >
+          Keep mine
+        </button>
+        <button
+          onClick={() => onUseSheet(req)}
+          className="px-3 py-1.5 rounded-md bg-white border border-rose-200 text-rose-700 text-xs hover:bg-rose-100 active:scale-95"
+        >
+          Use sheet version
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Storage settings up top; other settings sections are passed in as children
+function SettingsPanel({ open, config, pendingCount, onSave, onReset, onClose, children }) {
+  const [adapter, setAdapter] = useState(config.adapter);
+  const [endpoint, setEndpoint] = useState(config.endpoint);
+
+  if (!open) return null;
+  const option = adapterOptions.find((o) => o.value === adapter) || adapterOptions[0];
+
+  return (
+    <div className="fixed inset-0 z-40 flex items-center justify-center p-4">
+      <div className="absolute inset-0 bg-slate-900/30 backdrop-blur-sm" onClick={onClose} />
+      <div className="relative w-full max-w-md max-h-[90vh] overflow-y-auto bg-white rounded-2xl shadow-2xl p-5 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-slate-900">Settings</h3>
+          <button type="button" onClick={onClose} className="text-slate-500 hover:text-slate-800">
+            Close
+          </button>
+        </div>
+
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            onSave({ adapter, endpoint: endpoint.trim() });
+          }}
+          className="space-y-4"
+        >
+          <label className="block text-sm text-slate-700">
+            Storage
+            <select
+              value={adapter}
+              onChange={(e) => setAdapter(e.target.value)}
+              className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+            >
+              {adapterOptions.map((o) => (
+                <option key={o.value} value={o.value}>
+                  {o.label}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {option.needsEndpoint && (
+            <label className="block text-sm text-slate-700">
+              Endpoint URL
+              <input
+                type="url"
+                value={endpoint}
+                onChange={(e) => setEndpoint(e.target.value)}
+                required
+                className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+                placeholder={
+                  adapter === "rest" ? "https://api.example.com" : "https://script.google.com/macros/s/.../exec"
+                }
+              />
+            </label>
+          )}
+
+          {pendingCount > 0 && (
+            <p className="text-xs text-amber-700">
+              {pendingCount} pending change(s) will be sent to the backend selected here.
+            </p>
+          )}
+
+          <div className="flex items-center justify-between gap-2">
+            <button
+              type="button"
+              onClick={onReset}
+              className="text-xs text-slate-500 underline"
+              title={`Build default: ${defaultStorageConfig.adapter}`}
+            >
+              Use build default
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-500 active:scale-95"
+            >
+              Save
+            </button>
+          </div>
+        </form>
+
+        {React.Children.map(children, (section) =>
+          section ? <div className="border-t border-slate-100 pt-4">{section}</div> : null
+        )}
+      </div>
+    </div>
+  );
+}
+
+function DetailDrawer({
+  selected,
+  printers,
+  remote,
+  costing,
+  history,
+  pendingCommentIds,
+  statusOptions,
+  onChangeStatus,
+  onClose,
+  updateRequest,
+  onCopySummary,
+  onCopyLink,
+  onDelete,
+  onKeepLocal,
+  onUseSheet,
+  onAddFiles,
+  onOpenAttachment,
+  onRemoveAttachment,
+  onCheckFit,
+  onAddComment,
+  onReadComments,
+  deliveries,
+  onResendNotification,
+  readingFiles,
+}) {
   if (!selected) return null;
 
   return (
@@ -138,27 +364,72 @@ function DetailDrawer({ selected, onClose, updateRequest, onCopySummary, onDelet
       <div className="flex-1 bg-slate-900/30 backdrop-blur-sm" onClick={onClose} />
       <div className="w-full md:max-w-xl h-full bg-white shadow-2xl rounded-t-2xl md:rounded-none md:rounded-l-2xl p-4 md:p-6 overflow-y-auto">
         <div className="flex items-center justify-between mb-4">
-          <h3 className="text-lg font-semibold text-slate-900">{selected.name}</h3>
+          <div className="flex items-center gap-2 min-w-0">
+            <h3 className="text-lg font-semibold text-slate-900 truncate">{selected.name}</h3>
+            {!selected.synced && remote && (
+              <span
+                className="text-xs text-amber-600 bg-amber-50 border border-amber-100 px-2 py-1 rounded-full"
+                title={selected.syncError || "Waiting for the sheet to confirm"}
+              >
+                {selected.syncError ? "Sync error" : "Not synced"}
+              </span>
+            )}
+          </div>
           <button onClick={onClose} className="text-slate-500 hover:text-slate-800">
             Close
           </button>
         </div>
 
         <div className="space-y-4">
+          {selected.syncError && (
+            <p className="text-sm text-rose-700 bg-rose-50 border border-rose-100 rounded-lg px-3 py-2">
+              The sheet rejected the last change: {selected.syncError}
+            </p>
+          )}
+
+          {selected.conflict && (
+            <ConflictPanel req={selected} onKeepLocal={onKeepLocal} onUseSheet={onUseSheet} />
+          )}
+
+          {(selected.requesterEmail || selected.requesterTeam) && (
+            <p className="text-xs text-slate-500">
+              {selected.requesterEmail && (
+                <a href={`mailto:${selected.requesterEmail}`} className="text-indigo-600 hover:underline">
+                  {selected.requesterEmail}
+                </a>
+              )}
+              {selected.requesterEmail && selected.requesterTeam && " · "}
+              {selected.requesterTeam}
+            </p>
+          )}
+
           <p className="text-sm text-slate-600 whitespace-pre-line">{selected.description}</p>
 
+          {specChips(selected).length > 0 && (
+            <div className="flex flex-wrap gap-1 text-xs text-slate-600">
+              {specChips(selected).map((chip) => (
+                <span key={chip} className="px-2 py-1 rounded-full bg-slate-50 border border-slate-200">
+                  {chip}
+                </span>
+              ))}
+            </div>
+          )}
+
           <div className="grid grid-cols-2 gap-3">
             <label className="text-sm text-slate-600">
               Status
               <select
                 value={selected.status}
-                onChange={(e) => updateRequest(selected.id, { status: e.target.value })}
+                onChange={(e) => onChangeStatus(selected, e.target.value)}
                 className="mt-1 w-full rounded-md border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
               >
-                {statuses.map((s) => (
+                {statusOptions.map((s) => (
                   <option key={s}>{s}</option>
                 ))}
               </select>
+              {selected.statusReason && (
+                <span className="mt-1 block text-xs text-slate-500">Reason: {selected.statusReason}</span>
+              )}
             </label>
 
             <label className="text-sm text-slate-600">
@@ -175,6 +446,63 @@ function DetailDrawer({ selected, onClose, updateRequest, onCopySummary, onDelet
             </label>
           </div>
 
+          <label className="text-sm text-slate-600 block">
+            Printer
+            <select
+              value={selected.printerId || ""}
+              onChange={(e) => updateRequest(selected.id, { printerId: e.target.value })}
+              className="mt-1 w-full rounded-md border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+            >
+              <option value="">Unassigned</option>
+              {printers.map((p) => (
+                <option key={p.id} value={p.id}>
+                  {p.name} ({p.status}{p.material ? `, ${p.material}` : ""})
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="space-y-2">
+            <p className="text-sm text-slate-600">Files</p>
+            <AttachmentList
+              attachments={selected.attachments}
+              onOpen={onOpenAttachment}
+              onRemove={(a) => onRemoveAttachment(selected, a)}
+            />
+            <AttachmentDropZone busy={readingFiles} onFiles={(files) => onAddFiles(selected, files)} />
+          </div>
+
+          <FitCheck
+            req={selected}
+            printers={printers}
+            busy={readingFiles}
+            onCheck={(file) => onCheckFit(selected, file)}
+            onClear={() => updateRequest(selected.id, { fitCheck: null })}
+          />
+
+          <EstimatePanel
+            req={selected}
+            estimate={estimateRequest(selected, costing)}
+            costing={costing}
+            onChange={(changes) => updateRequest(selected.id, changes)}
+          />
+
+          <CommentThread
+            req={selected}
+            remote={remote}
+            pendingIds={pendingCommentIds}
+            onAdd={(comment) => onAddComment(selected, comment)}
+            onRead={() => onReadComments(selected)}
+          />
+
+          <DeliveryLog entries={deliveries} onResend={(entry) => onResendNotification(selected, entry)} />
+
+          <HistoryTimeline
+            events={history}
+            names={Object.fromEntries(printers.map((p) => [p.id, p.name]))}
+            remote={remote}
+          />
+
           <label className="text-sm text-slate-600 block">
             Developer Notes
             <textarea
@@ -204,12 +532,19 @@ function DetailDrawer({ selected, onClose, updateRequest, onCopySummary, onDelet
               >
                 Copy summary
               </button>
+
+              <button
+                onClick={onCopyLink}
+                className="px-3 py-2 rounded-md border border-slate-200 text-sm text-slate-700 hover:bg-slate-50 active:scale-95"
+              >
+                Copy link
+              </button>
             </div>
 
             <button
               onClick={() => onDelete(selected)}
               className="px-3 py-2 rounded-md border border-rose-200 bg-rose-50 text-rose-700 text-sm hover:bg-rose-100 active:scale-95"
-              title="Delete from UI and Google Sheet"
+              title="Move to trash"
             >
               Delete
             </button>
@@ -224,15 +559,25 @@ function FormCard({
   compact,
   name,
   setName,
+  contact,
+  setContact,
   desc,
   setDesc,
   due,
   setDue,
   priority,
   setPriority,
+  spec,
+  setSpec,
+  files,
+  onAddFiles,
+  onRemoveFile,
+  readingFiles,
   onSubmit,
   loading,
 }) {
+  const setSpecField = (key) => (e) => setSpec((s) => ({ ...s, [key]: e.target.value }));
+
   return (
     <form
       onSubmit={onSubmit}
@@ -256,6 +601,29 @@ function FormCard({
         />
       </label>
 
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="block text-sm text-slate-700">
+          Email
+          <input
+            type="email"
+            value={contact.email}
+            onChange={(e) => setContact((c) => ({ ...c, email: e.target.value }))}
+            className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+            placeholder="Optional"
+          />
+        </label>
+
+        <label className="block text-sm text-slate-700">
+          Team
+          <input
+            value={contact.team}
+            onChange={(e) => setContact((c) => ({ ...c, team: e.target.value }))}
+            className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+            placeholder="Optional"
+          />
+        </label>
+      </div>
+
       <label className="block text-sm text-slate-700">
         Description*
         <textarea
@@ -293,160 +661,1275 @@ function FormCard({
         </label>
       </div>
 
-      <button
-        type="submit"
-        disabled={loading}
-        className="w-full inline-flex items-center justify-center gap-2 rounded-lg bg-indigo-600 text-white py-2.5 font-semibold hover:bg-indigo-500 disabled:opacity-60 active:scale-95 transition"
-      >
-        {loading ? "Submitting..." : "Submit request"}
-      </button>
+      <fieldset className="space-y-3">
+        <legend className="text-sm font-semibold text-slate-800">Print settings</legend>
+
+        <div className="grid grid-cols-2 gap-3">
+          <label className="block text-sm text-slate-700">
+            Material
+            <select
+              value={spec.material}
+              onChange={setSpecField("material")}
+              className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+            >
+              <option value="">Not sure / from G-code</option>
+              {materials.map((m) => (
+                <option key={m}>{m}</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="block text-sm text-slate-700">
+            Color
+            <input
+              value={spec.color}
+              onChange={setSpecField("color")}
+              className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+              placeholder="Any"
+            />
+          </label>
+        </div>
+
+        <div className="grid grid-cols-3 gap-3">
+          <label className="block text-sm text-slate-700">
+            Quantity
+            <input
+              type="number"
+              min="1"
+              max="999"
+              step="1"
+              value={spec.quantity}
+              onChange={setSpecField("quantity")}
+              className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+            />
+          </label>
+
+          <label className="block text-sm text-slate-700">
+            Infill %
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={spec.infill}
+              onChange={setSpecField("infill")}
+              className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+            />
+          </label>
+
+          <label className="block text-sm text-slate-700">
+            Layer (mm)
+            <input
+              type="number"
+              min="0.01"
+              max="1"
+              step="0.01"
+              value={spec.layerHeight}
+              onChange={setSpecField("layerHeight")}
+              className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+            />
+          </label>
+        </div>
+
+        <label className="block text-sm text-slate-700">
+          Supports
+          <select
+            value={spec.supports}
+            onChange={setSpecField("supports")}
+            className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+          >
+            {supportOptions.map((o) => (
+              <option key={o}>{o}</option>
+            ))}
+          </select>
+        </label>
+      </fieldset>
+
+      <div className="space-y-2">
+        <p className="text-sm text-slate-700">Files</p>
+        <AttachmentList attachments={files.map((f) => f.entry)} onRemove={onRemoveFile} />
+        <AttachmentDropZone busy={readingFiles} onFiles={onAddFiles} />
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading}
+        className="w-full inline-flex items-center justify-center gap-2 rounded-lg bg-indigo-600 text-white py-2.5 font-semibold hover:bg-indigo-500 disabled:opacity-60 active:scale-95 transition"
+      >
+        {loading ? "Submitting..." : "Submit request"}
+      </button>
+
+      <p className="text-xs text-slate-500">
+        Required: Name and Description.
+      </p>
+    </form>
+  );
+}
+
+export default function PrintInboxHub() {
+  const [requests, setRequests] = useState([]);
+  const [printers, setPrinters] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [hydrated, setHydrated] = useState(false);
+
+  const [pipeline, setPipeline] = useState(loadPipeline);
+  const kindOf = useMemo(() => kindFor(pipeline), [pipeline]);
+  // Pipeline statuses, plus any still on requests after being removed from the pipeline
+  const statuses = useMemo(() => {
+    const names = statusNames(pipeline);
+    return [...names, ...new Set(requests.map((r) => r.status).filter((s) => s && !names.includes(s)))];
+  }, [pipeline, requests]);
+
+  // A shared link's filters win over the defaults (and the view over the remembered one)
+  const [urlState] = useState(() =>
+    readUrlState(window.location.search, {
+      statuses: statusNames(pipeline),
+      priorities,
+      sorts: sortOptions.map((o) => o.value),
+      views,
+    })
+  );
+  const [search, setSearch] = useState(urlState.q);
+  const [statusFilter, setStatusFilter] = useState(urlState.status);
+  const [priorityFilter, setPriorityFilter] = useState(urlState.priority);
+  const [sort, setSort] = useState(urlState.sort);
+  const [mineOnly, setMineOnly] = useState(urlState.mine === "1");
+  const [view, setView] = useState(() => urlState.view || loadView());
+  const [profile, setProfile] = useState(loadProfile);
+  // Requester spellings merged into another name: { key: name }
+  const [aliases, setAliases] = useState(loadAliases);
+  const [directoryOpen, setDirectoryOpen] = useState(false);
+  const [commentReads, setCommentReads] = useState(loadReads);
+  const [notifySettings, setNotifySettings] = useState(loadNotifySettings);
+  // The backend's log of notifications sent
+  const [deliveryRows, setDeliveryRows] = useState([]);
+  const deliveries = useMemo(() => deliveriesByRequest(deliveryRows), [deliveryRows]);
+  const [savedViews, setSavedViews] = useState(loadSavedViews);
+  // Request named in the link, opened once it has loaded (from the cache or the sheet)
+  const pendingOpen = useRef(urlState.request);
+  // Clock for the schedule and calendar views and for reminders, ticked once a minute while needed
+  const [now, setNow] = useState(() => new Date());
+  const [reminderSettings, setReminderSettings] = useState(loadReminderSettings);
+  const [reminderState, setReminderState] = useState(loadReminderState);
+
+  const [selected, setSelected] = useState(null);
+  const [formOpenMobile, setFormOpenMobile] = useState(false);
+
+  const [loadingSubmit, setLoadingSubmit] = useState(false);
+  const [loadingRefresh, setLoadingRefresh] = useState(false);
+
+  const [formName, setFormName] = useState(profile.name);
+  const [formContact, setFormContact] = useState({ email: profile.email, team: profile.team });
+  const [formDesc, setFormDesc] = useState("");
+  const [formDue, setFormDue] = useState("");
+  const [formPriority, setFormPriority] = useState("Normal");
+  const [formSpec, setFormSpec] = useState(emptySpec);
+  // Dropped files waiting for the request to be submitted: [{ entry, blob }]
+  const [formFiles, setFormFiles] = useState([]);
+  const [readingFiles, setReadingFiles] = useState(false);
+
+  const { toasts, push, remove } = useToasts();
+
+  // Active backend; the outbox and drain loop read it through a ref
+  const [storageConfig, setStorageConfig] = useState(loadStorageConfig);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [fleetOpen, setFleetOpen] = useState(false);
+  const [trashOpen, setTrashOpen] = useState(false);
+  const [transferOpen, setTransferOpen] = useState(false);
+  // Ids of the cards ticked for batch actions
+  const [selection, setSelection] = useState([]);
+  const selectionAnchor = useRef(null);
+  const [costing, setCosting] = useState(loadCosting);
+  const adapter = useMemo(
+    () => createAdapter(storageConfig, { requests: STORAGE_KEY, printers: PRINTERS_KEY, history: HISTORY_KEY }),
+    [storageConfig]
+  );
+  const adapterRef = useRef(adapter);
+
+  // Pending sheet writes; the ref mirrors state so the drain loop sees the latest queue
+  const [outbox, setOutboxState] = useState([]);
+  const outboxRef = useRef([]);
+  const draining = useRef(null);
+  const drainTimer = useRef(null);
+
+  const setOutbox = (update) => {
+    outboxRef.current = typeof update === "function" ? update(outboxRef.current) : update;
+    setOutboxState(outboxRef.current);
+  };
+
+  useEffect(() => {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const parsed = JSON.parse(saved);
+        if (Array.isArray(parsed)) {
+          setRequests(parsed);
+          openPending(parsed);
+        }
+      }
+    } catch {
+      // corrupt cache; start empty and let the sheet refill it
+    }
+    try {
+      const parsed = JSON.parse(localStorage.getItem(PRINTERS_KEY) || "[]");
+      if (Array.isArray(parsed)) setPrinters(parsed);
+    } catch {
+      // same as above
+    }
+    setHistory(loadHistory());
+    setOutbox(loadOutbox());
+    setHydrated(true);
+  }, []);
+
+  useEffect(() => {
+    adapterRef.current = adapter;
+    if (!hydrated) return;
+    drainOutbox({ force: true });
+    refreshFromSheet();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [adapter]);
+
+  // Refresh merges against the latest local copy, not the one it started with
+  const requestsRef = useRef(requests);
+  useEffect(() => {
+    requestsRef.current = requests;
+    if (!hydrated) return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(requests));
+  }, [requests, hydrated]);
+
+  const printersRef = useRef(printers);
+  useEffect(() => {
+    printersRef.current = printers;
+    if (!hydrated) return;
+    localStorage.setItem(PRINTERS_KEY, JSON.stringify(printers));
+  }, [printers, hydrated]);
+
+  const historyRef = useRef(history);
+  useEffect(() => {
+    historyRef.current = history;
+    if (!hydrated) return;
+    saveHistory(history);
+  }, [history, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    saveOutbox(outbox);
+  }, [outbox, hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    const onOnline = () => drainOutbox({ force: true });
+    window.addEventListener("online", onOnline);
+    const timer = setInterval(() => drainOutbox(), OUTBOX_POLL_INTERVAL);
+    drainOutbox();
+    return () => {
+      window.removeEventListener("online", onOnline);
+      clearInterval(timer);
+      clearTimeout(drainTimer.current);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hydrated]);
+
+  useEffect(() => {
+    if (!hydrated) return;
+    purgeExpiredTrash();
+    refreshFromSheet();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [hydrated]);
+
+  useEffect(() => {
+    writeUrlState({
+      q: search,
+      status: statusFilter,
+      priority: priorityFilter,
+      sort,
+      mine: mineOnly ? "1" : "",
+      view,
+      // Keep a linked request in the URL until it has loaded and opened
+      request: selected?.id || pendingOpen.current || "",
+    });
+  }, [search, statusFilter, priorityFilter, sort, mineOnly, view, selected?.id]);
+
+  // Everything outside the Trash panel works on live (not deleted) requests
+  const liveRequests = useMemo(() => requests.filter((r) => !isTrashed(r)), [requests]);
+  const trashed = useMemo(
+    () => requests.filter(isTrashed).sort((a, b) => (a.deletedAt < b.deletedAt ? 1 : -1)),
+    [requests]
+  );
+
+  const printersById = useMemo(() => new Map(printers.map((p) => [p.id, p])), [printers]);
+
+  // The search box query narrows the status/priority dropdowns; a sort: term overrides the sort select
+  const query = useMemo(() => parseQuery(search, { statuses, priorities }), [search, statuses]);
+  const highlight = useMemo(() => highlightPattern(query), [query]);
+
+  const filtered = useMemo(() => {
+    const scoped = liveRequests.filter((r) => {
+      const matchesQuery = matchQuery(r, query, {
+        priorities,
+        printerName: (req) => printersById.get(req.printerId)?.name || "",
+        kindOf,
+      });
+      const matchesStatus = statusFilter === "All" || r.status === statusFilter;
+      const matchesPriority = priorityFilter === "All" || r.priority === priorityFilter;
+      const matchesMine = !mineOnly || isMine(r, profile, aliases);
+      return matchesQuery && matchesStatus && matchesPriority && matchesMine;
+    });
+    return sortRequests(scoped, query.sort || sort);
+  }, [liveRequests, query, printersById, kindOf, statusFilter, priorityFilter, mineOnly, profile, aliases, sort]);
+
+  const requesterOf = useCallback((r) => canonicalName(r.name, aliases), [aliases]);
+
+  const requesters = useMemo(
+    () => requesterDirectory(liveRequests, aliases, kindOf),
+    [liveRequests, aliases, kindOf]
+  );
+
+  const searchOptions = useMemo(
+    () => ({
+      statuses,
+      priorities,
+      materials,
+      requesters: requesters.map((r) => r.name).sort(),
+      printers: printers.map((p) => p.name),
+    }),
+    [statuses, requesters, printers]
+  );
+
+  // Batch actions only touch selected cards that are still in view
+  const selectedRequests = useMemo(() => filtered.filter((r) => selection.includes(r.id)), [filtered, selection]);
+
+  const columns = useMemo(
+    () =>
+      boardColumns(
+        filtered,
+        statusFilter === "All" ? queryStatuses(query, statuses) : [statusFilter],
+        sortRequests(liveRequests, query.sort || sort)
+      ),
+    [filtered, liveRequests, statusFilter, query, statuses, sort]
+  );
+
+  const { overdue, dueToday, dueSoon } = useMemo(
+    () => triageBuckets(liveRequests, { now, kindOf, windowHours: reminderSettings.windowHours }),
+    [liveRequests, now, kindOf, reminderSettings.windowHours]
+  );
+
+  const reminders = useMemo(() => {
+    if (!reminderSettings.enabled) return [];
+    const scoped = reminderSettings.mineOnly ? liveRequests.filter((r) => isMine(r, profile, aliases)) : liveRequests;
+    return activeReminders(scoped, reminderState, { now, kindOf, windowHours: reminderSettings.windowHours });
+  }, [reminderSettings, liveRequests, profile, aliases, reminderState, now, kindOf]);
+
+  useEffect(() => {
+    saveReminderState(reminderState);
+  }, [reminderState]);
+
+  // Raise reminders that are new (or back from a snooze) as browser notifications;
+  // a burst of them becomes one summary
+  useEffect(() => {
+    const fresh = unannounced(reminders, reminderState);
+    if (!fresh.length) return;
+    if (reminderSettings.browser && "Notification" in window && Notification.permission === "granted") {
+      const alerts =
+        fresh.length > 3
+          ? [{ title: `${fresh.length} print requests need attention`, body: "Open the Print Hub to see them" }]
+          : fresh.map((r) => ({
+              title: describeReminder(r, now),
+              body: `${r.req.name}: ${r.req.description}`,
+              req: r.req,
+            }));
+      alerts.forEach((a) => {
+        const n = new Notification(a.title, { body: a.body, tag: a.req?.id || "print-hub-reminders" });
+        n.onclick = () => {
+          window.focus();
+          if (a.req) setSelected(a.req);
+        };
+      });
+    }
+    setReminderState((state) => markAnnounced(state, fresh));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [reminders]);
+
+  useEffect(() => {
+    if (view !== "schedule" && view !== "calendar" && !reminderSettings.enabled) return;
+    const timer = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, [view, reminderSettings.enabled]);
+
+  // The queue is physical, so it covers every open request, not just the filtered ones
+  const schedule = useMemo(
+    () =>
+      scheduleQueue(liveRequests, printers, {
+        now,
+        rank: (r) => priorityRank[r.priority] ?? priorityRank.Normal,
+        hoursFor: (r) => estimateRequest(r, costing)?.hours || 0,
+        kindOf,
+      }),
+    [liveRequests, printers, costing, now, kindOf]
+  );
+
+  // Jobs still to print (or printing) per printer
+  const printerJobCounts = useMemo(() => {
+    const counts = {};
+    liveRequests.forEach((r) => {
+      if (r.printerId && !isClosedKind(kindOf(r.status))) {
+        counts[r.printerId] = (counts[r.printerId] || 0) + 1;
+      }
+    });
+    return counts;
+  }, [liveRequests, kindOf]);
+
+  async function refreshFromSheet() {
+    if (!adapterRef.current.remote) return;
+    setLoadingRefresh(true);
+    try {
+      const [res, printerRes, historyRes, settingsRes, deliveryRes] = await Promise.all([
+        adapterRef.current.list("requests"),
+        adapterRef.current.list("printers"),
+        adapterRef.current.list("history"),
+        adapterRef.current.list("settings"),
+        adapterRef.current.list("deliveries"),
+      ]);
+      if (!res.ok) throw new Error(res.error);
+      const merged = mergeRecords(requestsRef.current, res.rows, opsFor(outboxRef.current, "requests"));
+      setRequests(merged);
+      setSelected((prev) => (prev ? merged.find((r) => r.id === prev.id) || null : prev));
+      openPending(merged);
+
+      // An older backend without a printers tab shouldn't fail the whole refresh
+      if (printerRes.ok) {
+        setPrinters(mergeRecords(printersRef.current, printerRes.rows, opsFor(outboxRef.current, "printers")));
+      }
+      if (historyRes.ok) setHistory(mergeHistory(historyRef.current, historyRes.rows));
+      if (settingsRes.ok) syncSettings(settingsRes.rows);
+      if (deliveryRes.ok) setDeliveryRows(deliveryRes.rows);
+      requestsRef.current = merged;
+      purgeExpiredTrash();
+
+      const conflicts = merged.filter((r) => r.conflict).length;
+      if (conflicts) push(`Inbox refreshed. ${conflicts} conflict(s) need a look.`, "error");
+      else push("Inbox refreshed", "success");
+    } catch (e) {
+      push(`Refresh failed: ${e.message || "possible CORS"}`, "error");
+    } finally {
+      setLoadingRefresh(false);
+    }
+  }
+
+  function syncSettings(rows) {
+    syncSetting(rows, PIPELINE_SETTING, sharedPipeline(rows), hasSavedPipeline() && loadPipeline(), (p) => {
+      savePipeline(p);
+      setPipeline(p);
+    });
+    const rules = hasSavedNotifySettings() && loadNotifySettings();
+    syncSetting(rows, NOTIFY_SETTING, sharedNotifySettings(rows), rules, (s) => {
+      saveNotifySettings(s);
+      setNotifySettings(s);
+    });
+  }
+
+  // The backend's copy of a setting replaces this browser's, unless a save from here
+  // is still on its way. A backend without one yet is given `local` (what this
+  // browser had saved before settings were shared).
+  function syncSetting(rows, id, shared, local, apply) {
+    if (hasPendingFor(opsFor(outboxRef.current, "settings"), id)) return;
+    if (shared) apply(shared);
+    else if (local && !rows.some((r) => r.id === id)) shareSetting(id, local);
+  }
+
+  function shareSetting(id, value) {
+    enqueueSync("create", id, { id, value, updatedAt: new Date().toISOString() }, 0, "settings");
+  }
+
+  // `patch` is an object of fields, or a function of the current record returning one
+  function patchLocal(id, patch, collection = "requests") {
+    // Settings rows aren't kept as records here; see syncSettings
+    if (collection === "settings") return;
+    const apply = (r) => ({ ...r, ...(typeof patch === "function" ? patch(r) : patch) });
+    if (collection === "printers" || collection === "history") {
+      const set = collection === "printers" ? setPrinters : setHistory;
+      set((prev) => prev.map((p) => (p.id === id ? apply(p) : p)));
+      return;
+    }
+    setRequests((prev) => prev.map((r) => (r.id === id ? apply(r) : r)));
+    setSelected((prev) => (prev && prev.id === id ? apply(prev) : prev));
+  }
+
+  // The sheet confirmed a write: take its stored row and version, unless more
+  // local edits are queued behind it (then only move the base forward)
+  function markConfirmed(op, result) {
+    if (op.type === "batch" || op.type === "createMany") {
+      (op.type === "batch" ? op.payload.updates : op.payload.records).forEach((u) => {
+        const row = (result.rows || []).find((r) => r?.id === u.id);
+        confirmRecord(u.id, row, result.version, u.updatedAt || u.createdAt, opCollection(op));
+      });
+      return;
+    }
+
+    const row = result.row || {};
+    if (op.type === "attach") {
+      // Record the upload link right away so later attachment edits carry it
+      const uploaded = (row.attachments || []).find((a) => a.id === op.payload.attachment.id);
+      patchLocal(op.id, (r) => ({
+        attachments: (r.attachments || []).map((a) =>
+          a.id === op.payload.attachment.id ? { ...a, url: uploaded?.url, uploaded: true } : a
+        ),
+      }));
+    }
+    confirmRecord(op.id, row, result.version, op.payload.updatedAt || op.payload.createdAt, opCollection(op));
+  }
+
+  function confirmRecord(id, row = {}, version, updatedAt, collection) {
+    const patch = { version: row.version ?? version, remoteUpdatedAt: row.updatedAt || updatedAt, syncError: undefined };
+    if (hasPendingFor(outboxRef.current, id)) patchLocal(id, patch, collection);
+    else patchLocal(id, { ...row, ...patch, synced: true }, collection);
+  }
+
+  // "Keep mine": the queued edits stay and will overwrite the sheet
+  function keepLocalVersion(req) {
+    patchLocal(req.id, { conflict: undefined });
+    push("Keeping your version", "success");
+  }
+
+  // "Use sheet": take the sheet's values and drop the queued edits to those fields
+  function takeSheetVersion(req) {
+    const { fields, remote, remoteUpdatedAt } = req.conflict;
+    setOutbox((ops) => dropPendingChanges(ops, req.id, fields));
+    patchLocal(req.id, {
+      ...remote,
+      conflict: undefined,
+      remoteUpdatedAt,
+      synced: !hasPendingFor(outboxRef.current, req.id),
+    });
+    push("Using the sheet version", "success");
+  }
+
+  // Queue a write and kick the drain; a delay debounces bursts like typing
+  function enqueueSync(type, id, payload, delay = 0, collection = "requests") {
+    if (!adapterRef.current.remote) return;
+    setOutbox((ops) =>
+      enqueueOp(ops, makeOp(type, id, payload, collection), draining.current?.opId)
+    );
+    clearTimeout(drainTimer.current);
+    drainTimer.current = setTimeout(() => drainOutbox({ force: true }), delay);
+  }
+
+  // Replay the outbox in order, stopping at the first failure so writes never
+  // overtake each other. Failed ops back off; `force` ignores the backoff.
+  async function drainOutbox({ force = false } = {}) {
+    if (draining.current || !adapterRef.current.remote) return;
+    if (typeof navigator !== "undefined" && navigator.onLine === false) return;
+
+    while (outboxRef.current.length) {
+      const op = outboxRef.current[0];
+      if (!force && op.nextAttemptAt > Date.now()) return;
+
+      draining.current = op;
+      const result = await sendOp(adapterRef.current, op);
+      draining.current = null;
+
+      if (!result.ok && result.retryable) {
+        setOutbox((ops) => markFailed(ops, op.opId, result.error));
+        if (op.attempts === 0) push(`Could not reach the sheet (${result.error}). Will retry.`, "error");
+        return;
+      }
+
+      setOutbox((ops) => ops.filter((o) => o.opId !== op.opId));
+
+      if (op.type === "notify") {
+        notified(op, result);
+        continue;
+      }
+
+      if (!result.ok) {
+        // Rejected by the script: drop it so the rest of the queue can move
+        if (op.type !== "delete") {
+          opRecordIds(op).forEach((id) => patchLocal(id, { synced: false, syncError: result.error }, opCollection(op)));
+        }
+        push(`Sheet error: ${result.error}`, "error");
+        continue;
+      }
+
+      if (op.type !== "delete") markConfirmed(op, result);
+    }
+  }
+
+  // Append history events; typing into the same field folds into the last event
+  function recordHistory(events) {
+    events.forEach((event) => {
+      const target = mergeTarget(historyRef.current, event);
+      if (target) {
+        const changes = { to: event.to, updatedAt: event.createdAt };
+        historyRef.current = historyRef.current.map((e) => (e.id === target.id ? { ...e, ...changes } : e));
+        patchLocal(target.id, { ...changes, synced: false }, "history");
+        enqueueSync("update", target.id, updatePayload(changes, event.createdAt), NOTES_SYNC_DELAY, "history");
+        return;
+      }
+      const saved = { ...event, synced: false };
+      historyRef.current = [...historyRef.current, saved];
+      setHistory((prev) => [...prev, saved]);
+      enqueueSync("create", event.id, saved, 0, "history");
+    });
+  }
+
+  function recordEvent(requestId, type) {
+    recordHistory([
+      { id: uuid(), requestId, type, actor: actorName(profile.name), createdAt: new Date().toISOString() },
+    ]);
+  }
+
+  function updateRequest(id, changes) {
+    const updatedAt = new Date().toISOString();
+    const before = requestsRef.current.find((r) => r.id === id);
+    if (before) recordHistory(changeEvents(before, changes, actorName(profile.name), uuid, updatedAt));
+    patchLocal(id, { ...changes, updatedAt, synced: false });
+
+    enqueueSync(
+      "update",
+      id,
+      updatePayload(changes, updatedAt),
+      TYPED_FIELDS.some((f) => f in changes) ? NOTES_SYNC_DELAY : 0
+    );
+    // After the update, so the backend sees the new status when it sends
+    if (before) notifyStatusChange(before, changes);
+  }
+
+  // Check and parse dropped files; bad ones are reported and skipped
+  async function prepareFiles(files) {
+    setReadingFiles(true);
+    const prepared = [];
+    for (const file of files) {
+      try {
+        prepared.push(await readAttachment(file, uuid()));
+      } catch (err) {
+        push(err.message, "error");
+      }
+    }
+    setReadingFiles(false);
+    return prepared;
+  }
+
+  // Keep the files in IndexedDB and queue their uploads behind the request itself
+  async function storeAndQueueUploads(requestId, prepared) {
+    const stored = [];
+    for (const { entry, blob } of prepared) {
+      try {
+        await saveAttachmentBlob(entry.id, blob);
+        stored.push(entry);
+      } catch {
+        push(`Could not store ${entry.name} in this browser`, "error");
+      }
+    }
+    stored.forEach((entry) => enqueueSync("attach", requestId, { attachment: entry }));
+    return stored;
+  }
+
+  const newEntry = (entry) => (adapterRef.current.remote ? { ...entry, uploaded: false } : entry);
+
+  async function addFormFiles(files) {
+    const prepared = await prepareFiles(files);
+    setFormFiles((prev) => [...prev, ...prepared]);
+  }
+
+  async function addAttachments(req, files) {
+    const prepared = await prepareFiles(files);
+    if (!prepared.length) return;
+    const stored = await storeAndQueueUploads(
+      req.id,
+      prepared.map((p) => ({ ...p, entry: newEntry(p.entry) }))
+    );
+    const current = requestsRef.current.find((r) => r.id === req.id)?.attachments || [];
+    updateRequest(req.id, { attachments: [...current, ...stored] });
+    push(`Attached ${stored.length} file(s)`, "success");
+  }
+
+  function removeAttachment(req, entry) {
+    const current = requestsRef.current.find((r) => r.id === req.id)?.attachments || [];
+    updateRequest(req.id, { attachments: current.filter((a) => a.id !== entry.id) });
+    setOutbox((ops) =>
+      ops.filter(
+        (o) => o.type !== "attach" || o.payload.attachment.id !== entry.id || o === draining.current
+      )
+    );
+    deleteAttachmentBlob(entry.id).catch(() => {});
+  }
+
+  async function openAttachment(entry) {
+    const blob = await loadAttachmentBlob(entry.id).catch(() => null);
+    if (blob) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = entry.name;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } else if (entry.url) {
+      window.open(entry.url, "_blank", "noopener");
+    } else {
+      push("That file isn't stored on this device", "error");
+    }
+  }
+
+  // Measure an STL for the fit check; only its size is kept on the request
+  async function checkFit(req, file) {
+    if (!file.name.toLowerCase().endsWith(".stl")) return push("Fit check needs an STL file", "error");
+    setReadingFiles(true);
+    try {
+      const { bbox } = parseStl(await file.arrayBuffer());
+      const size = bbox.size.map((v) => Math.round(v * 10) / 10);
+      updateRequest(req.id, { fitCheck: { name: file.name, size, checkedAt: new Date().toISOString() } });
+    } catch (err) {
+      push(`${file.name}: ${err.message}`, "error");
+    } finally {
+      setReadingFiles(false);
+    }
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    if (!formName.trim()) return push("Name is required", "error");
+    if (!formDesc.trim()) return push("Description is required", "error");
+    const contact = normalizeProfile(formContact);
+    const contactError = validateProfile(contact);
+    if (contactError) return push(contactError, "error");
+    const spec = normalizeSpec(formSpec);
+    const specError = validateSpec(spec);
+    if (specError) return push(specError, "error");
+
+    setLoadingSubmit(true);
+
+    const createdAt = new Date().toISOString();
+    const newReq = {
+      id: uuid(),
+      createdAt,
+      updatedAt: createdAt,
+      name: canonicalName(formName.trim(), aliases),
+      requesterEmail: contact.email,
+      requesterTeam: contact.team,
+      description: formDesc.trim(),
+      dueDate: formDue ? new Date(formDue).toISOString() : "",
+      priority: formPriority,
+      ...spec,
+      status: firstStatus(pipeline),
+      devNotes: "",
+      pinned: false,
+      attachments: [],
+      comments: [],
+      synced: false,
+    };
+
+    setRequests((prev) => [newReq, ...prev]);
+    enqueueSync("create", newReq.id, newReq);
+    recordEvent(newReq.id, "created");
+    notify({ type: "created", request: newReq });
+
+    if (formFiles.length) {
+      const stored = await storeAndQueueUploads(
+        newReq.id,
+        formFiles.map((f) => ({ ...f, entry: newEntry(f.entry) }))
+      );
+      // Local only: the upload ops add each file to the sheet row as they land
+      patchLocal(newReq.id, { attachments: stored });
+      setFormFiles([]);
+    }
+
+    setFormDesc("");
+    setFormDue("");
+    setFormSpec(emptySpec);
+    push("Request added", "success");
+
+    setLoadingSubmit(false);
+    setFormOpenMobile(false);
+  }
+
+  async function retrySync(req) {
+    // Nothing queued means the row never made it or was rejected; a create
+    // upserts the whole record by id
+    if (!hasPendingFor(outboxRef.current, req.id)) {
+      setOutbox((ops) => [...ops, makeOp("create", req.id, req)]);
+    }
+    await drainOutbox({ force: true });
+    const stillPending = hasPendingFor(outboxRef.current, req.id);
+    push(stillPending ? "Retry failed" : "Sent to sheet", stillPending ? "error" : "success");
+  }
+
+  // Soft delete: the request moves to the trash and can be brought back
+  function deleteRequest(req) {
+    updateRequest(req.id, { deletedAt: new Date().toISOString() });
+    setSelected((s) => (s?.id === req.id ? null : s));
+    push(`Moved "${req.name}" to the trash`, "success", { label: "Undo", onClick: () => restoreRequest(req) });
+  }
+
+  function restoreRequest(req) {
+    updateRequest(req.id, { deletedAt: "" });
+    push(`Restored "${req.name}"`, "success");
+  }
+
+  // Permanent delete, from the trash or once the retention period is up
+  function purgeRequest(req) {
+    (req.attachments || []).forEach((a) => deleteAttachmentBlob(a.id).catch(() => {}));
+    setRequests((prev) => prev.filter((r) => r.id !== req.id));
+    // Delete command for the sheet; drops any unsent create/updates for this row
+    enqueueSync("delete", req.id, {});
+    recordEvent(req.id, "deleted");
+  }
+
+  function deleteForever(req) {
+    if (!window.confirm(`Delete "${req.name}" for good? This removes it from the sheet too.`)) return;
+    purgeRequest(req);
+    push("Deleted", "success");
+  }
+
+  function emptyTrash() {
+    if (!window.confirm(`Delete ${trashed.length} request(s) for good? This removes them from the sheet too.`)) return;
+    trashed.forEach(purgeRequest);
+    push("Trash emptied", "success");
+  }
+
+  function purgeExpiredTrash() {
+    expiredTrash(requestsRef.current).forEach(purgeRequest);
+  }
+
+  function addPrinter(fields) {
+    const printer = normalizePrinter(fields);
+    const error = validatePrinter(printer);
+    if (error) {
+      push(error, "error");
+      return false;
+    }
+
+    const createdAt = new Date().toISOString();
+    const newPrinter = { ...printer, id: uuid(), createdAt, updatedAt: createdAt, synced: false };
+    setPrinters((prev) => [...prev, newPrinter]);
+    enqueueSync("create", newPrinter.id, newPrinter, 0, "printers");
+    push("Printer added", "success");
+    return true;
+  }
+
+  function updatePrinter(id, fields) {
+    const printer = normalizePrinter(fields);
+    const error = validatePrinter(printer);
+    if (error) {
+      push(error, "error");
+      return false;
+    }
+
+    const current = printers.find((p) => p.id === id) || {};
+    const changes = Object.fromEntries(
+      Object.entries(printer).filter(
+        ([k, v]) => k in emptyPrinter && JSON.stringify(v) !== JSON.stringify(current[k])
+      )
+    );
+    if (!Object.keys(changes).length) return true;
+
+    const updatedAt = new Date().toISOString();
+    patchLocal(id, { ...changes, updatedAt, synced: false }, "printers");
+    enqueueSync("update", id, updatePayload(changes, updatedAt), 0, "printers");
+    return true;
+  }
+
+  function deletePrinter(printer) {
+    const assigned = requests.filter((r) => r.printerId === printer.id);
+    const ok = window.confirm(
+      assigned.length
+        ? `Remove "${printer.name}"? ${assigned.length} request(s) will be unassigned.`
+        : `Remove "${printer.name}"?`
+    );
+    if (!ok) return;
+
+    assigned.forEach((r) => updateRequest(r.id, { printerId: "" }));
+    setPrinters((prev) => prev.filter((p) => p.id !== printer.id));
+    enqueueSync("delete", printer.id, {}, 0, "printers");
+    push("Printer removed", "success");
+  }
+
+  function saveSettings(config) {
+    saveStorageConfig(config);
+    setStorageConfig(config);
+    setSettingsOpen(false);
+    push("Settings saved", "success");
+  }
 
-      <p className="text-xs text-slate-500">
-        Required: Name and Description.
-      </p>
-    </form>
-  );
-}
+  function saveCostSettings(next) {
+    saveCosting(next);
+    setCosting(next);
+    push("Prices saved", "success");
+  }
 
-export default function PrintInboxHub() {
-  const [requests, setRequests] = useState([]);
-  const [hydrated, setHydrated] = useState(false);
+  function updateProfile(next) {
+    const clean = normalizeProfile(next);
+    const error = validateProfile(clean);
+    if (error) return push(error, "error");
+    saveProfile(clean);
+    setProfile(clean);
+    // Only fill form fields the user hasn't typed into
+    setFormName((v) => v || clean.name);
+    setFormContact((c) => ({ email: c.email || clean.email, team: c.team || clean.team }));
+    push("Profile saved", "success");
+  }
 
-  const [search, setSearch] = useState("");
-  const [statusFilter, setStatusFilter] = useState("All");
-  const [priorityFilter, setPriorityFilter] = useState("All");
-  const [sort, setSort] = useState("newest");
+  // Ask the backend to send whatever the shared rules want for this event. Only the
+  // event and the request go over; the backend looks up the rest.
+  function notify(event) {
+    if (!wantsEvent(notifySettings, event)) return;
+    const payload = { event: event.type, ...(event.comment && { commentId: event.comment.id }) };
+    enqueueSync("notify", event.request.id, payload);
+  }
 
-  const [selected, setSelected] = useState(null);
-  const [formOpenMobile, setFormOpenMobile] = useState(false);
+  function notifyStatusChange(before, changes) {
+    if (!changes.status || changes.status === before.status) return;
+    notify({ type: "status", request: { ...before, ...changes }, from: before.status });
+  }
 
-  const [loadingSubmit, setLoadingSubmit] = useState(false);
-  const [loadingRefresh, setLoadingRefresh] = useState(false);
+  // The backend answers a notify op with the deliveries it logged
+  function notified(op, result) {
+    if (!result.ok) return push(`Notification failed: ${result.error}`, "error");
+    const rows = result.rows || [];
+    setDeliveryRows((prev) => [...prev.filter((d) => !rows.some((r) => r.id === d.id)), ...rows]);
+    if (!op.payload.resend) return;
+    const failed = rows.find((d) => !d.ok);
+    if (!rows.length) push("Nothing to resend under the current rules", "info");
+    else if (failed) push(`Resend failed: ${failed.error}`, "error");
+    else push("Notification sent again", "success");
+  }
 
-  const [formName, setFormName] = useState("");
-  const [formDesc, setFormDesc] = useState("");
-  const [formDue, setFormDue] = useState("");
-  const [formPriority, setFormPriority] = useState("Normal");
+  function resendNotification(req, entry) {
+    enqueueSync("notify", req.id, { resend: entry.id });
+  }
 
-  const { toasts, push, remove } = useToasts();
+  function updateNotifySettings(next) {
+    saveNotifySettings(next);
+    setNotifySettings(next);
+    shareSetting(NOTIFY_SETTING, next);
+    push("Notifications saved", "success");
+  }
 
-  useEffect(() => {
-    try {
-      const saved = localStorage.getItem(STORAGE_KEY);
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        if (Array.isArray(parsed)) setRequests(parsed);
+  // Posts a test message to the backend's webhook; not logged against any request
+  async function sendTestNotification() {
+    const result = await adapterRef.current.notify({ event: "test" });
+    const failed = result.ok ? (result.rows || []).find((d) => !d.ok) : result;
+    if (failed) push(`Test failed: ${failed.error}`, "error");
+    else push("Test sent to the webhook", "success");
+  }
+
+  async function updateReminderSettings(next) {
+    let settings = next;
+    if (next.enabled && next.browser && "Notification" in window && Notification.permission !== "granted") {
+      const permission = await Notification.requestPermission();
+      if (permission !== "granted") {
+        push("Browser notifications are blocked; reminders will only show here", "error");
+        settings = { ...next, browser: false };
       }
-    } catch {}
-    setHydrated(true);
-  }, []);
+    }
+    saveReminderSettings(settings);
+    setReminderSettings(settings);
+    setNow(new Date());
+    push("Reminders saved", "success");
+  }
 
-  useEffect(() => {
-    if (!hydrated) return;
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(requests));
-  }, [requests, hydrated]);
+  function snoozeReminder(reminder, option) {
+    setReminderState((state) => snooze(state, reminder, option));
+  }
 
-  useEffect(() => {
-    if (!hydrated) return;
-    refreshFromSheet();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [hydrated]);
+  function toggleMine() {
+    if (!mineOnly && !profile.name && !profile.email) {
+      setSettingsOpen(true);
+      return push("Add your name or email under Settings first", "info");
+    }
+    setMineOnly((v) => !v);
+  }
 
-  const filtered = useMemo(() => {
-    const term = search.toLowerCase().trim();
-    const scoped = requests.filter((r) => {
-      const matchesTerm =
-        !term ||
-        (r.name || "").toLowerCase().includes(term) ||
-        (r.description || "").toLowerCase().includes(term);
-      const matchesStatus = statusFilter === "All" || r.status === statusFilter;
-      const matchesPriority = priorityFilter === "All" || r.priority === priorityFilter;
-      return matchesTerm && matchesStatus && matchesPriority;
+  function updateAliases(next) {
+    saveAliases(next);
+    setAliases(next);
+  }
+
+  // Merged spellings are renamed on the requests themselves (one batch, so it can be undone)
+  // and remembered so new requests typed the old way get the chosen name
+  function mergeRequesters(names, target) {
+    const before = aliases;
+    const next = mergeAliases(aliases, names, target);
+    updateAliases(next);
+    const updates = liveRequests
+      .filter((r) => names.includes(String(r.name || "").trim()) && r.name !== target)
+      .map((r) => ({ id: r.id, changes: { name: target } }));
+    const undo = updates.map((u) => ({
+      id: u.id,
+      changes: { name: requestsRef.current.find((r) => r.id === u.id)?.name || "" },
+    }));
+    if (updates.length) applyBatch(updates);
+    push(`Merged into ${target}`, "success", {
+      label: "Undo",
+      onClick: () => {
+        updateAliases(before);
+        if (undo.length) applyBatch(undo);
+      },
     });
-    return sortRequests(scoped, sort);
-  }, [requests, search, statusFilter, priorityFilter, sort]);
+  }
 
-  const { overdue, dueToday } = useMemo(() => triageBuckets(requests), [requests]);
+  function resetSettings() {
+    saveStorageConfig(null);
+    setStorageConfig(defaultStorageConfig);
+    setSettingsOpen(false);
+    push("Using the build default backend", "success");
+  }
 
-  async function refreshFromSheet() {
-    if (!SHEETS_ENDPOINT) return;
-    setLoadingRefresh(true);
+  function openPending(list) {
+    const req = pendingOpen.current && list.find((r) => r.id === pendingOpen.current);
+    if (!req) return;
+    pendingOpen.current = "";
+    setSelected(req);
+  }
+
+  function applySavedView(saved) {
+    const state = { ...defaultViewState, ...saved.state };
+    setSearch(state.q);
+    setStatusFilter(state.status);
+    setPriorityFilter(state.priority);
+    setSort(state.sort);
+    setMineOnly(state.mine === "1");
+    if (state.view) changeView(state.view);
+  }
+
+  function updateSavedViews(next) {
+    saveSavedViews(next);
+    setSavedViews(next);
+  }
+
+  function saveCurrentView(name) {
+    const state = { q: search, status: statusFilter, priority: priorityFilter, sort, mine: mineOnly ? "1" : "", view };
+    // Saving under an existing name replaces that view
+    const others = savedViews.filter((v) => v.name.toLowerCase() !== name.toLowerCase());
+    updateSavedViews([...others, { id: uuid(), name, state }]);
+    push(`Saved view "${name}"`, "success");
+  }
+
+  async function copyLink() {
     try {
-      const res = await fetch(`${SHEETS_ENDPOINT}?method=GET`);
-      const data = await res.json();
-      if (!data?.rows || !Array.isArray(data.rows)) throw new Error("Bad response");
-      setRequests(data.rows.map((r) => ({ ...r, synced: true })));
-      push("Inbox refreshed", "success");
+      await navigator.clipboard.writeText(window.location.href);
+      push("Link copied", "success");
     } catch {
-      push("Refresh failed (possible CORS).", "error");
-    } finally {
-      setLoadingRefresh(false);
+      push("Copy failed", "error");
     }
   }
 
-  function updateRequest(id, changes) {
-    setRequests((prev) => prev.map((r) => (r.id === id ? { ...r, ...changes } : r)));
-    setSelected((prev) => (prev && prev.id === id ? { ...prev, ...changes } : prev));
+  function changeView(next) {
+    saveView(next);
+    setView(next);
+    if (next === "schedule" || next === "calendar" || next === "analytics") setNow(new Date());
   }
 
-  async function onSubmit(e) {
-    e.preventDefault();
-    if (!formName.trim()) return push("Name is required", "error");
-    if (!formDesc.trim()) return push("Description is required", "error");
+  function exportCalendar() {
+    downloadFile("print-deadlines.ics", toIcs(liveRequests, { kindOf }), "text/calendar");
+  }
 
-    setLoadingSubmit(true);
+  // Shift-click selects the range from the last clicked card, in list order
+  function toggleSelect(req, range) {
+    const anchor = selectionAnchor.current;
+    selectionAnchor.current = req.id;
+    const from = filtered.findIndex((r) => r.id === anchor);
+    const to = filtered.findIndex((r) => r.id === req.id);
+    if (range && from !== -1 && to !== -1) {
+      const ids = filtered.slice(Math.min(from, to), Math.max(from, to) + 1).map((r) => r.id);
+      setSelection((prev) => [...new Set([...prev, ...ids])]);
+      return;
+    }
+    setSelection((prev) => (prev.includes(req.id) ? prev.filter((id) => id !== req.id) : [...prev, req.id]));
+  }
 
-    const newReq = {
-      id: uuid(),
-      createdAt: new Date().toISOString(),
-      name: formName.trim(),
-      description: formDesc.trim(),
-      dueDate: formDue ? new Date(formDue).toISOString() : "",
-      priority: formPriority,
-      status: "New",
+  function selectAllFiltered(on) {
+    setSelection(on ? filtered.map((r) => r.id) : []);
+  }
+
+  // Several record updates as one outbox op (and one sheet write)
+  function applyBatch(updates) {
+    const updatedAt = new Date().toISOString();
+    const befores = updates.map((u) => requestsRef.current.find((r) => r.id === u.id));
+    updates.forEach((u, i) => {
+      if (befores[i]) recordHistory(changeEvents(befores[i], u.changes, actorName(profile.name), uuid, updatedAt));
+      patchLocal(u.id, { ...u.changes, updatedAt, synced: false });
+    });
+    enqueueSync("batch", uuid(), { updates: updates.map((u) => ({ ...u, updatedAt })) });
+    updates.forEach((u, i) => {
+      if (befores[i]) notifyStatusChange(befores[i], u.changes);
+    });
+  }
+
+  // Apply `changes` (or `changes(req)`, null to skip one) to every selected request,
+  // with an Undo that reverts the batch as a whole
+  function runBatch(label, changes) {
+    const changesFor = typeof changes === "function" ? changes : () => changes;
+    const updates = selectedRequests
+      .map((r) => ({
+        id: r.id,
+        // An unset flag already counts as false
+        changes: Object.fromEntries(
+          Object.entries(changesFor(r) || {}).filter(([k, v]) => r[k] !== v && !(v === false && !r[k]))
+        ),
+      }))
+      .filter((u) => Object.keys(u.changes).length);
+    if (!updates.length) return push("Nothing to change", "info");
+
+    const undo = updates.map((u) => {
+      const before = requestsRef.current.find((r) => r.id === u.id) || {};
+      return { id: u.id, changes: Object.fromEntries(Object.keys(u.changes).map((k) => [k, before[k] ?? ""])) };
+    });
+    applyBatch(updates);
+    push(`${label} ${updates.length} request(s)`, "success", { label: "Undo", onClick: () => applyBatch(undo) });
+  }
+
+  // Rows that passed the import preview. A known id upserts over the existing
+  // request (only reached when the user chose to overwrite duplicates).
+  function importRequests(rows, { overwrite }) {
+    const now = new Date().toISOString();
+    const existing = new Map(requestsRef.current.map((r) => [r.id, r]));
+    const records = rows.map(({ record }) => ({
+      ...emptySpec,
+      status: firstStatus(pipeline),
+      priority: "Normal",
+      description: "",
+      dueDate: "",
       devNotes: "",
       pinned: false,
+      attachments: [],
+      comments: [],
+      ...(record.id && existing.get(record.id)),
+      ...record,
+      id: record.id || uuid(),
+      createdAt: record.createdAt || existing.get(record.id)?.createdAt || now,
+      updatedAt: now,
       synced: false,
+    }));
+    const byId = new Map(records.map((r) => [r.id, r]));
+
+    setRequests((prev) => [
+      ...records.filter((r) => !existing.has(r.id)),
+      ...prev.map((r) => byId.get(r.id) || r),
+    ]);
+    // One write for the rows and one for their history; both upsert by id, so
+    // overwrites go the same way
+    const events = records.map((r) => ({
+      id: uuid(),
+      requestId: r.id,
+      type: "imported",
+      actor: actorName(profile.name),
+      createdAt: now,
+      synced: false,
+    }));
+    historyRef.current = [...historyRef.current, ...events];
+    setHistory((prev) => [...prev, ...events]);
+    enqueueSync("createMany", uuid(), { records });
+    enqueueSync("createMany", uuid(), { records: events }, 0, "history");
+    const replaced = records.filter((r) => existing.has(r.id)).length;
+    push(
+      `Imported ${records.length} request(s)${overwrite && replaced ? `, ${replaced} overwritten` : ""}`,
+      "success"
+    );
+    setTransferOpen(false);
+  }
+
+  // Appended on the sheet by its own op, so replies from two people both survive
+  function addComment(req, { body, internal }) {
+    const comment = {
+      id: uuid(),
+      author: actorName(profile.name),
+      authorEmail: profile.email,
+      body,
+      internal,
+      createdAt: new Date().toISOString(),
     };
+    patchLocal(req.id, (r) => ({ comments: [...(r.comments || []), comment], synced: false }));
+    enqueueSync("comment", req.id, { comment });
+    // Internal notes stay with the print team
+    if (!internal) notify({ type: "comment", request: req, comment });
+  }
 
-    setRequests((prev) => [newReq, ...prev]);
+  function markCommentsRead(req) {
+    const latest = latestCommentAt(req);
+    if (!latest || commentReads[req.id] === latest) return;
+    const next = { ...commentReads, [req.id]: latest };
+    saveReads(next);
+    setCommentReads(next);
+  }
 
-    setFormDesc("");
-    setFormDue("");
-    push("Request added", "success");
+  function exportAnalytics(stats) {
+    downloadFile(datedName("print-analytics", "csv"), toCsv(analyticsRows(stats), analyticsColumns), "text/csv");
+  }
 
-    const result = await postToSheet(newReq);
-    setRequests((prev) =>
-      prev.map((r) => (r.id === newReq.id ? { ...r, synced: !!result.sent } : r))
-    );
-    if (!result.sent) push("Could not send to sheet. Retry available.", "error");
+  function exportSelection() {
+    downloadFile(datedName("print-requests", "csv"), toCsv(selectedRequests), "text/csv");
+  }
 
-    setLoadingSubmit(false);
-    setFormOpenMobile(false);
+  // Board drops renumber the whole column, and every renumbered card syncs in one batch write.
+  // A drop into another column is a status change and has to pass the pipeline first.
+  function moveCards(moves) {
+    const checked = moves.map((m) => {
+      const req = requestsRef.current.find((r) => r.id === m.id);
+      if (!req || !m.changes.status || m.changes.status === req.status) return m;
+      const status = statusChange(req, m.changes.status);
+      return status && { ...m, changes: { ...m.changes, ...status } };
+    });
+    if (checked.some((m) => !m)) return;
+    applyBatch(checked);
   }
 
-  async function retrySync(req) {
-    const result = await postToSheet(req);
-    setRequests((prev) =>
-      prev.map((r) => (r.id === req.id ? { ...r, synced: !!result.sent } : r))
-    );
-    push(result.sent ? "Sent to sheet" : "Retry failed", result.sent ? "success" : "error");
+  const approver = canApprove(pipeline, profile);
+
+  // The changes for moving `req` to `to`, or null (with a toast saying why) when the
+  // pipeline doesn't allow it. Transitions that need a reason ask for one.
+  function statusChange(req, to) {
+    const transition = transitionFor(pipeline, req.status, to);
+    if (!transition && pipeline.strict) {
+      push(`${req.status} can't move to ${to}`, "error");
+      return null;
+    }
+    if (transition?.approver && !approver) {
+      push(`Only approvers can use "${transition.label}"`, "error");
+      return null;
+    }
+    const missing = missingRequirement(req, transition);
+    if (missing) {
+      push(missing, "error");
+      return null;
+    }
+    if (!transition?.requires.includes("reason")) return { status: to, ...(req.statusReason && { statusReason: "" }) };
+    const reason = window.prompt(`${transition.label}: why?`)?.trim();
+    return reason ? { status: to, statusReason: reason } : null;
   }
 
-  async function deleteRequest(req) {
-    const ok = window.confirm(`Delete "${req.name}"? This will remove it from the sheet too.`);
-    if (!ok) return;
+  function changeStatus(req, to) {
+    const changes = statusChange(req, to);
+    if (changes) updateRequest(req.id, changes);
+  }
 
-    // Optimistic UI remove
-    setRequests((prev) => prev.filter((r) => r.id !== req.id));
-    setSelected((s) => (s?.id === req.id ? null : s));
-    push("Deleted", "success");
+  // Batch status changes skip the requests the pipeline won't let through
+  function batchStatus(to) {
+    const allowed = selectedRequests.filter((r) => {
+      if (r.status === to) return false;
+      const transition = transitionFor(pipeline, r.status, to);
+      if (!transition) return !pipeline.strict;
+      return !(transition.approver && !approver) && !missingRequirement(r, transition);
+    });
+    if (!allowed.length) return push(`None of the selected requests can move to ${to}`, "error");
 
-    // Send delete command to Apps Script
-    const result = await postToSheet({ action: "delete", id: req.id });
-    if (!result.sent) {
-      push("Delete may not have reached the sheet (check sheet).", "error");
+    let reason = "";
+    if (allowed.some((r) => transitionFor(pipeline, r.status, to)?.requires.includes("reason"))) {
+      reason = window.prompt(`Moving ${allowed.length} request(s) to ${to}: why?`)?.trim();
+      if (!reason) return;
     }
+    runBatch(`Moved to ${to}:`, (r) =>
+      allowed.includes(r) ? { status: to, ...((reason || r.statusReason) && { statusReason: reason }) } : null
+    );
+    const skipped = selectedRequests.filter((r) => r.status !== to).length - allowed.length;
+    if (skipped > 0) push(`${skipped} request(s) can't move to ${to} and were left alone`, "info");
+  }
+
+  function updatePipeline(next) {
+    const error = validatePipeline(next);
+    if (error) return push(error, "error");
+    savePipeline(next);
+    setPipeline(next);
+    shareSetting(PIPELINE_SETTING, next);
+    push("Pipeline saved", "success");
   }
 
   async function onCopySummary(req) {
@@ -455,7 +1938,10 @@ export default function PrintInboxHub() {
       `Priority: ${req.priority}`,
       `Status: ${req.status}`,
       `Due: ${req.dueDate ? formatDate(req.dueDate) : "No due date"}`,
+      ...specSummary(req),
       `Description: ${req.description}`,
+      `Printer: ${printersById.get(req.printerId)?.name || "Unassigned"}`,
+      ...estimateSummary(estimateRequest(req, costing), costing),
       `Dev Notes: ${req.devNotes || "-"}`,
     ].join("\n");
 
@@ -468,11 +1954,9 @@ export default function PrintInboxHub() {
   }
 
   function renderRequestCard(req) {
-    const quickActions = [
-      { label: "Start", show: req.status === "New", next: "In Progress" },
-      { label: "Done", show: req.status !== "Done", next: "Done" },
-      { label: "Archive", show: req.status !== "Archived", next: "Archived" },
-    ];
+    const quickActions = transitionsFrom(pipeline, req.status);
+    const fitIssue = fitWarning(req, printers);
+    const unread = unreadCount(req, commentReads, actorName(profile.name));
 
     return (
       <div
@@ -488,6 +1972,18 @@ export default function PrintInboxHub() {
         className="group rounded-xl border border-slate-200 bg-white/80 backdrop-blur-sm shadow-sm hover:shadow-md focus:ring-2 focus:ring-indigo-200 transition cursor-pointer"
       >
         <div className="flex items-start gap-3 p-3 md:p-4">
+          <input
+            type="checkbox"
+            checked={selection.includes(req.id)}
+            readOnly
+            onClick={(e) => {
+              e.stopPropagation();
+              toggleSelect(req, e.shiftKey);
+            }}
+            onKeyDown={(e) => e.stopPropagation()}
+            aria-label={`Select ${req.name}`}
+            className="mt-1.5 accent-indigo-600"
+          />
           <span
             className={`text-xs px-2 py-1 rounded-full font-semibold ${
               priorityStyles[req.priority] || priorityStyles.Normal
@@ -498,11 +1994,25 @@ export default function PrintInboxHub() {
 
           <div className="flex-1 min-w-0">
             <div className="flex items-center gap-2">
-              <p className="font-semibold text-slate-800 truncate">{req.name}</p>
+              <p className="font-semibold text-slate-800 truncate">
+                <Highlight text={req.name} pattern={highlight} />
+              </p>
               {req.pinned && <span className="text-amber-500 text-xs font-semibold">Pinned</span>}
             </div>
 
-            <p className="text-sm text-slate-600 line-clamp-2">{req.description}</p>
+            <p className="text-sm text-slate-600 line-clamp-2">
+              <Highlight text={req.description} pattern={highlight} />
+            </p>
+
+            {specChips(req).length > 0 && (
+              <div className="mt-2 flex flex-wrap gap-1 text-[11px] text-slate-600">
+                {specChips(req).map((chip) => (
+                  <span key={chip} className="px-2 py-0.5 rounded-full bg-slate-50 border border-slate-200">
+                    {chip}
+                  </span>
+                ))}
+              </div>
+            )}
 
             <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-500">
               <span className="inline-flex items-center gap-1">
@@ -510,35 +2020,78 @@ export default function PrintInboxHub() {
                 {formatDate(req.dueDate)}
               </span>
 
-              <span className={`px-2 py-1 rounded-full border ${statusStyles[req.status] || ""}`}>
+              <span className={`px-2 py-1 rounded-full ${statusStyle(pipeline, req.status).chip}`}>
                 {req.status}
               </span>
 
-              {!req.synced && SHEETS_ENDPOINT && (
-                <span className="text-amber-600 bg-amber-50 border border-amber-100 px-2 py-1 rounded-full">
-                  Not synced
+              {req.comments?.length > 0 && (
+                <span
+                  className={`px-2 py-1 rounded-full border ${
+                    unread
+                      ? "border-indigo-200 bg-indigo-50 text-indigo-700 font-semibold"
+                      : "border-slate-200 bg-white text-slate-600"
+                  }`}
+                  title={unread ? `${unread} unread comment(s)` : undefined}
+                >
+                  {req.comments.length} comment(s){unread > 0 && ` · ${unread} new`}
+                </span>
+              )}
+
+              {req.attachments?.length > 0 && (
+                <span className="px-2 py-1 rounded-full border border-slate-200 bg-white text-slate-600">
+                  {req.attachments.length} file(s)
+                </span>
+              )}
+
+              {printersById.has(req.printerId) && (
+                <span className="px-2 py-1 rounded-full border border-slate-200 bg-white text-slate-600">
+                  On {printersById.get(req.printerId).name}
+                </span>
+              )}
+
+              {fitIssue && (
+                <span
+                  className="text-amber-700 bg-amber-50 border border-amber-200 px-2 py-1 rounded-full font-semibold"
+                  title="Open the request to see which printers it fits"
+                >
+                  {fitIssue}
+                </span>
+              )}
+
+              {!req.synced && adapter.remote && (
+                <span
+                  className="text-amber-600 bg-amber-50 border border-amber-100 px-2 py-1 rounded-full"
+                  title={req.syncError || "Waiting for the sheet to confirm"}
+                >
+                  {req.syncError ? "Sync error" : "Not synced"}
+                </span>
+              )}
+
+              {req.conflict && (
+                <span className="text-rose-700 bg-rose-50 border border-rose-200 px-2 py-1 rounded-full font-semibold">
+                  Conflict
                 </span>
               )}
             </div>
           </div>
 
           <div className="flex flex-col gap-1 items-end">
-            {quickActions
-              .filter((a) => a.show)
-              .map((a) => (
-                <button
-                  key={a.label}
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    updateRequest(req.id, { status: a.next });
-                  }}
-                  className="text-xs px-2 py-1 rounded-md border border-slate-200 text-slate-700 hover:bg-slate-50 active:scale-95"
-                >
-                  {a.label}
-                </button>
-              ))}
+            {quickActions.map((a) => (
+              <button
+                key={a.id}
+                disabled={a.approver && !approver}
+                title={a.approver && !approver ? "Only approvers can do this" : undefined}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  changeStatus(req, a.to);
+                }}
+                className="text-xs px-2 py-1 rounded-md border border-slate-200 text-slate-700 hover:bg-slate-50 active:scale-95 disabled:opacity-40 disabled:pointer-events-none"
+              >
+                {a.label}
+              </button>
+            ))}
 
-            {!req.synced && SHEETS_ENDPOINT && (
+            {!req.synced && adapter.remote && (
               <button
                 onClick={(e) => {
                   e.stopPropagation();
@@ -556,9 +2109,9 @@ export default function PrintInboxHub() {
                 deleteRequest(req);
               }}
               className="text-xs px-2 py-1 rounded-md border border-rose-200 bg-rose-50 text-rose-700 hover:bg-rose-100 active:scale-95 mt-1"
-              title="Delete from UI and Google Sheet"
+              title="Move to trash"
             >
-              Delete (don't use yet pls)
+              Delete
             </button>
           </div>
         </div>
@@ -569,14 +2122,15 @@ export default function PrintInboxHub() {
   function StatsCard() {
     const counts = statuses.map((s) => ({
       status: s,
-      count: requests.filter((r) => r.status === s).length,
+      count: liveRequests.filter((r) => r.status === s).length,
     }));
+    const spend = spendTotals(liveRequests, costing, { requesterOf });
 
     return (
       <div className="bg-white/80 backdrop-blur border border-slate-200 rounded-2xl shadow-sm p-4 space-y-3">
         <div className="flex items-center justify-between">
           <h4 className="font-semibold text-slate-800">Stats</h4>
-          <span className="text-xs text-slate-500">{requests.length} total</span>
+          <span className="text-xs text-slate-500">{liveRequests.length} total</span>
         </div>
 
         <div className="grid grid-cols-2 gap-2 text-sm">
@@ -592,13 +2146,62 @@ export default function PrintInboxHub() {
         </div>
 
         <div className="text-xs text-slate-500">
-          {dueToday.length} due today / {overdue.length} overdue
+          {dueToday.length} due today / {overdue.length} overdue / {dueSoon.length} due soon
         </div>
+
+        {requesters.length > 0 && (
+          <div className="space-y-1 border-t border-slate-100 pt-3 text-xs text-slate-600">
+            <div className="flex items-center justify-between">
+              <span className="text-sm font-semibold text-slate-800">Requesters</span>
+              <button type="button" onClick={() => setDirectoryOpen(true)} className="text-indigo-600 hover:underline">
+                All {requesters.length}
+              </button>
+            </div>
+            {requesters.slice(0, 5).map((r) => (
+              <div key={r.key} className="flex justify-between gap-2">
+                <span className="truncate">{r.name}</span>
+                <span>
+                  {r.open} open / {r.total}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {spend.total > 0 && (
+          <div className="space-y-2 border-t border-slate-100 pt-3 text-sm">
+            <div className="flex items-center justify-between">
+              <span className="font-semibold text-slate-800">Estimated spend</span>
+              <span className="font-semibold text-slate-900">{formatMoney(spend.total, costing)}</span>
+            </div>
+            <div className="space-y-1 text-xs text-slate-600">
+              {statuses
+                .filter((s) => spend.byStatus[s])
+                .map((s) => (
+                  <div key={s} className="flex justify-between">
+                    <span>{s}</span>
+                    <span>{formatMoney(spend.byStatus[s], costing)}</span>
+                  </div>
+                ))}
+            </div>
+            <div className="space-y-1 text-xs text-slate-600">
+              <p className="text-slate-500">By requester</p>
+              {spend.byRequester.slice(0, 5).map(([who, total]) => (
+                <div key={who} className="flex justify-between">
+                  <span className="truncate">{who}</span>
+                  <span>{formatMoney(total, costing)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
       </div>
     );
   }
 
   function TriageStrip() {
+    const projectedLate = schedule.lanes.reduce((n, l) => n + l.jobs.filter((j) => j.late).length, 0);
+
     return (
       <div className="flex flex-wrap gap-2 text-sm">
         <div className="px-3 py-2 rounded-xl border border-amber-100 bg-amber-50 text-amber-800">
@@ -607,9 +2210,24 @@ export default function PrintInboxHub() {
         <div className="px-3 py-2 rounded-xl border border-rose-100 bg-rose-50 text-rose-800">
           Overdue: {overdue.length}
         </div>
+        <div
+          className="px-3 py-2 rounded-xl border border-sky-100 bg-sky-50 text-sky-800"
+          title={`Open and due within ${reminderSettings.windowHours} hours, after today`}
+        >
+          Soon: {dueSoon.length}
+        </div>
         <div className="px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-700">
           Total: {filtered.length}
         </div>
+        {projectedLate > 0 && (
+          <button
+            type="button"
+            onClick={() => changeView("schedule")}
+            className="px-3 py-2 rounded-xl border border-rose-200 bg-white text-rose-700 hover:bg-rose-50"
+          >
+            Projected late: {projectedLate}
+          </button>
+        )}
       </div>
     );
   }
@@ -621,11 +2239,59 @@ export default function PrintInboxHub() {
           <h1 className="text-xl font-semibold">LIVEWIRE Print Hub </h1>
 
           <div className="flex items-center gap-2">
+            {outbox.length > 0 && (
+              <button
+                onClick={() => drainOutbox({ force: true })}
+                className="px-2 py-1 rounded-full border border-amber-100 bg-amber-50 text-amber-700 text-xs active:scale-95"
+                title={outbox[0].lastError ? `Last error: ${outbox[0].lastError}. Click to retry now.` : "Click to sync now"}
+              >
+                {outbox.length} pending
+              </button>
+            )}
+
+            {adapter.remote && (
+              <button
+                onClick={refreshFromSheet}
+                className="px-3 py-2 rounded-lg border border-slate-200 text-sm hover:bg-slate-50 active:scale-95"
+              >
+                {loadingRefresh ? "Refreshing..." : "Refresh"}
+              </button>
+            )}
+
+            <SavedViews
+              views={savedViews}
+              onApply={applySavedView}
+              onSave={saveCurrentView}
+              onRemove={(v) => updateSavedViews(savedViews.filter((x) => x.id !== v.id))}
+              onCopyLink={copyLink}
+            />
+
+            <button
+              onClick={() => setFleetOpen(true)}
+              className="px-3 py-2 rounded-lg border border-slate-200 text-sm hover:bg-slate-50 active:scale-95"
+            >
+              Printers
+            </button>
+
             <button
-              onClick={refreshFromSheet}
+              onClick={() => setTransferOpen(true)}
               className="px-3 py-2 rounded-lg border border-slate-200 text-sm hover:bg-slate-50 active:scale-95"
             >
-              {loadingRefresh ? "Refreshing..." : "Refresh"}
+              Import / Export
+            </button>
+
+            <button
+              onClick={() => setTrashOpen(true)}
+              className="px-3 py-2 rounded-lg border border-slate-200 text-sm hover:bg-slate-50 active:scale-95"
+            >
+              Trash{trashed.length > 0 && ` (${trashed.length})`}
+            </button>
+
+            <button
+              onClick={() => setSettingsOpen(true)}
+              className="px-3 py-2 rounded-lg border border-slate-200 text-sm hover:bg-slate-50 active:scale-95"
+            >
+              Settings
             </button>
 
             <button
@@ -643,12 +2309,20 @@ export default function PrintInboxHub() {
           <FormCard
             name={formName}
             setName={setFormName}
+            contact={formContact}
+            setContact={setFormContact}
             desc={formDesc}
             setDesc={setFormDesc}
             due={formDue}
             setDue={setFormDue}
             priority={formPriority}
             setPriority={setFormPriority}
+            spec={formSpec}
+            setSpec={setFormSpec}
+            files={formFiles}
+            onAddFiles={addFormFiles}
+            onRemoveFile={(entry) => setFormFiles((prev) => prev.filter((f) => f.entry.id !== entry.id))}
+            readingFiles={readingFiles}
             onSubmit={onSubmit}
             loading={loadingSubmit}
           />
@@ -659,13 +2333,7 @@ export default function PrintInboxHub() {
           <div className="bg-white/80 backdrop-blur border border-slate-200 rounded-2xl shadow-sm p-4 space-y-3">
             <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
               <div className="flex-1 flex items-center gap-2">
-                <input
-                  type="search"
-                  value={search}
-                  onChange={(e) => setSearch(e.target.value)}
-                  placeholder="Search name or description..."
-                  className="w-full rounded-xl border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
-                />
+                <SearchBox value={search} onChange={setSearch} options={searchOptions} errors={query.errors} />
               </div>
 
               <div className="flex flex-wrap gap-2 text-sm">
@@ -689,6 +2357,18 @@ export default function PrintInboxHub() {
                   ))}
                 </select>
 
+                <button
+                  type="button"
+                  onClick={toggleMine}
+                  aria-pressed={mineOnly}
+                  title="Requests with your name or email"
+                  className={`rounded-lg border px-3 py-2 ${
+                    mineOnly ? "border-indigo-600 bg-indigo-600 text-white" : "border-slate-200 bg-white text-slate-700 hover:bg-slate-50"
+                  }`}
+                >
+                  Mine
+                </button>
+
                 <select
                   value={sort}
                   onChange={(e) => setSort(e.target.value)}
@@ -700,30 +2380,206 @@ export default function PrintInboxHub() {
                     </option>
                   ))}
                 </select>
+
+                <div className="flex rounded-lg border border-slate-200 overflow-hidden">
+                  {views.map((v) => (
+                    <button
+                      key={v}
+                      type="button"
+                      onClick={() => changeView(v)}
+                      aria-pressed={view === v}
+                      className={`px-3 py-2 capitalize ${
+                        view === v ? "bg-indigo-600 text-white" : "bg-white text-slate-700 hover:bg-slate-50"
+                      }`}
+                    >
+                      {v}
+                    </button>
+                  ))}
+                </div>
               </div>
             </div>
 
-            <TriageStrip />
+            <ReminderBanner reminders={reminders} now={now} onOpen={setSelected} onSnooze={snoozeReminder} />
+
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <TriageStrip />
+              {filtered.length > 0 && (
+                <label className="flex items-center gap-2 text-sm text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={selectedRequests.length === filtered.length}
+                    onChange={(e) => selectAllFiltered(e.target.checked)}
+                    className="accent-indigo-600"
+                  />
+                  Select all {filtered.length}
+                </label>
+              )}
+            </div>
           </div>
 
-          <div className="space-y-3">
-            {filtered.length === 0 ? (
-              <div className="text-center py-12 rounded-2xl border border-dashed border-slate-200 bg-white/70">
-                <p className="text-sm text-slate-500">No requests yet.</p>
-              </div>
-            ) : (
-              filtered.map(renderRequestCard)
-            )}
-          </div>
+          {view === "board" && (
+            <Board
+              columns={columns}
+              renderCard={renderRequestCard}
+              accentFor={(s) => statusStyle(pipeline, s).accent}
+              onMove={moveCards}
+            />
+          )}
+          {view === "schedule" && <Schedule schedule={schedule} now={now} onSelect={setSelected} />}
+          {view === "analytics" && (
+            <Analytics
+              requests={filtered}
+              history={history}
+              kindOf={kindOf}
+              priorities={priorities}
+              requesterOf={requesterOf}
+              now={now}
+              onExport={exportAnalytics}
+            />
+          )}
+          {view === "calendar" && (
+            <Calendar
+              requests={filtered}
+              kindOf={kindOf}
+              jobs={schedule.lanes.flatMap((l) => l.jobs.map((job) => ({ ...job, printer: l.printer })))}
+              onSelect={setSelected}
+              onReschedule={(id, day) => updateRequest(id, { dueDate: new Date(day).toISOString() })}
+              onExport={exportCalendar}
+              subscribeUrl={adapter.calendarUrl}
+            />
+          )}
+          {view === "list" && (
+            <div className="space-y-3">
+              {filtered.length === 0 ? (
+                <div className="text-center py-12 rounded-2xl border border-dashed border-slate-200 bg-white/70">
+                  <p className="text-sm text-slate-500">No requests yet.</p>
+                </div>
+              ) : (
+                filtered.map(renderRequestCard)
+              )}
+            </div>
+          )}
         </section>
       </main>
 
+      <SettingsPanel
+        key={`${storageConfig.adapter}:${storageConfig.endpoint}:${settingsOpen}`}
+        open={settingsOpen}
+        config={storageConfig}
+        pendingCount={outbox.length}
+        onSave={saveSettings}
+        onReset={resetSettings}
+        onClose={() => setSettingsOpen(false)}
+      >
+        <ProfileSettings profile={profile} onSave={updateProfile} />
+        <CostSettings costing={costing} onSave={saveCostSettings} />
+        <PipelineSettings pipeline={pipeline} onSave={updatePipeline} />
+        <NotificationSettings
+          settings={notifySettings}
+          statuses={statusNames(pipeline)}
+          available={Boolean(adapter.notify)}
+          onSave={updateNotifySettings}
+          onTest={sendTestNotification}
+          onError={(message) => push(message, "error")}
+        />
+        <ReminderSettings
+          settings={reminderSettings}
+          browserSupported={"Notification" in window}
+          onSave={updateReminderSettings}
+        />
+      </SettingsPanel>
+
+      <PrinterFleet
+        open={fleetOpen}
+        printers={printers}
+        jobCounts={printerJobCounts}
+        remote={adapter.remote}
+        onAdd={addPrinter}
+        onUpdate={updatePrinter}
+        onDelete={deletePrinter}
+        onClose={() => setFleetOpen(false)}
+      />
+
+      <BatchBar
+        count={selectedRequests.length}
+        statuses={statuses}
+        priorities={priorities}
+        onSetStatus={batchStatus}
+        onSetPriority={(priority) => runBatch("Updated", { priority })}
+        onPin={(pinned) => runBatch(pinned ? "Pinned" : "Unpinned", { pinned })}
+        onArchive={statusOfKind(pipeline, "archived") ? () => batchStatus(statusOfKind(pipeline, "archived")) : null}
+        onDelete={() => {
+          runBatch("Trashed", { deletedAt: new Date().toISOString() });
+          setSelection([]);
+        }}
+        onExport={exportSelection}
+        onClear={() => setSelection([])}
+      />
+
+      <TrashPanel
+        open={trashOpen}
+        trashed={trashed}
+        onRestore={restoreRequest}
+        onPurge={deleteForever}
+        onEmpty={emptyTrash}
+        onClose={() => setTrashOpen(false)}
+      />
+
+      <RequesterDirectory
+        open={directoryOpen}
+        requesters={requesters}
+        onMerge={mergeRequesters}
+        onShow={(r) => {
+          setSearch(`requester:"${r.name}"`);
+          setDirectoryOpen(false);
+        }}
+        onClose={() => setDirectoryOpen(false)}
+      />
+
+      <TransferPanel
+        open={transferOpen}
+        filtered={filtered}
+        all={liveRequests}
+        existingIds={new Set(requests.map((r) => r.id))}
+        statuses={statuses}
+        firstStatus={firstStatus(pipeline)}
+        priorities={priorities}
+        onImport={importRequests}
+        onError={(message) => push(message, "error")}
+        onClose={() => setTransferOpen(false)}
+      />
+
       <DetailDrawer
         selected={selected}
+        printers={printers}
+        remote={adapter.remote}
+        costing={costing}
+        history={selected ? eventsFor(history, selected.id) : []}
         onClose={() => setSelected(null)}
         updateRequest={updateRequest}
         onCopySummary={onCopySummary}
+        onCopyLink={copyLink}
+        pendingCommentIds={selected ? pendingComments(outbox, selected.id).map((c) => c.id) : []}
+        statusOptions={
+          !selected || !pipeline.strict
+            ? statuses
+            : [selected.status, ...transitionsFrom(pipeline, selected.status).map((t) => t.to)].filter(
+                (s, i, list) => list.indexOf(s) === i
+              )
+        }
+        onChangeStatus={changeStatus}
+        onAddComment={addComment}
+        onReadComments={markCommentsRead}
+        deliveries={selected ? deliveries[selected.id] || [] : []}
+        onResendNotification={resendNotification}
         onDelete={deleteRequest}
+        onKeepLocal={keepLocalVersion}
+        onUseSheet={takeSheetVersion}
+        onAddFiles={addAttachments}
+        onOpenAttachment={openAttachment}
+        onRemoveAttachment={removeAttachment}
+        onCheckFit={checkFit}
+        readingFiles={readingFiles}
       />
 
       {formOpenMobile && (
@@ -747,12 +2603,20 @@ export default function PrintInboxHub() {
               compact
               name={formName}
               setName={setFormName}
+              contact={formContact}
+              setContact={setFormContact}
               desc={formDesc}
               setDesc={setFormDesc}
               due={formDue}
               setDue={setFormDue}
               priority={formPriority}
               setPriority={setFormPriority}
+              spec={formSpec}
+              setSpec={setFormSpec}
+              files={formFiles}
+              onAddFiles={addFormFiles}
+              onRemoveFile={(entry) => setFormFiles((prev) => prev.filter((f) => f.entry.id !== entry.id))}
+              readingFiles={readingFiles}
               onSubmit={onSubmit}
               loading={loadingSubmit}
             />
@@ -774,6 +2638,17 @@ export default function PrintInboxHub() {
           >
             <div className="flex items-center justify-between gap-3">
               <span className="text-sm">{t.message}</span>
+              {t.action && (
+                <button
+                  onClick={() => {
+                    t.action.onClick();
+                    remove(t.id);
+                  }}
+                  className="text-sm font-semibold underline"
+                >
+                  {t.action.label}
+                </button>
+              )}
               <button
                 onClick={() => remove(t.id)}
                 className="text-xs text-slate-500 hover:text-slate-800"
@@ -0,0 +1,233 @@
+import React, { useState } from "react";
+import {
+  defaultWorkHours,
+  emptyPrinter,
+  formatBuildVolume,
+  printerStatuses,
+  printerStatusStyles,
+  weekdays,
+} from "./printers.js";
+
+const inputClass =
+  "mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200";
+
+function PrinterForm({ initial, onSave, onCancel }) {
+  const [fields, setFields] = useState({ ...emptyPrinter, ...initial });
+  const set = (key) => (e) => setFields((f) => ({ ...f, [key]: e.target.value }));
+  const hours = { ...defaultWorkHours, ...fields.workHours };
+  const setHours = (changes) => setFields((f) => ({ ...f, workHours: { ...hours, ...changes } }));
+  const toggleDay = (day) =>
+    setHours({
+      days: hours.days.includes(day) ? hours.days.filter((d) => d !== day) : [...hours.days, day].sort(),
+    });
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        if (onSave(fields) && !initial?.id) setFields(emptyPrinter);
+      }}
+      className="rounded-xl border border-slate-200 p-3 space-y-3"
+    >
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block text-sm text-slate-700">
+          Name*
+          <input value={fields.name} onChange={set("name")} required className={inputClass} placeholder="Bay 1" />
+        </label>
+        <label className="block text-sm text-slate-700">
+          Model
+          <input value={fields.model} onChange={set("model")} className={inputClass} placeholder="Prusa MK4" />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        {[
+          ["buildX", "Build X (mm)"],
+          ["buildY", "Build Y (mm)"],
+          ["buildZ", "Build Z (mm)"],
+        ].map(([key, label]) => (
+          <label key={key} className="block text-sm text-slate-700">
+            {label}
+            <input type="number" min="1" value={fields[key]} onChange={set(key)} className={inputClass} />
+          </label>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-3">
+        <label className="block text-sm text-slate-700">
+          Nozzle (mm)
+          <input
+            type="number"
+            min="0.1"
+            step="0.05"
+            value={fields.nozzle}
+            onChange={set("nozzle")}
+            className={inputClass}
+          />
+        </label>
+        <label className="block text-sm text-slate-700">
+          Loaded material
+          <input value={fields.material} onChange={set("material")} className={inputClass} placeholder="PLA black" />
+        </label>
+        <label className="block text-sm text-slate-700">
+          Status
+          <select value={fields.status} onChange={set("status")} className={inputClass}>
+            {printerStatuses.map((s) => (
+              <option key={s}>{s}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <fieldset className="space-y-2">
+        <legend className="text-sm text-slate-700">Working hours (jobs are only started inside these)</legend>
+        <div className="flex flex-wrap items-center gap-3">
+          <input
+            type="time"
+            value={hours.start}
+            onChange={(e) => setHours({ start: e.target.value })}
+            className="rounded-lg border border-slate-200 px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-200"
+          />
+          <span className="text-sm text-slate-500">to</span>
+          <input
+            type="time"
+            value={hours.end}
+            onChange={(e) => setHours({ end: e.target.value })}
+            className="rounded-lg border border-slate-200 px-3 py-2 text-sm focus:ring-2 focus:ring-indigo-200"
+          />
+          <div className="flex gap-1">
+            {weekdays.map((label, day) => (
+              <label
+                key={label}
+                className={`text-xs px-2 py-1 rounded-md border cursor-pointer ${
+                  hours.days.includes(day)
+                    ? "border-indigo-200 bg-indigo-50 text-indigo-700"
+                    : "border-slate-200 text-slate-500"
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={hours.days.includes(day)}
+                  onChange={() => toggleDay(day)}
+                  className="sr-only"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+      </fieldset>
+
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="px-3 py-2 text-sm text-slate-500 hover:text-slate-800">
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          className="px-3 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-500 active:scale-95"
+        >
+          {initial?.id ? "Save printer" : "Add printer"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default function PrinterFleet({ open, printers, jobCounts, remote, onAdd, onUpdate, onDelete, onClose }) {
+  const [editingId, setEditingId] = useState(null);
+
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-40 flex md:items-start">
+      <div className="flex-1 bg-slate-900/30 backdrop-blur-sm" onClick={onClose} />
+      <div className="w-full md:max-w-2xl h-full bg-white shadow-2xl rounded-t-2xl md:rounded-none md:rounded-l-2xl p-4 md:p-6 overflow-y-auto space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-slate-900">Printers</h3>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-800">
+            Close
+          </button>
+        </div>
+
+        {printers.length === 0 && (
+          <p className="text-sm text-slate-500">No printers yet. Add the first one below.</p>
+        )}
+
+        <div className="space-y-2">
+          {printers.map((p) =>
+            editingId === p.id ? (
+              <PrinterForm
+                key={p.id}
+                initial={p}
+                onSave={(fields) => {
+                  const ok = onUpdate(p.id, fields);
+                  if (ok) setEditingId(null);
+                  return ok;
+                }}
+                onCancel={() => setEditingId(null)}
+              />
+            ) : (
+              <div key={p.id} className="flex items-start gap-3 rounded-xl border border-slate-200 p-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <p className="font-semibold text-slate-800 truncate">{p.name}</p>
+                    {p.model && <span className="text-xs text-slate-500 truncate">{p.model}</span>}
+                    {!p.synced && remote && (
+                      <span className="text-xs text-amber-600 bg-amber-50 border border-amber-100 px-2 py-0.5 rounded-full">
+                        Not synced
+                      </span>
+                    )}
+                  </div>
+                  <div className="mt-1 flex flex-wrap gap-2 text-xs text-slate-500">
+                    <span>{formatBuildVolume(p)}</span>
+                    {p.nozzle !== "" && <span>{p.nozzle} mm nozzle</span>}
+                    {p.material && <span>{p.material}</span>}
+                    {p.workHours && (
+                      <span>
+                        {p.workHours.start}-{p.workHours.end}{" "}
+                        {p.workHours.days.map((d) => weekdays[d]).join(" ")}
+                      </span>
+                    )}
+                    <span>{jobCounts[p.id] || 0} active job(s)</span>
+                  </div>
+                </div>
+
+                <select
+                  value={p.status}
+                  onChange={(e) => onUpdate(p.id, { ...p, status: e.target.value })}
+                  className={`text-xs rounded-full px-2 py-1 ${printerStatusStyles[p.status] || ""}`}
+                >
+                  {printerStatuses.map((s) => (
+                    <option key={s}>{s}</option>
+                  ))}
+                </select>
+
+                <div className="flex flex-col gap-1 items-end">
+                  <button
+                    onClick={() => setEditingId(p.id)}
+                    className="text-xs px-2 py-1 rounded-md border border-slate-200 text-slate-700 hover:bg-slate-50 active:scale-95"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => onDelete(p)}
+                    className="text-xs px-2 py-1 rounded-md border border-rose-200 bg-rose-50 text-rose-700 hover:bg-rose-100 active:scale-95"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            )
+          )}
+        </div>
+
+        <div>
+          <h4 className="font-semibold text-slate-800 mb-2">Add printer</h4>
+          <PrinterForm onSave={onAdd} />
+        </div>
+      </div>
+    </div>
+  );
+}
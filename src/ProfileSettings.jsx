@@ -0,0 +1,57 @@
+import React, { useState } from "react";
+
+export default function ProfileSettings({ profile, onSave }) {
+  const [draft, setDraft] = useState(profile);
+  const field = (key) => (e) => setDraft((d) => ({ ...d, [key]: e.target.value }));
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSave(draft);
+      }}
+      className="space-y-3"
+    >
+      <h4 className="font-semibold text-slate-800">You</h4>
+      <p className="text-xs text-slate-500">
+        Fills in the request form, finds your requests under "Mine" and is shown in request history.
+      </p>
+      <label className="block text-sm text-slate-700">
+        Your name
+        <input
+          value={draft.name}
+          onChange={field("name")}
+          placeholder="Shown in request history"
+          className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+        />
+      </label>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="block text-sm text-slate-700">
+          Email
+          <input
+            type="email"
+            value={draft.email}
+            onChange={field("email")}
+            className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+          />
+        </label>
+        <label className="block text-sm text-slate-700">
+          Team
+          <input
+            value={draft.team}
+            onChange={field("team")}
+            className="mt-1 w-full rounded-lg border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+          />
+        </label>
+      </div>
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-500 active:scale-95"
+        >
+          Save profile
+        </button>
+      </div>
+    </form>
+  );
+}
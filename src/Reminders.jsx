@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { describeReminder, snoozeOptions } from "./reminders.js";
+
+const SHOWN_COUNT = 3;
+
+const bucketStyles = {
+  overdue: "border-rose-100 bg-rose-50 text-rose-800",
+  today: "border-amber-100 bg-amber-50 text-amber-800",
+  soon: "border-sky-100 bg-sky-50 text-sky-800",
+};
+
+// In-app reminders above the requests; each can be opened, snoozed or dismissed
+export function ReminderBanner({ reminders, now, onOpen, onSnooze }) {
+  const [expanded, setExpanded] = useState(false);
+  if (!reminders.length) return null;
+  const shown = expanded ? reminders : reminders.slice(0, SHOWN_COUNT);
+
+  return (
+    <div className="space-y-1" role="status">
+      {shown.map((r) => (
+        <div
+          key={r.req.id}
+          className={`flex flex-wrap items-center gap-2 rounded-xl border px-3 py-2 text-sm ${bucketStyles[r.bucket]}`}
+        >
+          <button type="button" onClick={() => onOpen(r.req)} className="font-semibold hover:underline">
+            {r.req.name}
+          </button>
+          <span className="flex-1 min-w-0 truncate opacity-80">
+            {describeReminder(r, now)} · {r.req.description}
+          </span>
+          {snoozeOptions.map((o) => (
+            <button
+              key={o.value}
+              type="button"
+              onClick={() => onSnooze(r, o.value)}
+              className="text-xs underline opacity-80 hover:opacity-100"
+            >
+              {o.label}
+            </button>
+          ))}
+        </div>
+      ))}
+      {reminders.length > SHOWN_COUNT && (
+        <button type="button" onClick={() => setExpanded((v) => !v)} className="text-xs text-indigo-600 hover:underline">
+          {expanded ? "Show fewer" : `${reminders.length - SHOWN_COUNT} more reminders`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Opt-in for this browser. Turning on browser notifications asks for permission first.
+export function ReminderSettings({ settings, browserSupported, onSave }) {
+  const [draft, setDraft] = useState(settings);
+  const set = (key) => (e) =>
+    setDraft((d) => ({ ...d, [key]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSave({ ...draft, windowHours: Math.max(1, Number(draft.windowHours) || 48) });
+      }}
+      className="space-y-3"
+    >
+      <h4 className="font-semibold text-slate-800">Reminders</h4>
+      <div className="space-y-1 text-xs text-slate-600">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={draft.enabled} onChange={set("enabled")} className="accent-indigo-600" />
+          Remind me about overdue requests and ones due soon
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={draft.browser}
+            onChange={set("browser")}
+            disabled={!draft.enabled || !browserSupported}
+            className="accent-indigo-600"
+          />
+          Also as browser notifications{!browserSupported && " (not supported in this browser)"}
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={draft.mineOnly}
+            onChange={set("mineOnly")}
+            disabled={!draft.enabled}
+            className="accent-indigo-600"
+          />
+          Only for my requests
+        </label>
+        <label className="flex items-center gap-2">
+          Due soon means within
+          <input
+            type="number"
+            min="1"
+            value={draft.windowHours}
+            onChange={set("windowHours")}
+            className="w-20 rounded-lg border border-slate-200 px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-200"
+          />
+          hours
+        </label>
+      </div>
+      <div className="flex justify-end">
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-500 active:scale-95"
+        >
+          Save reminders
+        </button>
+      </div>
+    </form>
+  );
+}
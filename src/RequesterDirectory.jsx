@@ -0,0 +1,107 @@
+import React, { useState } from "react";
+
+// Everyone who has asked for prints, grouped across spellings. Ticking two or more
+// entries offers to merge them under one of their names.
+export default function RequesterDirectory({ open, requesters, onMerge, onShow, onClose }) {
+  const [picked, setPicked] = useState([]);
+  const [target, setTarget] = useState("");
+
+  if (!open) return null;
+
+  const chosen = requesters.filter((r) => picked.includes(r.key));
+  const mergeInto = chosen.some((r) => r.name === target) ? target : chosen[0]?.name || "";
+
+  function toggle(key) {
+    setPicked((keys) => (keys.includes(key) ? keys.filter((k) => k !== key) : [...keys, key]));
+  }
+
+  function merge() {
+    onMerge(
+      chosen.flatMap((r) => r.spellings.map((s) => s.name)),
+      mergeInto
+    );
+    setPicked([]);
+    setTarget("");
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 flex md:items-start">
+      <div className="flex-1 bg-slate-900/30 backdrop-blur-sm" onClick={onClose} />
+      <div className="w-full md:max-w-xl h-full bg-white shadow-2xl rounded-t-2xl md:rounded-none md:rounded-l-2xl p-4 md:p-6 overflow-y-auto space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-slate-900">Requesters</h3>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-800">
+            Close
+          </button>
+        </div>
+
+        <p className="text-xs text-slate-500">
+          Spellings that only differ in case, spacing or punctuation are grouped already. Tick entries that are the
+          same person to merge them; their requests are renamed and new requests typed the old way follow.
+        </p>
+
+        {chosen.length > 1 && (
+          <div className="flex flex-wrap items-center gap-2 rounded-xl border border-indigo-100 bg-indigo-50 p-3 text-sm">
+            <span className="text-slate-700">Merge {chosen.length} into</span>
+            <select
+              value={mergeInto}
+              onChange={(e) => setTarget(e.target.value)}
+              className="rounded-md border border-slate-200 px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-200"
+            >
+              {chosen.map((r) => (
+                <option key={r.key}>{r.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={merge}
+              className="ml-auto px-3 py-1.5 rounded-md bg-indigo-600 text-white text-sm hover:bg-indigo-500 active:scale-95"
+            >
+              Merge
+            </button>
+          </div>
+        )}
+
+        {requesters.length === 0 && <p className="text-sm text-slate-500">No requests yet.</p>}
+
+        <div className="space-y-2">
+          {requesters.map((r) => (
+            <div key={r.key} className="flex items-start gap-3 rounded-xl border border-slate-200 p-3">
+              <input
+                type="checkbox"
+                checked={picked.includes(r.key)}
+                onChange={() => toggle(r.key)}
+                aria-label={`Select ${r.name}`}
+                className="mt-1 accent-indigo-600"
+              />
+              <div className="flex-1 min-w-0">
+                <button
+                  type="button"
+                  onClick={() => onShow(r)}
+                  className="font-semibold text-slate-800 truncate hover:text-indigo-700"
+                  title="Show their requests"
+                >
+                  {r.name}
+                </button>
+                <p className="text-xs text-slate-500 truncate">
+                  {[...r.emails, ...r.teams].join(" · ") || "No email or team given"}
+                </p>
+                {r.spellings.length > 1 && (
+                  <p className="text-xs text-slate-400 truncate">
+                    Also written as {r.spellings.filter((s) => s.name !== r.name).map((s) => s.name).join(", ")}
+                  </p>
+                )}
+              </div>
+              <div className="text-right text-xs text-slate-600">
+                <p>
+                  <span className="font-semibold text-slate-900">{r.open}</span> open
+                </p>
+                <p>{r.total} total</p>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
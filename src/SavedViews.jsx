@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+
+// Header menu: apply or remove a saved view, save the current one, copy a link to it
+export default function SavedViews({ views, onApply, onSave, onRemove, onCopyLink }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+
+  function save(e) {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSave(name.trim());
+    setName("");
+  }
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        className="px-3 py-2 rounded-lg border border-slate-200 text-sm hover:bg-slate-50 active:scale-95"
+      >
+        Views
+      </button>
+
+      {open && (
+        <>
+          <div className="fixed inset-0 z-30" onClick={() => setOpen(false)} />
+          <div className="absolute right-0 z-40 mt-2 w-72 rounded-xl border border-slate-200 bg-white shadow-lg p-2 space-y-2">
+            {!views.length && <p className="px-2 py-1 text-xs text-slate-500">No saved views yet.</p>}
+            <ul className="space-y-0.5">
+              {views.map((v) => (
+                <li key={v.id} className="flex items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={() => {
+                      onApply(v);
+                      setOpen(false);
+                    }}
+                    title={v.state.q || "All requests"}
+                    className="flex-1 truncate rounded-md px-2 py-1.5 text-left text-sm text-slate-700 hover:bg-slate-50"
+                  >
+                    {v.name}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onRemove(v)}
+                    aria-label={`Remove ${v.name}`}
+                    className="px-2 text-slate-400 hover:text-rose-600"
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            <form onSubmit={save} className="flex gap-1 border-t border-slate-100 pt-2">
+              <input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Save current view as..."
+                className="flex-1 min-w-0 rounded-md border border-slate-200 px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-200"
+              />
+              <button type="submit" className="px-2 py-1 rounded-md bg-indigo-600 text-white text-sm hover:bg-indigo-500">
+                Save
+              </button>
+            </form>
+
+            <button
+              type="button"
+              onClick={() => {
+                onCopyLink();
+                setOpen(false);
+              }}
+              className="w-full rounded-md px-2 py-1.5 text-left text-sm text-indigo-700 hover:bg-indigo-50"
+            >
+              Copy link to this view
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
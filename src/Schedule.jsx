@@ -0,0 +1,139 @@
+import React from "react";
+import { DEFAULT_JOB_HOURS } from "./schedule.js";
+
+const HOUR = 3600 * 1000;
+const DAY_WIDTH = 240;
+
+const barStyles = {
+  Low: "bg-emerald-200 border-emerald-300",
+  Normal: "bg-sky-200 border-sky-300",
+  High: "bg-amber-200 border-amber-300",
+  Urgent: "bg-rose-200 border-rose-300",
+};
+
+const formatWhen = (d) =>
+  d.toLocaleString(undefined, { weekday: "short", month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+
+// Gantt-style timeline of a scheduleQueue() result, one lane per printer
+export default function Schedule({ schedule, now, onSelect }) {
+  const { lanes, unscheduled } = schedule;
+  const jobs = lanes.flatMap((l) => l.jobs.map((job) => ({ ...job, printer: l.printer })));
+
+  if (!lanes.length) {
+    return (
+      <div className="text-center py-12 rounded-2xl border border-dashed border-slate-200 bg-white/70">
+        <p className="text-sm text-slate-500">Add an idle or printing printer under Printers to build a schedule.</p>
+      </div>
+    );
+  }
+
+  const from = new Date(now);
+  from.setMinutes(0, 0, 0);
+  const lastFinish = Math.max(from.getTime() + 24 * HOUR, ...jobs.map((j) => j.finish.getTime()));
+  const days = Math.ceil((lastFinish - from.getTime()) / (24 * HOUR));
+  const span = days * 24 * HOUR;
+  const pos = (t) => `${((t - from.getTime()) / span) * 100}%`;
+
+  const midnights = [];
+  const tick = new Date(from);
+  tick.setHours(24, 0, 0, 0);
+  while (tick.getTime() < from.getTime() + span) {
+    midnights.push(new Date(tick));
+    tick.setDate(tick.getDate() + 1);
+  }
+
+  const late = jobs.filter((j) => j.late);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 text-sm">
+        <div className="px-3 py-2 rounded-xl border border-slate-200 bg-white text-slate-700">
+          Queued: {jobs.length}
+        </div>
+        <div
+          className={`px-3 py-2 rounded-xl border ${
+            late.length ? "border-rose-100 bg-rose-50 text-rose-800" : "border-slate-200 bg-white text-slate-700"
+          }`}
+        >
+          Projected late: {late.length}
+        </div>
+        {unscheduled.length > 0 && (
+          <div className="px-3 py-2 rounded-xl border border-amber-100 bg-amber-50 text-amber-800">
+            Can't schedule: {unscheduled.length}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white/80 border border-slate-200 rounded-2xl shadow-sm overflow-x-auto">
+        <div style={{ minWidth: days * DAY_WIDTH }} className="relative">
+          <div className="relative h-6 border-b border-slate-100 ml-32 text-[11px] text-slate-500">
+            <span className="absolute left-1 top-1">{formatWhen(from)}</span>
+            {midnights.map((m) => (
+              <span key={m.getTime()} className="absolute top-1 pl-1 border-l border-slate-200" style={{ left: pos(m) }}>
+                {m.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" })}
+              </span>
+            ))}
+          </div>
+
+          {lanes.map((lane) => (
+            <div key={lane.printer.id} className="flex border-b border-slate-100 last:border-b-0">
+              <div className="w-32 shrink-0 px-3 py-3 text-sm font-semibold text-slate-700 truncate">
+                {lane.printer.name}
+              </div>
+              <div className="relative flex-1 h-12">
+                {midnights.map((m) => (
+                  <span key={m.getTime()} className="absolute inset-y-0 border-l border-slate-100" style={{ left: pos(m) }} />
+                ))}
+                {lane.jobs.map((job) => (
+                  <button
+                    key={job.req.id}
+                    type="button"
+                    onClick={() => onSelect(job.req)}
+                    title={`${job.req.name}\n${formatWhen(job.start)} → ${formatWhen(job.finish)}${
+                      job.late ? "\nFinishes after the due date" : ""
+                    }`}
+                    style={{ left: pos(job.start.getTime()), width: pos(from.getTime() + (job.finish - job.start)) }}
+                    className={`absolute top-2 h-8 rounded-md border px-1 text-[11px] text-left text-slate-800 truncate hover:brightness-95 ${
+                      barStyles[job.req.priority] || barStyles.Normal
+                    } ${job.late ? "ring-2 ring-rose-500" : ""} ${job.estimated ? "border-dashed" : ""}`}
+                  >
+                    {job.req.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white/80 border border-slate-200 rounded-2xl shadow-sm divide-y divide-slate-100 text-sm">
+        {jobs
+          .sort((a, b) => a.start - b.start)
+          .map((job) => (
+            <button
+              key={job.req.id}
+              type="button"
+              onClick={() => onSelect(job.req)}
+              className="w-full flex flex-wrap items-center gap-x-3 gap-y-1 px-4 py-2 text-left hover:bg-slate-50"
+            >
+              <span className="flex-1 min-w-[10rem] font-medium text-slate-800 truncate">{job.req.name}</span>
+              <span className="text-xs text-slate-500">{job.printer.name}</span>
+              <span className="text-xs text-slate-600">
+                {formatWhen(job.start)} → {formatWhen(job.finish)}
+              </span>
+              {job.estimated && (
+                <span className="text-xs text-slate-400" title="No time estimate or G-code">
+                  ~{DEFAULT_JOB_HOURS} h guess
+                </span>
+              )}
+              {job.late && (
+                <span className="text-xs text-rose-700 bg-rose-50 border border-rose-200 px-2 py-0.5 rounded-full font-semibold">
+                  Late for {job.req.dueDate}
+                </span>
+              )}
+            </button>
+          ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { queryFields, suggest } from "./query.js";
+
+// Query input with completions for field names and values. `options` holds the
+// value lists (statuses, priorities, materials, requesters, printers).
+export function SearchBox({ value, onChange, options, errors }) {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const suggestions = open ? suggest(value, options) : [];
+
+  function accept(s) {
+    onChange(s.text);
+    setActive(0);
+  }
+
+  function onKeyDown(e) {
+    if (!suggestions.length) return;
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setActive((i) => (i + step + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      accept(suggestions[Math.min(active, suggestions.length - 1)]);
+    } else if (e.key === "Escape") setOpen(false);
+  }
+
+  return (
+    <div className="relative flex-1">
+      <input
+        type="search"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setActive(0);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={onKeyDown}
+        placeholder="Search, or try status:New priority:>=High due:<7d"
+        title={`Filters: ${Object.values(queryFields).join("  ")}  "exact phrase"  -exclude`}
+        aria-autocomplete="list"
+        className="w-full rounded-xl border border-slate-200 px-3 py-2 focus:ring-2 focus:ring-indigo-200"
+      />
+
+      {suggestions.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full max-w-sm rounded-xl border border-slate-200 bg-white shadow-lg py-1 text-sm">
+          {suggestions.map((s, i) => (
+            <li key={s.label}>
+              <button
+                type="button"
+                // Keep focus in the input so blur doesn't close the list first
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => accept(s)}
+                className={`w-full text-left px-3 py-1.5 font-mono text-xs ${
+                  i === active ? "bg-indigo-50 text-indigo-800" : "text-slate-700 hover:bg-slate-50"
+                }`}
+              >
+                {s.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {errors.length > 0 && <p className="mt-1 text-xs text-amber-700">Ignored: {errors.join(", ")}</p>}
+    </div>
+  );
+}
+
+// `text` with the parts matching `pattern` (a global, capturing RegExp) marked
+export function Highlight({ text, pattern }) {
+  if (!pattern || !text) return text || null;
+  return String(text)
+    .split(pattern)
+    .map((part, i) =>
+      i % 2 ? (
+        <mark key={i} className="bg-amber-100 text-inherit rounded-sm">
+          {part}
+        </mark>
+      ) : (
+        part
+      )
+    );
+}
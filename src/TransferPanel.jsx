@@ -0,0 +1,214 @@
+import React, { useState } from "react";
+import { datedName, downloadFile, guessMapping, importFields, parseImportFile, prepareImport, toCsv, toJson } from "./transfer.js";
+
+const PREVIEW_ROWS = 50;
+
+const buttonClass =
+  "px-3 py-1.5 rounded-md border border-slate-200 bg-white text-sm text-slate-700 hover:bg-slate-50 active:scale-95";
+const selectClass = "w-full rounded-md border border-slate-200 px-2 py-1 text-sm focus:ring-2 focus:ring-indigo-200";
+
+// Export the inbox (or the current filter) and import requests from a CSV or JSON file.
+// Imports go through a mapping step and a preview; rows with errors are never imported.
+export default function TransferPanel({
+  open,
+  filtered,
+  all,
+  existingIds,
+  statuses,
+  firstStatus,
+  priorities,
+  onImport,
+  onError,
+  onClose,
+}) {
+  const [scope, setScope] = useState("filtered");
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [overwrite, setOverwrite] = useState(false);
+
+  if (!open) return null;
+
+  const rows = scope === "filtered" ? filtered : all;
+
+  function exportAs(format) {
+    if (format === "json") downloadFile(datedName("print-requests", "json"), toJson(rows), "application/json");
+    else downloadFile(datedName("print-requests", "csv"), toCsv(rows), "text/csv");
+  }
+
+  async function pickFile(e) {
+    const picked = e.target.files?.[0];
+    e.target.value = "";
+    if (!picked) return;
+    try {
+      const parsed = parseImportFile(picked.name, await picked.text());
+      setFile({ name: picked.name, json: picked.name.toLowerCase().endsWith(".json"), ...parsed });
+      setMapping(guessMapping(parsed.columns));
+    } catch (err) {
+      onError(`Couldn't read ${picked.name}: ${err.message}`);
+    }
+  }
+
+  function reset() {
+    setFile(null);
+    setMapping({});
+    setOverwrite(false);
+  }
+
+  const prepared = file
+    ? prepareImport(file.rows, mapping, { existingIds, statuses, priorities, passthrough: file.json })
+    : [];
+  const invalid = prepared.filter((p) => p.errors.length).length;
+  const duplicates = prepared.filter((p) => !p.errors.length && p.duplicate).length;
+  const ready = prepared.filter((p) => !p.errors.length && (overwrite || !p.duplicate));
+
+  function runImport() {
+    onImport(ready, { overwrite });
+    reset();
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 flex md:items-start">
+      <div className="flex-1 bg-slate-900/30 backdrop-blur-sm" onClick={onClose} />
+      <div className="w-full md:max-w-2xl h-full bg-white shadow-2xl rounded-t-2xl md:rounded-none md:rounded-l-2xl p-4 md:p-6 overflow-y-auto space-y-6">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-slate-900">Import / Export</h3>
+          <button onClick={onClose} className="text-slate-500 hover:text-slate-800">
+            Close
+          </button>
+        </div>
+
+        <section className="space-y-3">
+          <p className="text-sm font-semibold text-slate-700">Export</p>
+          <div className="flex flex-wrap gap-4 text-sm text-slate-700">
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={scope === "filtered"} onChange={() => setScope("filtered")} />
+              Current view ({filtered.length})
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="radio" checked={scope === "all"} onChange={() => setScope("all")} />
+              Whole inbox ({all.length})
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button type="button" onClick={() => exportAs("csv")} disabled={!rows.length} className={buttonClass}>
+              Download CSV
+            </button>
+            <button type="button" onClick={() => exportAs("json")} disabled={!rows.length} className={buttonClass}>
+              Download JSON
+            </button>
+          </div>
+          <p className="text-xs text-slate-500">JSON keeps every field, including files and estimates, so it works as a backup.</p>
+        </section>
+
+        <section className="space-y-3">
+          <p className="text-sm font-semibold text-slate-700">Import</p>
+          {!file && (
+            <label className="block rounded-xl border-2 border-dashed border-slate-200 p-4 text-center text-sm text-slate-500 cursor-pointer hover:border-indigo-300">
+              Choose a .csv or .json file
+              <input type="file" accept=".csv,.json,text/csv,application/json" onChange={pickFile} className="hidden" />
+            </label>
+          )}
+
+          {file && (
+            <>
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-slate-700">
+                  {file.name} · {file.rows.length} row(s)
+                </span>
+                <button type="button" onClick={reset} className="text-slate-500 hover:text-slate-800">
+                  Choose another file
+                </button>
+              </div>
+
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                {importFields.map((f) => (
+                  <label key={f.key} className="text-xs text-slate-600 space-y-1">
+                    <span>
+                      {f.label}
+                      {f.required && " *"}
+                    </span>
+                    <select
+                      value={mapping[f.key] || ""}
+                      onChange={(e) => setMapping((m) => ({ ...m, [f.key]: e.target.value }))}
+                      className={selectClass}
+                    >
+                      <option value="">(skip)</option>
+                      {file.columns.map((c) => (
+                        <option key={c} value={c}>
+                          {c}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              <div className="overflow-x-auto rounded-xl border border-slate-200">
+                <table className="w-full text-xs">
+                  <thead className="bg-slate-50 text-slate-600">
+                    <tr>
+                      <th className="px-2 py-1 text-left font-semibold">Name</th>
+                      <th className="px-2 py-1 text-left font-semibold">Status</th>
+                      <th className="px-2 py-1 text-left font-semibold">Priority</th>
+                      <th className="px-2 py-1 text-left font-semibold">Due</th>
+                      <th className="px-2 py-1 text-left font-semibold">Check</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {prepared.slice(0, PREVIEW_ROWS).map((p, i) => (
+                      <tr key={i} className={`border-t border-slate-100 ${p.errors.length ? "bg-rose-50" : ""}`}>
+                        <td className="px-2 py-1 text-slate-800">{p.record.name || "-"}</td>
+                        <td className="px-2 py-1">{p.record.status || firstStatus}</td>
+                        <td className="px-2 py-1">{p.record.priority || "Normal"}</td>
+                        <td className="px-2 py-1">{p.record.dueDate ? String(p.record.dueDate).slice(0, 10) : "-"}</td>
+                        <td className="px-2 py-1">
+                          {p.errors.length ? (
+                            <span className="text-rose-700">{p.errors.join("; ")}</span>
+                          ) : p.duplicate ? (
+                            <span className="text-amber-700">Already in the inbox</span>
+                          ) : (
+                            <span className="text-emerald-700">OK</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {prepared.length > PREVIEW_ROWS && (
+                  <p className="px-2 py-1 text-xs text-slate-500">and {prepared.length - PREVIEW_ROWS} more</p>
+                )}
+              </div>
+
+              {duplicates > 0 && (
+                <div className="flex flex-wrap gap-4 text-sm text-slate-700">
+                  <label className="flex items-center gap-2">
+                    <input type="radio" checked={!overwrite} onChange={() => setOverwrite(false)} />
+                    Skip {duplicates} already in the inbox
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input type="radio" checked={overwrite} onChange={() => setOverwrite(true)} />
+                    Overwrite them
+                  </label>
+                </div>
+              )}
+
+              <div className="flex items-center justify-between gap-2">
+                <p className="text-xs text-slate-500">
+                  {ready.length} to import{invalid > 0 && ` · ${invalid} with errors will be skipped`}
+                </p>
+                <button
+                  type="button"
+                  onClick={runImport}
+                  disabled={!ready.length}
+                  className="px-4 py-2 rounded-lg bg-indigo-600 text-white text-sm font-semibold hover:bg-indigo-700 active:scale-95 disabled:opacity-50"
+                >
+                  Import {ready.length}
+                </button>
+              </div>
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+}
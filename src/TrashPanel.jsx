@@ -0,0 +1,63 @@
+import React from "react";
+import { TRASH_RETENTION_DAYS, daysLeft } from "./trash.js";
+
+export default function TrashPanel({ open, trashed, onRestore, onPurge, onEmpty, onClose }) {
+  if (!open) return null;
+
+  return (
+    <div className="fixed inset-0 z-40 flex md:items-start">
+      <div className="flex-1 bg-slate-900/30 backdrop-blur-sm" onClick={onClose} />
+      <div className="w-full md:max-w-xl h-full bg-white shadow-2xl rounded-t-2xl md:rounded-none md:rounded-l-2xl p-4 md:p-6 overflow-y-auto space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold text-slate-900">Trash</h3>
+          <div className="flex items-center gap-3">
+            {trashed.length > 0 && (
+              <button
+                onClick={onEmpty}
+                className="px-3 py-1.5 rounded-md border border-rose-200 bg-rose-50 text-rose-700 text-sm hover:bg-rose-100 active:scale-95"
+              >
+                Empty trash
+              </button>
+            )}
+            <button onClick={onClose} className="text-slate-500 hover:text-slate-800">
+              Close
+            </button>
+          </div>
+        </div>
+
+        <p className="text-xs text-slate-500">
+          Deleted requests stay here for {TRASH_RETENTION_DAYS} days, then are removed from the sheet for good.
+        </p>
+
+        {trashed.length === 0 && <p className="text-sm text-slate-500">The trash is empty.</p>}
+
+        <div className="space-y-2">
+          {trashed.map((r) => (
+            <div key={r.id} className="flex items-start gap-3 rounded-xl border border-slate-200 p-3">
+              <div className="flex-1 min-w-0">
+                <p className="font-semibold text-slate-800 truncate">{r.name}</p>
+                <p className="text-xs text-slate-500">
+                  Deleted {new Date(r.deletedAt).toLocaleString()} · purged in {daysLeft(r)} day(s)
+                </p>
+              </div>
+              <div className="flex flex-col gap-1 items-end">
+                <button
+                  onClick={() => onRestore(r)}
+                  className="text-xs px-2 py-1 rounded-md border border-slate-200 text-slate-700 hover:bg-slate-50 active:scale-95"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => onPurge(r)}
+                  className="text-xs px-2 py-1 rounded-md border border-rose-200 bg-rose-50 text-rose-700 hover:bg-rose-100 active:scale-95"
+                >
+                  Delete forever
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,209 @@
+// Numbers for the analytics view, worked out in the browser from the requests and
+// their history. A request counts as completed when it last moved into a "done"
+// status (per the pipeline's kinds); moving into "archived" closes it without
+// completing it. Requests closed before history was kept fall back to updatedAt.
+
+import { defaultKindOf, isClosedKind } from "./pipeline.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const rangePresets = [
+  { value: "4w", label: "Last 4 weeks", days: 28 },
+  { value: "12w", label: "Last 12 weeks", days: 84 },
+  { value: "26w", label: "Last 6 months", days: 182 },
+  { value: "year", label: "This year" },
+  { value: "all", label: "All time" },
+  { value: "custom", label: "Custom" },
+];
+
+const time = (iso) => {
+  const t = iso ? new Date(iso).getTime() : NaN;
+  return Number.isNaN(t) ? null : t;
+};
+
+const startOfDay = (t) => new Date(t).setHours(0, 0, 0, 0);
+
+// Weeks start on Monday
+function weekStart(t) {
+  const d = new Date(startOfDay(t));
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+}
+
+// Local YYYY-MM-DD
+export const dayKey = (t) => {
+  const d = new Date(t);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// { from, to } as timestamps covering whole days. `custom` is { from, to } as YYYY-MM-DD.
+export function resolveRange(preset, custom, requests, now = new Date()) {
+  const end = new Date(now).setHours(23, 59, 59, 999);
+  const option = rangePresets.find((p) => p.value === preset);
+  if (option?.days) return { from: startOfDay(end - (option.days - 1) * DAY), to: end };
+  if (preset === "year") return { from: new Date(now.getFullYear(), 0, 1).getTime(), to: end };
+  if (preset === "custom") {
+    const from = time(custom.from && `${custom.from}T00:00:00`);
+    const to = time(custom.to && `${custom.to}T23:59:59.999`);
+    if (from !== null && to !== null && from <= to) return { from, to };
+  }
+  const first = Math.min(...requests.map((r) => time(r.createdAt)).filter((t) => t !== null), end);
+  return { from: startOfDay(first), to: end };
+}
+
+// When each request was last closed and, if that was into a done status, completed
+export function closeTimes(requests, history, kindOf = defaultKindOf) {
+  const byId = new Map();
+  [...history]
+    .filter((e) => e.type === "status")
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+    .forEach((e) => {
+      const kind = kindOf(e.to);
+      const t = time(e.createdAt);
+      byId.set(e.requestId, isClosedKind(kind) ? { closedAt: t, doneAt: kind === "done" ? t : null } : null);
+    });
+
+  const out = new Map();
+  requests.forEach((r) => {
+    const kind = kindOf(r.status);
+    // Reopened requests aren't closed, whatever their history says
+    if (!isClosedKind(kind)) return;
+    const known = byId.get(r.id);
+    const fallback = time(r.updatedAt) ?? time(r.createdAt);
+    out.set(r.id, known || { closedAt: fallback, doneAt: kind === "done" ? fallback : null });
+  });
+  return out;
+}
+
+export const ageBuckets = [
+  { label: "Under a day", maxDays: 1 },
+  { label: "1-3 days", maxDays: 3 },
+  { label: "3-7 days", maxDays: 7 },
+  { label: "1-2 weeks", maxDays: 14 },
+  { label: "2-4 weeks", maxDays: 28 },
+  { label: "4 weeks or more", maxDays: Infinity },
+];
+
+const median = (list) => {
+  if (!list.length) return null;
+  const sorted = [...list].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const average = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+
+export function computeAnalytics(
+  requests,
+  history,
+  { from, to, now = new Date(), kindOf = defaultKindOf, priorities = [], requesterOf = (r) => r.name }
+) {
+  const closed = closeTimes(requests, history, kindOf);
+  const nowTime = now.getTime();
+  const inRange = (t) => t !== null && t >= from && t <= to;
+  const doneAt = (r) => closed.get(r.id)?.doneAt ?? null;
+  const completed = requests.filter((r) => inRange(doneAt(r)));
+  const created = requests.filter((r) => inRange(time(r.createdAt)));
+  const open = requests.filter((r) => !closed.has(r.id));
+
+  // Weekly series; the overdue count is taken at the end of each week (or now)
+  const weeks = [];
+  for (let start = weekStart(from); start <= to; ) {
+    // Stepped by date rather than by 7 days of milliseconds, which drifts over DST changes
+    const next = new Date(start).setDate(new Date(start).getDate() + 7);
+    const end = Math.min(next - 1, to, nowTime);
+    const within = (t) => t !== null && t >= start && t <= end;
+    weeks.push({
+      start,
+      label: new Date(start).toLocaleDateString(undefined, { month: "short", day: "numeric" }),
+      created: created.filter((r) => within(time(r.createdAt))).length,
+      completed: completed.filter((r) => within(doneAt(r))).length,
+      overdue: requests.filter((r) => {
+        const due = time(r.dueDate);
+        const closedAt = closed.get(r.id)?.closedAt ?? null;
+        return (
+          due !== null &&
+          due < startOfDay(end) &&
+          time(r.createdAt) <= end &&
+          (closedAt === null || closedAt > end)
+        );
+      }).length,
+    });
+    start = next;
+  }
+
+  const leadDays = completed.map((r) => (doneAt(r) - time(r.createdAt)) / DAY).filter((d) => d >= 0);
+  const dueCompleted = completed.filter((r) => time(r.dueDate) !== null);
+  // Finished any time on the due day counts as on time
+  const onTime = dueCompleted.filter((r) => doneAt(r) < startOfDay(time(r.dueDate)) + DAY).length;
+
+  const backlogAge = ageBuckets.map((b, i) => ({
+    label: b.label,
+    count: open.filter((r) => {
+      const age = (nowTime - (time(r.createdAt) ?? nowTime)) / DAY;
+      return age < b.maxDays && (i === 0 || age >= ageBuckets[i - 1].maxDays);
+    }).length,
+  }));
+
+  const countBy = (list, keyOf) =>
+    list.reduce((m, r) => m.set(keyOf(r), (m.get(keyOf(r)) || 0) + 1), new Map());
+
+  const createdByPriority = countBy(created, (r) => r.priority);
+  const completedByPriority = countBy(completed, (r) => r.priority);
+  const byPriority = [...new Set([...priorities, ...createdByPriority.keys(), ...completedByPriority.keys()])]
+    .filter(Boolean)
+    .map((p) => ({ label: p, created: createdByPriority.get(p) || 0, completed: completedByPriority.get(p) || 0 }));
+
+  const createdByRequester = countBy(created, requesterOf);
+  const completedByRequester = countBy(completed, requesterOf);
+  const openByRequester = countBy(open, requesterOf);
+  const byRequester = [...new Set([...createdByRequester.keys(), ...completedByRequester.keys()])]
+    .filter(Boolean)
+    .map((name) => ({
+      label: name,
+      created: createdByRequester.get(name) || 0,
+      completed: completedByRequester.get(name) || 0,
+      open: openByRequester.get(name) || 0,
+    }))
+    .sort((a, b) => b.created - a.created || b.completed - a.completed || a.label.localeCompare(b.label));
+
+  return {
+    from,
+    to,
+    totals: { created: created.length, completed: completed.length, open: open.length },
+    weeks,
+    leadTime: { count: leadDays.length, averageDays: average(leadDays), medianDays: median(leadDays) },
+    onTime: { count: dueCompleted.length, onTime, rate: dueCompleted.length ? onTime / dueCompleted.length : null },
+    backlogAge,
+    byPriority,
+    byRequester,
+  };
+}
+
+export const analyticsColumns = ["section", "label", "metric", "value"];
+
+const round = (n) => (n === null ? "" : Math.round(n * 100) / 100);
+
+// One row per number, for toCsv(rows, analyticsColumns)
+export function analyticsRows(a) {
+  const range = `${dayKey(a.from)} to ${dayKey(a.to)}`;
+  const row = (section, label, metric, value) => ({ section, label, metric, value });
+  return [
+    row("totals", range, "created", a.totals.created),
+    row("totals", range, "completed", a.totals.completed),
+    row("totals", "now", "open", a.totals.open),
+    row("lead time", range, "average days", round(a.leadTime.averageDays)),
+    row("lead time", range, "median days", round(a.leadTime.medianDays)),
+    row("on time", range, "completed with a due date", a.onTime.count),
+    row("on time", range, "on time", a.onTime.onTime),
+    row("on time", range, "rate", round(a.onTime.rate)),
+    ...a.weeks.flatMap((w) =>
+      ["created", "completed", "overdue"].map((m) => row("week", dayKey(w.start), m, w[m]))
+    ),
+    ...a.backlogAge.map((b) => row("backlog age", b.label, "open", b.count)),
+    ...a.byPriority.flatMap((p) => ["created", "completed"].map((m) => row("priority", p.label, m, p[m]))),
+    ...a.byRequester.flatMap((r) =>
+      ["created", "completed", "open"].map((m) => row("requester", r.label, m, r[m]))
+    ),
+  ];
+}
@@ -0,0 +1,105 @@
+// Print file attachments. The files themselves live in IndexedDB (too big for
+// localStorage); requests only carry a small metadata entry per file:
+//   { id, name, kind, size, type, addedAt, meta, metaError?, url?, uploaded? }
+// Uploads go through the outbox as "attach" ops that read the blob back from here.
+
+import { parse3mf, parseGcode, parseStl } from "./meshParse.js";
+
+const DB_NAME = "print-inbox-files";
+const STORE = "attachments";
+
+export const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+
+export const acceptedExtensions = [".stl", ".3mf", ".gcode", ".gco", ".g"];
+
+// Slicer comments sit at either end of a G-code file; no need to read the middle
+const GCODE_PEEK_BYTES = 256 * 1024;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+async function run(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export const saveAttachmentBlob = (id, blob) => run("readwrite", (store) => store.put(blob, id));
+export const loadAttachmentBlob = (id) => run("readonly", (store) => store.get(id));
+export const deleteAttachmentBlob = (id) => run("readwrite", (store) => store.delete(id));
+
+export function attachmentKind(name) {
+  const lower = name.toLowerCase();
+  if (lower.endsWith(".stl")) return "stl";
+  if (lower.endsWith(".3mf")) return "3mf";
+  if ([".gcode", ".gco", ".g"].some((ext) => lower.endsWith(ext))) return "gcode";
+  return null;
+}
+
+async function readGcodeText(file) {
+  if (file.size <= GCODE_PEEK_BYTES * 2) return file.text();
+  const head = await file.slice(0, GCODE_PEEK_BYTES).text();
+  const tail = await file.slice(file.size - GCODE_PEEK_BYTES).text();
+  return `${head}\n${tail}`;
+}
+
+export async function parseAttachment(file, kind) {
+  if (kind === "gcode") return parseGcode(await readGcodeText(file));
+  const buffer = await file.arrayBuffer();
+  return kind === "3mf" ? parse3mf(buffer) : parseStl(buffer);
+}
+
+// Check and parse a dropped file. Parse failures still attach the file; the
+// entry just carries `metaError` instead of `meta`.
+export async function readAttachment(file, id) {
+  const kind = attachmentKind(file.name);
+  if (!kind) throw new Error(`${file.name}: only STL, 3MF and G-code files can be attached`);
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`${file.name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`);
+  }
+
+  const entry = {
+    id,
+    name: file.name,
+    kind,
+    size: file.size,
+    type: file.type || "application/octet-stream",
+    addedAt: new Date().toISOString(),
+  };
+  try {
+    entry.meta = await parseAttachment(file, kind);
+  } catch (e) {
+    entry.metaError = e.message;
+  }
+  return { entry, blob: file };
+}
+
+export function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -0,0 +1,66 @@
+// Kanban board helpers. Each request can carry a `boardRank` (1, 2, 3...) giving
+// its place inside its status column; it syncs like any other field. Pinned cards
+// stay on top, and unranked cards follow the ranked ones in list sort order.
+
+export const VIEW_KEY = "print-inbox-view-v1";
+
+const rankOf = (r) => (Number(r.boardRank) > 0 ? Number(r.boardRank) : Infinity);
+
+function compareRank(a, b) {
+  if (a.pinned && !b.pinned) return -1;
+  if (b.pinned && !a.pinned) return 1;
+  const ar = rankOf(a);
+  const br = rankOf(b);
+  if (ar === br) return 0;
+  return ar < br ? -1 : 1;
+}
+
+// `reqs` should already be filtered and sorted with sortRequests; the sort here
+// is stable, so that order is kept wherever ranks don't decide. `all` is every
+// request, sorted the same way: ranks are numbered against the whole column, so
+// cards hidden by a filter keep their places when a visible one moves.
+export function boardColumns(reqs, statuses, all = reqs) {
+  return statuses.map((status) => ({
+    status,
+    cards: reqs.filter((r) => r.status === status).sort(compareRank),
+    all: all.filter((r) => r.status === status).sort(compareRank),
+  }));
+}
+
+// Changes needed to put `card` at visible `index` in the `status` column:
+// [{ id, changes }] with a new status for the card and renumbered ranks.
+// The card lands just before the visible card it was dropped on (or just after
+// the last one), with hidden cards renumbered around it.
+export function moveCard(columns, card, status, index) {
+  const target = columns.find((c) => c.status === status);
+  if (!target) return [];
+  const others = target.cards.filter((r) => r.id !== card.id);
+  const at = Math.max(0, Math.min(index, others.length));
+  const rest = target.all.filter((r) => r.id !== card.id);
+  const find = (r) => rest.findIndex((x) => x.id === r.id);
+  let pos = rest.length;
+  if (others[at]) pos = find(others[at]);
+  else if (others[at - 1]) pos = find(others[at - 1]) + 1;
+  if (pos < 0) pos = rest.length;
+  const ordered = [...rest.slice(0, pos), card, ...rest.slice(pos)];
+
+  return ordered
+    .map((r, i) => {
+      const changes = {};
+      if (r.boardRank !== i + 1) changes.boardRank = i + 1;
+      if (r.id === card.id && r.status !== status) changes.status = status;
+      return { id: r.id, changes };
+    })
+    .filter((m) => Object.keys(m.changes).length);
+}
+
+export const views = ["list", "board", "schedule", "calendar", "analytics"];
+
+export function loadView() {
+  const saved = localStorage.getItem(VIEW_KEY);
+  return views.includes(saved) ? saved : "list";
+}
+
+export function saveView(view) {
+  localStorage.setItem(VIEW_KEY, view);
+}
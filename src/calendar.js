@@ -0,0 +1,101 @@
+// Calendar helpers: day keys, month/week grids and the iCalendar export.
+// Due dates are stored as ISO timestamps of midnight UTC on the picked day
+// ("2024-05-03T00:00:00.000Z"), so their first ten characters are the day key.
+
+import { defaultKindOf } from "./pipeline.js";
+
+const pad = (n) => String(n).padStart(2, "0");
+
+export const dayKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+
+export function parseDay(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function addDays(date, n) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + n);
+  return d;
+}
+
+// Weeks start on Sunday, like the printers' working-day picker
+export function startOfWeek(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return addDays(d, -d.getDay());
+}
+
+export const weekDays = (anchor) => Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(anchor), i));
+
+// Six rows of seven days covering the anchor's month
+export function monthGrid(anchor) {
+  const first = startOfWeek(new Date(anchor.getFullYear(), anchor.getMonth(), 1));
+  return Array.from({ length: 6 }, (_, w) => Array.from({ length: 7 }, (_, i) => addDays(first, w * 7 + i)));
+}
+
+export function requestsByDay(reqs) {
+  const days = {};
+  reqs.forEach((r) => {
+    if (!r.dueDate) return;
+    const key = String(r.dueDate).slice(0, 10);
+    (days[key] = days[key] || []).push(r);
+  });
+  return days;
+}
+
+// iCalendar text escaping (RFC 5545 3.3.11) and line folding (3.1); folding by
+// characters keeps ASCII lines under the 75-octet limit
+const escapeText = (v) =>
+  String(v ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+function fold(line) {
+  const out = [];
+  let rest = line;
+  while (rest.length > 74) {
+    out.push(rest.slice(0, 74));
+    rest = ` ${rest.slice(74)}`;
+  }
+  out.push(rest);
+  return out.join("\r\n");
+}
+
+const icsStamp = (iso) => new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+
+// One all-day event per request with a due date, archived ones left out
+export function toIcs(reqs, { name = "Print deadlines", now = new Date(), kindOf = defaultKindOf } = {}) {
+  const events = reqs
+    .filter((r) => r.dueDate && kindOf(r.status) !== "archived")
+    .flatMap((r) => {
+      const day = parseDay(String(r.dueDate).slice(0, 10));
+      const date = dayKey(day).replace(/-/g, "");
+      const next = dayKey(addDays(day, 1)).replace(/-/g, "");
+      return [
+        "BEGIN:VEVENT",
+        `UID:${r.id}@print-inbox`,
+        `DTSTAMP:${icsStamp(r.updatedAt || r.createdAt || now)}`,
+        `DTSTART;VALUE=DATE:${date}`,
+        `DTEND;VALUE=DATE:${next}`,
+        `SUMMARY:${escapeText(`${kindOf(r.status) === "done" ? "Done: " : "Due: "}${r.name}`)}`,
+        `DESCRIPTION:${escapeText(`${r.priority} priority, ${r.status}\n\n${r.description || ""}`)}`,
+        "END:VEVENT",
+      ];
+    });
+
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//LIVEWIRE//Print Hub//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events,
+    "END:VCALENDAR",
+  ]
+    .map(fold)
+    .join("\r\n")
+    .concat("\r\n");
+}
@@ -0,0 +1,34 @@
+// Comment threads on requests. Each request carries its own list:
+//   comments: [{ id, author, authorEmail, body, internal, createdAt }]
+// `internal` only marks a note as meant for the print team: it is shown with a
+// badge and never goes out in comment notifications, but anyone with the inbox
+// (and the sheet) can still read it.
+// Comments are only ever appended (see the "comment" outbox op), so two people
+// replying at once can't overwrite each other.
+
+// What this browser has read: { requestId: createdAt of the newest comment seen }
+export const READS_KEY = "print-inbox-comment-reads-v1";
+
+export function loadReads() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(READS_KEY) || "{}");
+    return saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveReads(reads) {
+  localStorage.setItem(READS_KEY, JSON.stringify(reads));
+}
+
+export const threadOf = (req) =>
+  [...(req.comments || [])].sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+
+export const latestCommentAt = (req) => threadOf(req).at(-1)?.createdAt || "";
+
+// Comments by other people newer than the last one read here
+export function unreadCount(req, reads, me) {
+  const seen = reads[req.id] || "";
+  return (req.comments || []).filter((c) => c.createdAt > seen && c.author !== me).length;
+}
@@ -0,0 +1,139 @@
+// Filament usage and cost estimates. Inputs, in order of preference:
+//   1. a weight entered on the request (estimateGrams, per part)
+//   2. slicer estimates from attached G-code (filament length/weight, print time)
+//   3. a volume entered on the request (estimateVolume, cm³ of plastic per part)
+// Print time comes from the G-code or an entered estimateHours. Everything is
+// multiplied by the request's quantity.
+
+export const COSTING_KEY = "print-inbox-costing-v1";
+
+export const defaultCosting = {
+  currency: "USD",
+  machineRatePerHour: 1.5,
+  filamentDiameter: 1.75,
+  materials: {
+    PLA: { pricePerKg: 20, density: 1.24 },
+    PETG: { pricePerKg: 24, density: 1.27 },
+    ABS: { pricePerKg: 22, density: 1.04 },
+    ASA: { pricePerKg: 28, density: 1.07 },
+    TPU: { pricePerKg: 35, density: 1.21 },
+    Nylon: { pricePerKg: 45, density: 1.14 },
+    Resin: { pricePerKg: 40, density: 1.1 },
+    Other: { pricePerKg: 25, density: 1.2 },
+  },
+};
+
+export function loadCosting() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COSTING_KEY) || "null");
+    if (!saved) return defaultCosting;
+    return { ...defaultCosting, ...saved, materials: { ...defaultCosting.materials, ...saved.materials } };
+  } catch {
+    return defaultCosting;
+  }
+}
+
+export function saveCosting(costing) {
+  localStorage.setItem(COSTING_KEY, JSON.stringify(costing));
+}
+
+// Grams in one metre of filament
+const gramsPerMetre = (costing, density) =>
+  Math.PI * (costing.filamentDiameter / 2) ** 2 * density;
+
+const positive = (v) => (Number(v) > 0 ? Number(v) : 0);
+
+// Slicer figures summed over every G-code attachment
+function gcodeTotals(req) {
+  const metas = (req.attachments || []).filter((a) => a.kind === "gcode" && a.meta).map((a) => a.meta);
+  if (!metas.length) return null;
+  return metas.reduce(
+    (acc, m) => ({
+      mm: acc.mm + (m.filamentMm || 0),
+      grams: acc.grams + (m.filamentGrams || 0),
+      seconds: acc.seconds + (m.printSeconds || 0),
+      filamentType: acc.filamentType || m.filamentType,
+    }),
+    { mm: 0, grams: 0, seconds: 0, filamentType: "" }
+  );
+}
+
+export function estimateRequest(req, costing = defaultCosting) {
+  const gcode = gcodeTotals(req);
+  // An unset material falls back to what the slicer says was loaded
+  const materialName = req.material || gcode?.filamentType || "Other";
+  const material = costing.materials[materialName] || costing.materials.Other;
+  const perMetre = gramsPerMetre(costing, material.density);
+  const quantity = positive(req.quantity) || 1;
+
+  let grams = 0;
+  let source = "";
+  if (positive(req.estimateGrams)) {
+    grams = positive(req.estimateGrams);
+    source = "weight";
+  } else if (gcode && (gcode.grams || gcode.mm)) {
+    grams = gcode.grams || (gcode.mm / 1000) * perMetre;
+    source = "gcode";
+  } else if (positive(req.estimateVolume)) {
+    grams = positive(req.estimateVolume) * material.density;
+    source = "volume";
+  }
+
+  const hours = gcode?.seconds ? gcode.seconds / 3600 : positive(req.estimateHours);
+  if (!grams && !hours) return null;
+
+  const totalGrams = grams * quantity;
+  const totalHours = hours * quantity;
+  const materialCost = (totalGrams / 1000) * material.pricePerKg;
+  const machineCost = totalHours * costing.machineRatePerHour;
+
+  return {
+    source,
+    material: materialName,
+    grams: totalGrams,
+    meters: totalGrams / perMetre,
+    hours: totalHours,
+    materialCost,
+    machineCost,
+    total: materialCost + machineCost,
+  };
+}
+
+export function formatMoney(value, costing = defaultCosting) {
+  try {
+    return new Intl.NumberFormat(undefined, { style: "currency", currency: costing.currency }).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${costing.currency}`;
+  }
+}
+
+export function estimateSummary(estimate, costing) {
+  if (!estimate) return ["Estimate: -"];
+  return [
+    `Filament: ${estimate.grams.toFixed(0)} g / ${estimate.meters.toFixed(1)} m (${estimate.material})`,
+    `Print time: ${estimate.hours.toFixed(1)} h`,
+    `Cost: ${formatMoney(estimate.total, costing)} (material ${formatMoney(
+      estimate.materialCost,
+      costing
+    )}, machine ${formatMoney(estimate.machineCost, costing)})`,
+  ];
+}
+
+// Spend totals for the stats card: { byStatus: {status: total}, byRequester: [[name, total]] }.
+// `requesterOf` names who a request counts for, so merged aliases add up as one person.
+export function spendTotals(requests, costing, { requesterOf = (r) => r.name } = {}) {
+  const byStatus = {};
+  const byRequester = {};
+  requests.forEach((r) => {
+    const estimate = estimateRequest(r, costing);
+    if (!estimate) return;
+    byStatus[r.status] = (byStatus[r.status] || 0) + estimate.total;
+    const who = String(requesterOf(r) || "").trim() || "Unknown";
+    byRequester[who] = (byRequester[who] || 0) + estimate.total;
+  });
+  return {
+    byStatus,
+    byRequester: Object.entries(byRequester).sort((a, b) => b[1] - a[1]),
+    total: Object.values(byStatus).reduce((a, b) => a + b, 0),
+  };
+}
@@ -0,0 +1,80 @@
+// Build-volume fit checks. Meshes are compared by bounding box only, tried in
+// each of the six axis-aligned orientations. Mesh sizes come from the "Check fit"
+// tool (stored on the request as `fitCheck`) and from parsed STL/3MF attachments.
+
+// Axis orders; the first keeps the mesh as modelled
+const orientations = [
+  [0, 1, 2],
+  [1, 0, 2],
+  [0, 2, 1],
+  [2, 0, 1],
+  [1, 2, 0],
+  [2, 1, 0],
+];
+
+// [x, y, z] in mm, or null when the printer has no build volume entered
+export function printerVolume(p) {
+  const dims = [p.buildX, p.buildY, p.buildZ].map(Number);
+  return dims.every((d) => d > 0) ? dims : null;
+}
+
+// Best orientation of `size` on one printer. `scale` is the largest uniform
+// scale that still fits, so anything >= 1 fits as is.
+export function fitOnPrinter(size, printer) {
+  const volume = printerVolume(printer);
+  if (!volume) return { printer, unknown: true };
+
+  let best = null;
+  orientations.forEach((order) => {
+    const oriented = order.map((i) => size[i]);
+    const scale = Math.min(...oriented.map((v, k) => (v > 0 ? volume[k] / v : Infinity)));
+    if (!best || scale > best.scale) best = { order, oriented, scale };
+  });
+
+  const parts = best.oriented.reduce((n, v, k) => n * Math.max(1, Math.ceil(v / volume[k])), 1);
+  return {
+    printer,
+    fits: best.scale >= 1,
+    rotated: best.order.join() !== "0,1,2",
+    size: best.oriented,
+    scale: best.scale,
+    parts,
+  };
+}
+
+export function fitSuggestion(result) {
+  if (result.unknown || result.fits) return "";
+  const percent = Math.floor(result.scale * 100);
+  return `Scale to ${percent}% or split into ${result.parts} parts`;
+}
+
+export function meshesFor(req) {
+  const meshes = (req.attachments || [])
+    .filter((a) => a.meta?.bbox)
+    .map((a) => ({ name: a.name, size: a.meta.bbox.size }));
+  if (req.fitCheck?.size) meshes.unshift({ name: req.fitCheck.name, size: req.fitCheck.size });
+  return meshes;
+}
+
+// Every mesh against every printer with a known volume
+export function fitReport(req, printers) {
+  const measured = printers.filter(printerVolume);
+  return meshesFor(req).map((mesh) => ({
+    ...mesh,
+    results: measured.map((p) => fitOnPrinter(mesh.size, p)),
+  }));
+}
+
+// Short warning for the request card, or null when everything fits
+export function fitWarning(req, printers) {
+  const report = fitReport(req, printers);
+  if (!report.length || !report[0].results.length) return null;
+
+  const assigned = req.printerId && report[0].results.find((r) => r.printer.id === req.printerId);
+  if (assigned) {
+    const tooBig = report.some((m) => !m.results.find((r) => r.printer.id === req.printerId).fits);
+    if (tooBig) return `Too big for ${assigned.printer.name}`;
+  }
+  if (report.some((m) => !m.results.some((r) => r.fits))) return "Fits no printer";
+  return null;
+}
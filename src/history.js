@@ -0,0 +1,130 @@
+// Request history. Every change made through the hub becomes an event:
+//   { id, requestId, type, field?, from?, to?, actor, createdAt, synced }
+// Events live in their own "history" collection (a separate sheet tab) and are
+// only ever appended, except that a run of typing into the same field by the
+// same person folds into one event.
+
+export const HISTORY_KEY = "print-inbox-history-v1";
+
+// Typed edits within this long of the last one extend it instead of adding another
+export const EDIT_MERGE_WINDOW = 5 * 60 * 1000;
+
+const fieldLabels = {
+  name: "name",
+  requesterEmail: "email",
+  requesterTeam: "team",
+  description: "description",
+  dueDate: "due date",
+  priority: "priority",
+  status: "status",
+  statusReason: "status reason",
+  devNotes: "notes",
+  pinned: "pin",
+  printerId: "printer",
+  material: "material",
+  color: "color",
+  quantity: "quantity",
+  infill: "infill",
+  layerHeight: "layer height",
+  supports: "supports",
+  attachments: "files",
+  estimateGrams: "weight estimate",
+  estimateVolume: "volume estimate",
+  estimateHours: "time estimate",
+  fitCheck: "fit check",
+  deletedAt: "trash",
+};
+
+const typeFor = { status: "status", priority: "priority", devNotes: "notes", pinned: "pin", deletedAt: "trash" };
+
+export function loadHistory() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(HISTORY_KEY) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveHistory(events) {
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(events));
+}
+
+// Attachments are logged by file name; the rest as plain values
+function loggable(field, value) {
+  if (field === "attachments") return (value || []).map((a) => a.name);
+  if (field === "fitCheck") return value?.name || "";
+  return value ?? "";
+}
+
+// One event per changed field; board ranks and other bookkeeping are skipped
+export function changeEvents(before, changes, actor, makeId, at = new Date().toISOString()) {
+  return Object.entries(changes)
+    .filter(([field]) => field in fieldLabels)
+    .map(([field, value]) => ({
+      field,
+      from: loggable(field, before?.[field]),
+      to: loggable(field, value),
+    }))
+    .filter((c) => JSON.stringify(c.from) !== JSON.stringify(c.to))
+    .map((c) => ({
+      id: makeId(),
+      requestId: before?.id,
+      type: typeFor[c.field] || "edit",
+      ...c,
+      actor,
+      createdAt: at,
+    }));
+}
+
+// The event a new typed edit should fold into, if any
+export function mergeTarget(events, event, now = Date.now()) {
+  if (event.type !== "notes" && event.type !== "edit") return null;
+  const last = events.findLast((e) => e.requestId === event.requestId);
+  if (!last || last.field !== event.field || last.actor !== event.actor) return null;
+  return now - new Date(last.updatedAt || last.createdAt).getTime() < EDIT_MERGE_WINDOW ? last : null;
+}
+
+export const eventsFor = (events, requestId) =>
+  events.filter((e) => e.requestId === requestId).sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+
+// Sheet rows plus local events the sheet hasn't confirmed yet
+export function mergeHistory(local, rows) {
+  const byId = new Map(rows.map((r) => [r.id, { ...r, synced: true }]));
+  local.forEach((e) => {
+    if (!e.synced || !byId.has(e.id)) byId.set(e.id, e);
+  });
+  return [...byId.values()].sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+}
+
+const show = (v) => {
+  if (Array.isArray(v)) return v.length ? v.join(", ") : "none";
+  if (typeof v === "boolean") return v ? "yes" : "no";
+  return v === "" ? "empty" : String(v);
+};
+
+// "changed status from New to In Progress"; `names` maps ids (printers) to labels
+export function describeEvent(e, names = {}) {
+  if (e.type === "created") return "created the request";
+  if (e.type === "imported") return "imported the request";
+  if (e.type === "deleted") return "deleted the request for good";
+  if (e.type === "trash") return e.to ? "moved it to the trash" : "restored it from the trash";
+  if (e.type === "pin") return e.to ? "pinned it" : "unpinned it";
+  if (e.type === "notes") return "edited the notes";
+  if (e.field === "dueDate") {
+    const day = (v) => (v ? String(v).slice(0, 10) : "none");
+    return `changed the due date from ${day(e.from)} to ${day(e.to)}`;
+  }
+  if (e.field === "printerId") {
+    const name = (v) => (v ? names[v] || "a removed printer" : "unassigned");
+    return `moved it from ${name(e.from)} to ${name(e.to)}`;
+  }
+  if (e.field === "attachments") {
+    const added = e.to.filter((n) => !e.from.includes(n));
+    const removed = e.from.filter((n) => !e.to.includes(n));
+    if (added.length && !removed.length) return `attached ${added.join(", ")}`;
+    if (removed.length && !added.length) return `removed ${removed.join(", ")}`;
+  }
+  if (e.field === "description") return "edited the description";
+  return `changed ${fieldLabels[e.field] || e.field} from ${show(e.from)} to ${show(e.to)}`;
+}
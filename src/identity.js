@@ -0,0 +1,36 @@
+// Who is using this browser. There are no accounts; the profile is just typed in
+// under Settings, pre-fills the request form and is stamped on history events.
+
+// Older versions only kept a name under this key
+export const USER_KEY = "print-inbox-user-v1";
+export const PROFILE_KEY = "print-inbox-profile-v1";
+
+export const emptyProfile = { name: "", email: "", team: "" };
+
+export function loadProfile() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILE_KEY));
+    if (saved && typeof saved === "object") return { ...emptyProfile, ...saved };
+  } catch {
+    // fall through to the old name-only key
+  }
+  return { ...emptyProfile, name: localStorage.getItem(USER_KEY) || "" };
+}
+
+export function saveProfile(profile) {
+  localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+  localStorage.removeItem(USER_KEY);
+}
+
+export const normalizeProfile = (p) => ({
+  name: (p.name || "").trim(),
+  email: (p.email || "").trim().toLowerCase(),
+  team: (p.team || "").trim(),
+});
+
+export function validateProfile(p) {
+  if (p.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(p.email)) return "That email doesn't look right";
+  return null;
+}
+
+export const actorName = (name) => name || "Someone";
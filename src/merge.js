@@ -0,0 +1,80 @@
+// Merge a sheet refresh (requests or printers) into the local cache instead of
+// replacing it. `ops` must be the outbox entries for that same collection.
+// Local records with writes still in the outbox win field-by-field; when the
+// sheet also moved on for the same fields, the record gets a `conflict` marker.
+
+import { opCreates, pendingChangesFor, pendingComments } from "./outbox.js";
+
+const time = (iso) => {
+  const t = iso ? new Date(iso).getTime() : NaN;
+  return Number.isNaN(t) ? 0 : t;
+};
+
+export const newer = (a, b) => (time(a) >= time(b) ? a : b);
+
+const same = (a, b) => JSON.stringify(a ?? "") === JSON.stringify(b ?? "");
+
+// Unsent comments stay in the thread until the sheet has them
+function withPendingComments(record, ops) {
+  const unsent = pendingComments(ops, record.id).filter((c) => !(record.comments || []).some((k) => k.id === c.id));
+  return unsent.length ? { ...record, comments: [...(record.comments || []), ...unsent], synced: false } : record;
+}
+
+export function mergeRecords(local, rows, ops) {
+  const localById = new Map(local.map((r) => [r.id, r]));
+  const remoteIds = new Set(rows.map((r) => r.id));
+  const deleting = new Set(ops.filter((o) => o.type === "delete").map((o) => o.id));
+  const creating = new Set(ops.flatMap(opCreates));
+
+  const merged = [];
+
+  for (const row of rows) {
+    if (deleting.has(row.id)) continue;
+    const mine = localById.get(row.id);
+    const remote = { ...row, synced: true, remoteUpdatedAt: row.updatedAt || row.createdAt };
+
+    const pending = pendingChangesFor(ops, row.id);
+    if (!mine || (!pending && !creating.has(row.id))) {
+      merged.push(withPendingComments(remote, ops));
+      continue;
+    }
+
+    // Still being created from here; the sheet copy is just an earlier echo
+    if (creating.has(row.id)) {
+      merged.push(mine);
+      continue;
+    }
+
+    const base = mine.remoteUpdatedAt || mine.createdAt;
+    const sheetMoved = time(row.updatedAt) > time(base);
+    const fields = sheetMoved
+      ? Object.keys(pending).filter((k) => k !== "updatedAt" && !same(row[k], pending[k]))
+      : [];
+
+    const record = {
+      ...remote,
+      ...pending,
+      synced: false,
+      updatedAt: newer(mine.updatedAt, row.updatedAt),
+      remoteUpdatedAt: row.updatedAt || base,
+      conflict: fields.length
+        ? {
+            fields,
+            remote: Object.fromEntries(fields.map((k) => [k, row[k]])),
+            remoteUpdatedAt: row.updatedAt,
+            detectedAt: new Date().toISOString(),
+          }
+        : mine.conflict,
+    };
+    merged.push(withPendingComments(record, ops));
+  }
+
+  // Local-only: keep anything the sheet hasn't seen yet; synced rows missing
+  // from the sheet were deleted there.
+  for (const mine of local) {
+    if (remoteIds.has(mine.id)) continue;
+    if (creating.has(mine.id) || mine.synced === false) merged.push(mine);
+  }
+
+  return merged;
+}
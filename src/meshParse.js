@@ -0,0 +1,302 @@
+// In-browser parsers for print files: STL (ASCII and binary), 3MF and G-code.
+// Everything here is pure and works on ArrayBuffers/strings so it can run on
+// a dropped File without a round trip to any server. Units are millimetres.
+
+const emptyBox = () => ({
+  min: [Infinity, Infinity, Infinity],
+  max: [-Infinity, -Infinity, -Infinity],
+});
+
+function extend(box, x, y, z) {
+  if (x < box.min[0]) box.min[0] = x;
+  if (y < box.min[1]) box.min[1] = y;
+  if (z < box.min[2]) box.min[2] = z;
+  if (x > box.max[0]) box.max[0] = x;
+  if (y > box.max[1]) box.max[1] = y;
+  if (z > box.max[2]) box.max[2] = z;
+}
+
+// Signed volume of the tetrahedron (origin, a, b, c); summed over a closed
+// mesh this gives the enclosed volume
+const signedVolume = (ax, ay, az, bx, by, bz, cx, cy, cz) =>
+  (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+
+function finish(box, triangles, volume) {
+  if (!triangles) throw new Error("No triangles found");
+  const size = box.max.map((v, i) => v - box.min[i]);
+  return { triangles, bbox: { min: box.min, max: box.max, size }, volume: Math.abs(volume) };
+}
+
+// ---------- STL ----------
+
+function isBinaryStl(buffer) {
+  if (buffer.byteLength < 84) return false;
+  const count = new DataView(buffer).getUint32(80, true);
+  if (84 + count * 50 === buffer.byteLength) return true;
+  // Not an exact fit: treat as ASCII only if it reads like one
+  const head = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(512, buffer.byteLength)));
+  return !/^\s*solid[\s\S]*facet/.test(head);
+}
+
+function parseBinaryStl(buffer) {
+  const view = new DataView(buffer);
+  const count = Math.min(view.getUint32(80, true), Math.floor((buffer.byteLength - 84) / 50));
+  const box = emptyBox();
+  let volume = 0;
+
+  for (let i = 0; i < count; i++) {
+    const o = 84 + i * 50 + 12; // skip the facet normal
+    const v = [];
+    for (let k = 0; k < 9; k++) v.push(view.getFloat32(o + k * 4, true));
+    extend(box, v[0], v[1], v[2]);
+    extend(box, v[3], v[4], v[5]);
+    extend(box, v[6], v[7], v[8]);
+    volume += signedVolume(...v);
+  }
+  return finish(box, count, volume);
+}
+
+function parseAsciiStl(text) {
+  const num = "([-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?)";
+  const vertex = new RegExp(`vertex\\s+${num}\\s+${num}\\s+${num}`, "g");
+  const box = emptyBox();
+  let volume = 0;
+  let triangles = 0;
+  let tri = [];
+
+  for (const m of text.matchAll(vertex)) {
+    const x = Number(m[1]);
+    const y = Number(m[2]);
+    const z = Number(m[3]);
+    extend(box, x, y, z);
+    tri.push(x, y, z);
+    if (tri.length === 9) {
+      volume += signedVolume(...tri);
+      triangles += 1;
+      tri = [];
+    }
+  }
+  return finish(box, triangles, volume);
+}
+
+export function parseStl(buffer) {
+  if (isBinaryStl(buffer)) return parseBinaryStl(buffer);
+  return parseAsciiStl(new TextDecoder().decode(buffer));
+}
+
+// ---------- 3MF ----------
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser can't unpack 3MF files");
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Minimal ZIP reader (no ZIP64): returns the entries whose name passes `filter`
+async function unzip(buffer, filter) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error("Not a 3MF (zip) file");
+
+  const decoder = new TextDecoder();
+  const count = view.getUint16(eocd + 10, true);
+  let ptr = view.getUint32(eocd + 16, true);
+  const entries = [];
+
+  for (let n = 0; n < count && view.getUint32(ptr, true) === 0x02014b50; n++) {
+    const method = view.getUint16(ptr + 10, true);
+    const compressedSize = view.getUint32(ptr + 20, true);
+    const nameLength = view.getUint16(ptr + 28, true);
+    const extraLength = view.getUint16(ptr + 30, true);
+    const commentLength = view.getUint16(ptr + 32, true);
+    const localOffset = view.getUint32(ptr + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, ptr + 46, nameLength));
+    ptr += 46 + nameLength + extraLength + commentLength;
+    if (!filter(name)) continue;
+
+    const start =
+      localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, start, compressedSize);
+    if (method !== 0 && method !== 8) throw new Error(`Unsupported compression in ${name}`);
+    entries.push({ name: `/${name.replace(/^\//, "")}`, bytes: method === 0 ? data : await inflateRaw(data) });
+  }
+  return entries;
+}
+
+const unitScale = { micron: 0.001, millimeter: 1, centimeter: 10, inch: 25.4, foot: 304.8, meter: 1000 };
+
+const attrs = (tag) => Object.fromEntries([...tag.matchAll(/([\w:]+)="([^"]*)"/g)].map((m) => [m[1], m[2]]));
+
+const identity = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+
+// 3MF transforms are 3x4 row-major: "m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32"
+const parseTransform = (t) => (t ? t.trim().split(/\s+/).map(Number) : identity);
+
+function compose(a, b) {
+  // apply a, then b
+  const out = [];
+  for (let r = 0; r < 4; r++) {
+    for (let c = 0; c < 3; c++) {
+      out[r * 3 + c] =
+        a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c] + (r === 3 ? b[9 + c] : 0);
+    }
+  }
+  return out;
+}
+
+function parseModel(xml, path, objects) {
+  const scale = unitScale[attrs(xml.match(/<model\b[^>]*>/)?.[0] || "").unit] || 1;
+  for (const m of xml.matchAll(/<object\b([^>]*)>([\s\S]*?)<\/object>/g)) {
+    const { id } = attrs(m[1]);
+    const body = m[2];
+    const vertices = [...body.matchAll(/<vertex\b([^>]*)\/?>/g)].map((v) => {
+      const a = attrs(v[1]);
+      return [Number(a.x) * scale, Number(a.y) * scale, Number(a.z) * scale];
+    });
+    const triangles = [...body.matchAll(/<triangle\b([^>]*)\/?>/g)].map((t) => {
+      const a = attrs(t[1]);
+      return [Number(a.v1), Number(a.v2), Number(a.v3)];
+    });
+    const components = [...body.matchAll(/<component\b([^>]*)\/?>/g)].map((c) => {
+      const a = attrs(c[1]);
+      return { key: `${a["p:path"] || path}#${a.objectid}`, transform: parseTransform(a.transform) };
+    });
+    objects.set(`${path}#${id}`, { vertices, triangles, components });
+  }
+  return [...xml.matchAll(/<item\b([^>]*)\/?>/g)].map((i) => {
+    const a = attrs(i[1]);
+    return { key: `${a["p:path"] || path}#${a.objectid}`, transform: parseTransform(a.transform) };
+  });
+}
+
+export async function parse3mf(buffer) {
+  const entries = await unzip(buffer, (name) => name.toLowerCase().endsWith(".model"));
+  if (!entries.length) throw new Error("No 3D model inside the 3MF");
+
+  const decoder = new TextDecoder();
+  const objects = new Map();
+  let items = [];
+  for (const entry of entries) {
+    const found = parseModel(decoder.decode(entry.bytes), entry.name, objects);
+    // The root model's build items describe what actually gets printed
+    const isRoot = entry.name.toLowerCase() === "/3d/3dmodel.model";
+    if (found.length && (isRoot || !items.length)) items = found;
+  }
+  if (!items.length) items = [...objects.keys()].map((key) => ({ key, transform: identity }));
+
+  const box = emptyBox();
+  let volume = 0;
+  let triangles = 0;
+
+  const place = (key, transform, depth) => {
+    const obj = objects.get(key);
+    if (!obj || depth > 16) return;
+    const t = transform;
+    const pts = obj.vertices.map(([x, y, z]) => [
+      x * t[0] + y * t[3] + z * t[6] + t[9],
+      x * t[1] + y * t[4] + z * t[7] + t[10],
+      x * t[2] + y * t[5] + z * t[8] + t[11],
+    ]);
+    pts.forEach((p) => extend(box, ...p));
+    let meshVolume = 0;
+    obj.triangles.forEach(([a, b, c]) => {
+      if (pts[a] && pts[b] && pts[c]) meshVolume += signedVolume(...pts[a], ...pts[b], ...pts[c]);
+    });
+    volume += Math.abs(meshVolume);
+    triangles += obj.triangles.length;
+    obj.components.forEach((c) => place(c.key, compose(c.transform, transform), depth + 1));
+  };
+
+  items.forEach((item) => place(item.key, item.transform, 0));
+  return finish(box, triangles, volume);
+}
+
+// ---------- G-code ----------
+
+// "1d 2h 3m 4s", "2h 5m", "1 hours 2 minutes" or plain seconds -> seconds
+export function parseDuration(text) {
+  const t = String(text).trim();
+  if (/^\d+(\.\d+)?$/.test(t)) return Math.round(Number(t));
+  const units = { d: 86400, h: 3600, m: 60, s: 1 };
+  let total = 0;
+  let found = false;
+  for (const m of t.matchAll(/(\d+(?:\.\d+)?)\s*(d|h|m|s)[a-z]*/gi)) {
+    total += Number(m[1]) * units[m[2].toLowerCase()];
+    found = true;
+  }
+  return found ? Math.round(total) : null;
+}
+
+const sumList = (text) =>
+  String(text)
+    .split(/[,;]/)
+    .map((v) => parseFloat(v))
+    .filter((v) => !Number.isNaN(v))
+    .reduce((a, b) => a + b, 0);
+
+// Header/footer comments written by the common slicers. First match wins.
+const gcodePatterns = {
+  printSeconds: [
+    [/^;\s*estimated printing time \(normal mode\)\s*=\s*(.+)$/im, parseDuration], // PrusaSlicer / Orca
+    [/^;\s*total estimated time\s*[:=]\s*(.+?)(?:;|$)/im, parseDuration], // Bambu Studio
+    [/^;\s*model printing time\s*[:=]\s*(.+?)(?:;|$)/im, parseDuration],
+    [/^;TIME:\s*(\d+)/m, (v) => Number(v)], // Cura
+    [/^;\s*Build time:\s*(.+)$/im, parseDuration], // Simplify3D
+  ],
+  filamentMm: [
+    [/^;\s*filament used \[mm\]\s*=\s*(.+)$/im, sumList], // PrusaSlicer
+    [/^;\s*total filament length \[mm\]\s*[:=]\s*(.+)$/im, sumList], // Orca / Bambu
+    [/^;Filament used:\s*(.+)$/m, (v) => sumList(v) * 1000], // Cura, metres
+    [/^;\s*Filament length:\s*([\d.]+)\s*mm/im, sumList], // Simplify3D
+  ],
+  filamentGrams: [
+    [/^;\s*filament used \[g\]\s*=\s*(.+)$/im, sumList],
+    [/^;\s*total filament weight \[g\]\s*[:=]\s*(.+)$/im, sumList],
+    [/^;\s*Plastic weight:\s*([\d.]+)\s*g/im, sumList],
+  ],
+  filamentType: [[/^;\s*filament_type\s*=\s*(.+)$/im, (v) => v.split(";")[0].trim()]],
+  slicer: [
+    [/^;\s*generated by\s+(.+?)\s+on\b/im, (v) => v.trim()],
+    [/^;\s*generated (?:by|with)\s+(.+)$/im, (v) => v.trim()],
+    [/^;\s*(BambuStudio\s+[\d.]+)/im, (v) => v.trim()],
+  ],
+};
+
+// `text` only needs the head and tail of the file; slicers put these comments
+// at the top (Cura, Simplify3D) or the bottom (PrusaSlicer, Orca)
+export function parseGcode(text) {
+  const meta = {};
+  for (const [key, patterns] of Object.entries(gcodePatterns)) {
+    for (const [re, convert] of patterns) {
+      const m = text.match(re);
+      const value = m ? convert(m[1]) : null;
+      if (value !== null && value !== "" && !Number.isNaN(value)) {
+        meta[key] = typeof value === "number" ? Math.round(value * 100) / 100 : value;
+        break;
+      }
+    }
+  }
+  if (meta.printSeconds === undefined && meta.filamentMm === undefined) {
+    throw new Error("No slicer estimates found in the G-code comments");
+  }
+  return meta;
+}
+
+// ---------- display ----------
+
+export function formatDuration(seconds) {
+  if (!seconds && seconds !== 0) return "-";
+  const h = Math.floor(seconds / 3600);
+  const m = Math.round((seconds % 3600) / 60);
+  return h ? `${h}h ${m}m` : `${m}m`;
+}
+
+export const formatSize = (size) => size.map((v) => v.toFixed(1)).join(" × ") + " mm";
@@ -0,0 +1,206 @@
+// Notifications about requests. The backend sends them: the app only says which
+// event happened to which request (a "notify" outbox op, queued behind the writes
+// it describes), and the backend looks up the request, applies the shared rules,
+// renders the message and logs each delivery. The webhook URL and the app link
+// are backend configuration (Script Properties on Apps Script), never sent from here.
+//
+//   rules:      { format, events: { created, status, overdue, comment },
+//                 statuses: [] (status changes into these only; empty = any),
+//                 email: { enabled, subject, body } }
+//               shared as the "notifications" row of the settings collection
+//   deliveries: [{ id, createdAt, requestId, event, channel, target, ok, error, key }]
+//               the backend's log; `key` names the event instance, and a channel
+//               that delivered a key isn't sent it again
+//
+// Overdue notices go out from the backend on a timer (notifyOverdue in Code.gs).
+// Code.gs is what really sends; the message helpers below (summarize, renderTemplate,
+// webhookBody, deliveryKey, deliveriesFor) mirror its summarize_, render_, webhookBody_,
+// deliveryKey_ and deliveriesFor_ for the mock server. Change both together:
+// `npm run check:notify` runs each on the same sample events and fails when they differ.
+
+export const NOTIFY_KEY = "print-inbox-notifications-v1";
+export const NOTIFY_SETTING = "notifications";
+
+export const notifyEvents = {
+  created: "New request",
+  status: "Status change",
+  overdue: "Overdue",
+  comment: "Comment (not internal notes)",
+};
+
+export const webhookFormats = [
+  { value: "slack", label: "Slack / Teams ({ text })" },
+  { value: "discord", label: "Discord ({ content })" },
+  { value: "json", label: "JSON (event and full request)" },
+];
+
+export const templateFields = ["summary", "name", "status", "from", "description", "dueDate", "comment", "link"];
+
+export const defaultNotifySettings = {
+  format: "slack",
+  events: { created: true, status: true, overdue: false, comment: false },
+  statuses: [],
+  email: {
+    enabled: false,
+    subject: "Your print request: {{status}}",
+    body: "Hi {{name}},\n\n{{summary}}\n\n{{description}}\n\nOpen it here: {{link}}",
+  },
+};
+
+// Fills in missing parts; a webhookUrl kept by older versions is dropped
+function normalize(saved) {
+  const { webhookUrl: _webhookUrl, ...rules } = saved;
+  return {
+    ...defaultNotifySettings,
+    ...rules,
+    events: { ...defaultNotifySettings.events, ...saved.events },
+    email: { ...defaultNotifySettings.email, ...saved.email },
+  };
+}
+
+// This browser's copy of the shared rules
+export function loadNotifySettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(NOTIFY_KEY) || "null");
+    return saved ? normalize(saved) : defaultNotifySettings;
+  } catch {
+    return defaultNotifySettings;
+  }
+}
+
+export function saveNotifySettings(settings) {
+  localStorage.setItem(NOTIFY_KEY, JSON.stringify(settings));
+}
+
+export const hasSavedNotifySettings = () => localStorage.getItem(NOTIFY_KEY) !== null;
+
+// The rules in the backend's settings rows, or null when there are none
+export function sharedNotifySettings(rows) {
+  const value = rows.find((r) => r.id === NOTIFY_SETTING)?.value;
+  return value && typeof value === "object" ? normalize(value) : null;
+}
+
+export function validateNotifySettings(s) {
+  if (s.email.enabled && !s.email.subject.trim()) return "The email needs a subject";
+  return null;
+}
+
+// Whether the rules want this event at all (a status change also has to match the status list)
+export function wantsEvent(settings, event) {
+  if (!settings.events[event.type]) return false;
+  if (event.type === "status" && settings.statuses.length) return settings.statuses.includes(event.request.status);
+  return true;
+}
+
+const formatDate = (iso) => (iso ? String(iso).slice(0, 10) : "no due date");
+
+// One line saying what happened, used as the chat message and {{summary}}
+export function summarize(event) {
+  const { type, request: r } = event;
+  if (type === "test") return "Test notification from the Print Hub";
+  if (type === "created") return `New print request from ${r.name}: ${r.description}`;
+  if (type === "status") {
+    if (!event.from) return `${r.name}'s request is now ${r.status}`;
+    return `${r.name}'s request moved from ${event.from} to ${r.status}`;
+  }
+  if (type === "overdue") return `${r.name}'s request is overdue (due ${formatDate(r.dueDate)}, ${r.status})`;
+  if (type === "comment") return `${event.comment.author} commented on ${r.name}'s request: ${event.comment.body}`;
+  return `${r.name}'s request was updated`;
+}
+
+// {{field}} placeholders, filled from the event; unknown ones are left empty
+export function renderTemplate(template, event) {
+  const r = event.request;
+  const values = {
+    summary: summarize(event),
+    name: r.name,
+    status: r.status,
+    from: event.from || "",
+    description: r.description,
+    dueDate: r.dueDate ? formatDate(r.dueDate) : "",
+    comment: event.comment?.body || "",
+    link: event.link || "",
+  };
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => values[key] ?? "");
+}
+
+const requestFields = [
+  "id",
+  "name",
+  "requesterEmail",
+  "requesterTeam",
+  "description",
+  "status",
+  "statusReason",
+  "priority",
+  "dueDate",
+  "printerId",
+  "material",
+  "color",
+  "quantity",
+  "createdAt",
+  "updatedAt",
+];
+
+export function webhookBody(format, event) {
+  const text = event.link ? `${summarize(event)}\n${event.link}` : summarize(event);
+  if (format === "discord") return { content: text };
+  if (format === "json") {
+    return {
+      event: event.type,
+      text,
+      at: event.at,
+      from: event.from,
+      comment: event.comment,
+      link: event.link,
+      request: Object.fromEntries(requestFields.map((k) => [k, event.request?.[k] ?? ""])),
+    };
+  }
+  return { text };
+}
+
+// Names one occurrence of an event, so retries and resends don't repeat a delivery
+export function deliveryKey(event) {
+  const r = event.request;
+  if (event.type === "status") return `status:${r.status}:${r.updatedAt}`;
+  if (event.type === "overdue") return `overdue:${r.dueDate}`;
+  if (event.type === "comment") return `comment:${event.comment.id}`;
+  return event.type;
+}
+
+// What to send for an event: [{ channel, target, message }]. The webhook's
+// target is logged by name only, the URL stays with the backend.
+export function deliveriesFor(settings, event, webhookUrl) {
+  const out = [];
+  if (webhookUrl) {
+    out.push({
+      channel: "webhook",
+      target: "webhook",
+      message: { channel: "webhook", url: webhookUrl, body: webhookBody(settings.format, event) },
+    });
+  }
+  if (settings.email.enabled && event.request.requesterEmail) {
+    out.push({
+      channel: "email",
+      target: event.request.requesterEmail,
+      message: {
+        channel: "email",
+        to: event.request.requesterEmail,
+        subject: renderTemplate(settings.email.subject, event),
+        body: renderTemplate(settings.email.body, event),
+      },
+    });
+  }
+  return out;
+}
+
+// The backend's log grouped by request, oldest first
+export function deliveriesByRequest(rows) {
+  const log = {};
+  [...rows]
+    .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+    .forEach((d) => {
+      (log[d.requestId] = log[d.requestId] || []).push(d);
+    });
+  return log;
+}
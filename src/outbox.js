@@ -0,0 +1,165 @@
+// Durable queue of sheet writes. Lives next to the request cache in localStorage
+// so unsent creates/updates/deletes survive a reload and replay in order.
+// A "batch" op carries several record updates that are sent as one write:
+//   { type: "batch", id: <batch id>, payload: { updates: [{ id, changes, updatedAt }] } }
+// A "comment" op appends one comment to a request: { type: "comment", id, payload: { comment } }
+// A "createMany" op upserts several whole records in one write (imports):
+//   { type: "createMany", id: <import id>, payload: { records: [row] } }
+// A "notify" op asks the backend to send the notifications for an event on a
+// request, once the writes queued before it have landed; it writes nothing itself:
+//   { type: "notify", id: <request id>, payload: { event, commentId } | { resend: <delivery id> } }
+
+export const OUTBOX_KEY = "print-inbox-outbox-v2";
+
+const BASE_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+export function loadOutbox() {
+  try {
+    const saved = localStorage.getItem(OUTBOX_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveOutbox(ops) {
+  try {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(ops));
+  } catch {
+    // storage full or blocked; the in-memory queue still works this session
+  }
+}
+
+// Ops queued before printers existed carry no collection; they were all requests
+export const opCollection = (op) => op.collection || "requests";
+
+export const opsFor = (ops, collection) => ops.filter((o) => opCollection(o) === collection);
+
+// The records a batch or createMany op carries
+const grouped = (o) => (o.type === "batch" ? o.payload.updates : o.type === "createMany" ? o.payload.records : null);
+
+// Whether an op writes to record `id`, directly or as part of a batch
+export const opTouches = (o, id) =>
+  (o.id === id && o.type !== "notify") || Boolean(grouped(o)?.some((u) => u.id === id));
+
+// Records an op writes to
+export const opRecordIds = (o) => (grouped(o) ? grouped(o).map((u) => u.id) : [o.id]);
+
+// Records an unsent op creates
+export const opCreates = (o) =>
+  o.type === "create" ? [o.id] : o.type === "createMany" ? o.payload.records.map((r) => r.id) : [];
+
+export function makeOp(type, id, payload, collection = "requests") {
+  return {
+    opId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    collection,
+    id,
+    payload,
+    attempts: 0,
+    nextAttemptAt: 0,
+    enqueuedAt: new Date().toISOString(),
+  };
+}
+
+// Add an op, folding it into whatever is already waiting for the same record.
+// `busyOpId` is the op currently being sent; it must not be rewritten or dropped.
+export function enqueueOp(ops, op, busyOpId) {
+  const waiting = (o) =>
+    o.id === op.id && opCollection(o) === opCollection(op) && o.opId !== busyOpId;
+
+  if (op.type === "update") {
+    const idx = ops.findIndex((o) => waiting(o) && (o.type === "create" || o.type === "update"));
+    if (idx === -1) return [...ops, op];
+    // Folding past a batch that writes the same record would reorder the writes, and
+    // folding past a notification would show it the later state
+    const between = ops.slice(idx + 1);
+    if (between.some((o) => (grouped(o) && opTouches(o, op.id)) || (o.type === "notify" && o.id === op.id))) {
+      return [...ops, op];
+    }
+
+    const target = ops[idx];
+    const merged =
+      target.type === "create"
+        ? { ...target, payload: { ...target.payload, ...op.payload.changes, updatedAt: op.payload.updatedAt } }
+        : {
+            ...target,
+            payload: { ...target.payload, ...op.payload, changes: { ...target.payload.changes, ...op.payload.changes } },
+          };
+    return ops.map((o, i) => (i === idx ? merged : o));
+  }
+
+  if (op.type === "delete") {
+    const unsentCreate = ops.some(
+      (o) => (waiting(o) && o.type === "create") || (o.opId !== busyOpId && opCreates(o).includes(op.id))
+    );
+    const rest = withoutRecord(ops, op.id, busyOpId).filter((o) => !waiting(o));
+    // The row never reached the sheet, so there is nothing to delete there
+    if (unsentCreate && !rest.some((o) => o.id === op.id)) return rest;
+    return [...rest, op];
+  }
+
+  return [...ops, op];
+}
+
+// Take one record out of any unsent batches or imports, dropping ones left empty
+function withoutRecord(ops, id, busyOpId) {
+  return ops
+    .map((o) => {
+      if (!grouped(o) || o.opId === busyOpId) return o;
+      const key = o.type === "batch" ? "updates" : "records";
+      const kept = o.payload[key].filter((u) => u.id !== id);
+      if (kept.length === o.payload[key].length) return o;
+      return kept.length ? { ...o, payload: { ...o.payload, [key]: kept } } : null;
+    })
+    .filter(Boolean);
+}
+
+export function retryDelay(attempts) {
+  return Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** Math.max(0, attempts - 1));
+}
+
+export function markFailed(ops, opId, error) {
+  return ops.map((o) => {
+    if (o.opId !== opId) return o;
+    const attempts = o.attempts + 1;
+    return { ...o, attempts, nextAttemptAt: Date.now() + retryDelay(attempts), lastError: error };
+  });
+}
+
+export const hasPendingFor = (ops, id) => ops.some((o) => opTouches(o, id));
+
+// Field changes still waiting to reach the sheet for one record, or null
+export function pendingChangesFor(ops, id) {
+  const changes = ops.flatMap((o) => {
+    if (o.type === "update" && o.id === id) return [o.payload.changes];
+    if (o.type === "batch") return o.payload.updates.filter((u) => u.id === id).map((u) => u.changes);
+    return [];
+  });
+  if (!changes.length) return null;
+  return changes.reduce((acc, c) => ({ ...acc, ...c }), {});
+}
+
+// Comments on a record that haven't reached the sheet yet
+export const pendingComments = (ops, id) =>
+  ops.filter((o) => o.type === "comment" && o.id === id).map((o) => o.payload.comment);
+
+// Forget queued edits to some fields (e.g. the sheet's version was kept instead)
+export function dropPendingChanges(ops, id, fields) {
+  const keep = (changes) => Object.fromEntries(Object.entries(changes).filter(([k]) => !fields.includes(k)));
+  return ops
+    .map((o) => {
+      if (o.type === "batch" && opTouches(o, id)) {
+        const updates = o.payload.updates
+          .map((u) => (u.id === id ? { ...u, changes: keep(u.changes) } : u))
+          .filter((u) => Object.keys(u.changes).length);
+        return updates.length ? { ...o, payload: { ...o.payload, updates } } : null;
+      }
+      if (o.id !== id || o.type !== "update") return o;
+      const changes = keep(o.payload.changes);
+      return Object.keys(changes).length ? { ...o, payload: { ...o.payload, changes } } : null;
+    })
+    .filter(Boolean);
+}
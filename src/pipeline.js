@@ -0,0 +1,188 @@
+// The status pipeline: which statuses exist, in what order, how they look, and
+// which moves between them are offered. Shared by everyone through the backend's
+// settings collection ({ id: "pipeline", value, updatedAt }), with the last copy
+// seen cached in this browser.
+//
+//   statuses:    [{ name, color, kind }]
+//   transitions: [{ id, from ("*" for any), to, label, requires: [], approver }]
+//   approvers:   names or emails allowed to use approver-only transitions (empty = anyone)
+//   strict:      when false any status can still be picked by hand; transitions are
+//                then just the quick actions
+//
+// `kind` is what the rest of the app needs to know about a status:
+//   waiting   not printed yet (scheduled into the print queue)
+//   printing  on a printer now
+//   finished  printed, not handed over yet
+//   done      closed, shown as done
+//   archived  closed and out of the way (left out of the calendar feed)
+
+export const PIPELINE_KEY = "print-inbox-pipeline-v1";
+export const PIPELINE_SETTING = "pipeline";
+
+export const statusKinds = ["waiting", "printing", "finished", "done", "archived"];
+
+// Full class names so Tailwind keeps them
+export const statusColors = {
+  slate: { chip: "bg-slate-100 text-slate-600 border border-slate-200", accent: "border-t-slate-300" },
+  sky: { chip: "bg-sky-50 text-sky-700 border border-sky-100", accent: "border-t-sky-300" },
+  indigo: { chip: "bg-indigo-50 text-indigo-700 border border-indigo-100", accent: "border-t-indigo-300" },
+  violet: { chip: "bg-violet-50 text-violet-700 border border-violet-100", accent: "border-t-violet-300" },
+  teal: { chip: "bg-teal-50 text-teal-700 border border-teal-100", accent: "border-t-teal-300" },
+  emerald: { chip: "bg-emerald-50 text-emerald-700 border border-emerald-100", accent: "border-t-emerald-300" },
+  amber: { chip: "bg-amber-50 text-amber-700 border border-amber-100", accent: "border-t-amber-300" },
+  orange: { chip: "bg-orange-50 text-orange-700 border border-orange-100", accent: "border-t-orange-300" },
+  rose: { chip: "bg-rose-50 text-rose-700 border border-rose-100", accent: "border-t-rose-300" },
+};
+
+// Things a transition can insist on before it runs
+export const requirements = {
+  reason: "a reason",
+  printer: "an assigned printer",
+  dueDate: "a due date",
+  files: "attached files",
+};
+
+export const pipelinePresets = {
+  simple: {
+    label: "Simple",
+    strict: false,
+    approvers: [],
+    statuses: [
+      { name: "New", color: "sky", kind: "waiting" },
+      { name: "In Progress", color: "indigo", kind: "printing" },
+      { name: "Done", color: "emerald", kind: "done" },
+      { name: "Archived", color: "slate", kind: "archived" },
+    ],
+    transitions: [
+      { id: "start", from: "New", to: "In Progress", label: "Start", requires: [], approver: false },
+      { id: "done", from: "*", to: "Done", label: "Done", requires: [], approver: false },
+      { id: "archive", from: "*", to: "Archived", label: "Archive", requires: [], approver: false },
+    ],
+  },
+  approval: {
+    label: "Approval workflow",
+    strict: true,
+    approvers: [],
+    statuses: [
+      { name: "New", color: "sky", kind: "waiting" },
+      { name: "Needs Info", color: "amber", kind: "waiting" },
+      { name: "Approved", color: "teal", kind: "waiting" },
+      { name: "Queued", color: "indigo", kind: "waiting" },
+      { name: "Printing", color: "violet", kind: "printing" },
+      { name: "Post-processing", color: "orange", kind: "finished" },
+      { name: "Ready for Pickup", color: "emerald", kind: "finished" },
+      { name: "Done", color: "slate", kind: "done" },
+      { name: "Rejected", color: "rose", kind: "archived" },
+      { name: "Archived", color: "slate", kind: "archived" },
+    ],
+    transitions: [
+      { id: "ask", from: "New", to: "Needs Info", label: "Ask for info", requires: ["reason"], approver: false },
+      { id: "answered", from: "Needs Info", to: "New", label: "Info added", requires: [], approver: false },
+      { id: "approve", from: "New", to: "Approved", label: "Approve", requires: [], approver: true },
+      { id: "reject", from: "New", to: "Rejected", label: "Reject", requires: ["reason"], approver: true },
+      { id: "queue", from: "Approved", to: "Queued", label: "Queue", requires: [], approver: false },
+      { id: "print", from: "Queued", to: "Printing", label: "Start print", requires: ["printer"], approver: false },
+      { id: "printed", from: "Printing", to: "Post-processing", label: "Printed", requires: [], approver: false },
+      { id: "failed", from: "Printing", to: "Queued", label: "Failed", requires: ["reason"], approver: false },
+      { id: "ready", from: "Post-processing", to: "Ready for Pickup", label: "Ready", requires: [], approver: false },
+      { id: "picked-up", from: "Ready for Pickup", to: "Done", label: "Picked up", requires: [], approver: false },
+      { id: "archive", from: "*", to: "Archived", label: "Archive", requires: [], approver: false },
+    ],
+  },
+};
+
+const { label: _label, ...defaultPipeline } = pipelinePresets.simple;
+export { defaultPipeline };
+
+// Pipelines saved without approvers (or without the per-transition flag) let anyone through
+function withApprovers(saved) {
+  const transitions = (saved.transitions || []).map((t) => ({ ...t, approver: !!t.approver }));
+  return { ...saved, approvers: saved.approvers || [], transitions };
+}
+
+export function loadPipeline() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PIPELINE_KEY));
+    return saved && Array.isArray(saved.statuses) && saved.statuses.length ? withApprovers(saved) : defaultPipeline;
+  } catch {
+    return defaultPipeline;
+  }
+}
+
+export function savePipeline(pipeline) {
+  localStorage.setItem(PIPELINE_KEY, JSON.stringify(pipeline));
+}
+
+export const hasSavedPipeline = () => localStorage.getItem(PIPELINE_KEY) !== null;
+
+export function validatePipeline(p) {
+  const names = p.statuses.map((s) => s.name.trim());
+  if (!names.length) return "Add at least one status";
+  if (names.some((n) => !n)) return "Every status needs a name";
+  if (names.some((n) => n === "All" || n === "*")) return `"All" and "*" can't be status names`;
+  if (new Set(names.map((n) => n.toLowerCase())).size !== names.length) return "Status names must be unique";
+  for (const t of p.transitions) {
+    if (!t.label.trim()) return "Every transition needs a button label";
+    if (t.from !== "*" && !names.includes(t.from)) return `Transition "${t.label}" starts from an unknown status`;
+    if (!names.includes(t.to)) return `Transition "${t.label}" goes to an unknown status`;
+  }
+  return null;
+}
+
+// The pipeline in the backend's settings rows, or null when there is none (or it
+// doesn't hold up)
+export function sharedPipeline(rows) {
+  const value = rows.find((r) => r.id === PIPELINE_SETTING)?.value;
+  if (!value || !Array.isArray(value.statuses) || !Array.isArray(value.transitions)) return null;
+  return validatePipeline(value) ? null : withApprovers(value);
+}
+
+export const statusNames = (pipeline) => pipeline.statuses.map((s) => s.name);
+
+// Where new requests start
+export const firstStatus = (pipeline) => pipeline.statuses[0]?.name || "New";
+
+// Statuses that have been removed from the pipeline still get a kind, from the
+// old fixed list, or "waiting"
+const legacyKinds = { "In Progress": "printing", Done: "done", Archived: "archived" };
+
+export function kindFor(pipeline) {
+  const kinds = new Map(pipeline.statuses.map((s) => [s.name, s.kind]));
+  return (status) => kinds.get(status) || legacyKinds[status] || "waiting";
+}
+
+export const defaultKindOf = kindFor(defaultPipeline);
+
+export const isClosedKind = (kind) => kind === "done" || kind === "archived";
+
+export function statusStyle(pipeline, status) {
+  const color = pipeline.statuses.find((s) => s.name === status)?.color;
+  return statusColors[color] || statusColors.slate;
+}
+
+// First status of a kind, e.g. where "Archive" in the batch bar sends requests
+export const statusOfKind = (pipeline, kind) => pipeline.statuses.find((s) => s.kind === kind)?.name || "";
+
+export const transitionsFrom = (pipeline, status) =>
+  pipeline.transitions.filter((t) => (t.from === "*" || t.from === status) && t.to !== status);
+
+// The transition a move from `from` to `to` goes through, if one is configured
+export const transitionFor = (pipeline, from, to) => transitionsFrom(pipeline, from).find((t) => t.to === to);
+
+// Approver-only transitions need the user's name or email on the approvers list
+export function canApprove(pipeline, profile) {
+  if (!pipeline.approvers?.length) return true;
+  const me = [profile.name, profile.email].filter(Boolean).map((v) => v.trim().toLowerCase());
+  return pipeline.approvers.some((a) => me.includes(a.trim().toLowerCase()));
+}
+
+// Why `req` can't go through `transition` yet ("reason" is asked for separately), or null
+export function missingRequirement(req, transition) {
+  const missing = (transition?.requires || []).find((r) => {
+    if (r === "printer") return !req.printerId;
+    if (r === "dueDate") return !req.dueDate;
+    if (r === "files") return !req.attachments?.length;
+    return false;
+  });
+  return missing ? `"${transition.label}" needs ${requirements[missing]} first` : null;
+}
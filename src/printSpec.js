@@ -0,0 +1,72 @@
+// Print settings collected on the request form. Stored as flat fields on the
+// request (and as columns in the sheet) so they can be filtered and exported.
+
+export const materials = ["PLA", "PETG", "ABS", "ASA", "TPU", "Nylon", "Resin", "Other"];
+
+export const supportOptions = ["Auto", "None", "Build plate only", "Everywhere"];
+
+// Material starts unset so a sliced G-code's filament type can fill it in for costing
+export const emptySpec = {
+  material: "",
+  color: "",
+  quantity: "1",
+  infill: "20",
+  layerHeight: "0.2",
+  supports: "Auto",
+};
+
+export const specFields = Object.keys(emptySpec);
+
+const isBlank = (v) => v === "" || v === null || v === undefined;
+
+// Form inputs are strings; numbers are stored as numbers, blanks stay blank
+export function normalizeSpec(spec) {
+  const num = (v) => (isBlank(v) ? "" : Number(v));
+  return {
+    material: spec.material || "",
+    color: (spec.color || "").trim(),
+    quantity: isBlank(spec.quantity) ? 1 : Number(spec.quantity),
+    infill: num(spec.infill),
+    layerHeight: num(spec.layerHeight),
+    supports: spec.supports || "",
+  };
+}
+
+export function validateSpec(spec) {
+  if (spec.material && !materials.includes(spec.material)) return "Unknown material";
+  if (!Number.isInteger(spec.quantity) || spec.quantity < 1 || spec.quantity > 999) {
+    return "Quantity must be a whole number from 1 to 999";
+  }
+  if (spec.infill !== "" && !(spec.infill >= 0 && spec.infill <= 100)) {
+    return "Infill must be between 0 and 100%";
+  }
+  if (spec.layerHeight !== "" && !(spec.layerHeight >= 0.01 && spec.layerHeight <= 1)) {
+    return "Layer height must be between 0.01 and 1 mm";
+  }
+  if (spec.supports && !supportOptions.includes(spec.supports)) return "Unknown supports option";
+  return null;
+}
+
+// Short labels for card chips, skipping anything not filled in
+export function specChips(req) {
+  const chips = [];
+  if (req.material) chips.push(req.color ? `${req.material} · ${req.color}` : req.material);
+  else if (req.color) chips.push(req.color);
+  if (req.quantity > 1) chips.push(`×${req.quantity}`);
+  if (!isBlank(req.infill)) chips.push(`${req.infill}% infill`);
+  if (!isBlank(req.layerHeight)) chips.push(`${req.layerHeight} mm layers`);
+  if (req.supports && req.supports !== "None") chips.push(`Supports: ${req.supports.toLowerCase()}`);
+  return chips;
+}
+
+// Lines for the copied summary
+export function specSummary(req) {
+  const show = (v, suffix = "") => (isBlank(v) ? "-" : `${v}${suffix}`);
+  return [
+    `Material: ${show(req.material)}${req.color ? ` (${req.color})` : ""}`,
+    `Quantity: ${show(req.quantity || 1)}`,
+    `Infill: ${show(req.infill, "%")}`,
+    `Layer height: ${show(req.layerHeight, " mm")}`,
+    `Supports: ${show(req.supports)}`,
+  ];
+}
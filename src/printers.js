@@ -0,0 +1,72 @@
+// Printer fleet registry: shared constants and helpers for printer records.
+// Printers are stored and synced like requests, under the "printers" collection.
+
+export const PRINTERS_KEY = "print-inbox-printers-v1";
+
+export const printerStatuses = ["Idle", "Printing", "Maintenance", "Offline"];
+
+export const printerStatusStyles = {
+  Idle: "bg-emerald-50 text-emerald-700 border border-emerald-100",
+  Printing: "bg-indigo-50 text-indigo-700 border border-indigo-100",
+  Maintenance: "bg-amber-50 text-amber-700 border border-amber-100",
+  Offline: "bg-slate-100 text-slate-600 border border-slate-200",
+};
+
+export const weekdays = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// When someone is around to start jobs. Kept as one object so the sheet stores it
+// as a JSON cell instead of turning "09:00" into a date.
+export const defaultWorkHours = { start: "09:00", end: "17:00", days: [1, 2, 3, 4, 5] };
+
+export const emptyPrinter = {
+  name: "",
+  model: "",
+  buildX: "",
+  buildY: "",
+  buildZ: "",
+  nozzle: "0.4",
+  material: "",
+  status: "Idle",
+  workHours: defaultWorkHours,
+};
+
+// Build volume in mm, e.g. "250 × 210 × 220 mm"
+export function formatBuildVolume(p) {
+  const dims = [p.buildX, p.buildY, p.buildZ].map(Number);
+  if (dims.some((d) => !d)) return "Unknown volume";
+  return `${dims.join(" × ")} mm`;
+}
+
+// Numbers come out of form inputs as strings; store them as numbers
+export function normalizePrinter(fields) {
+  const num = (v) => (v === "" || v === null || v === undefined ? "" : Number(v));
+  return {
+    ...fields,
+    name: (fields.name || "").trim(),
+    model: (fields.model || "").trim(),
+    material: (fields.material || "").trim(),
+    buildX: num(fields.buildX),
+    buildY: num(fields.buildY),
+    buildZ: num(fields.buildZ),
+    nozzle: num(fields.nozzle),
+    workHours: { ...defaultWorkHours, ...fields.workHours },
+  };
+}
+
+export function validatePrinter(p) {
+  if (!p.name) return "Printer name is required";
+  for (const [key, label] of [
+    ["buildX", "Build X"],
+    ["buildY", "Build Y"],
+    ["buildZ", "Build Z"],
+    ["nozzle", "Nozzle size"],
+  ]) {
+    if (p[key] !== "" && !(p[key] > 0)) return `${label} must be a positive number`;
+  }
+  if (!printerStatuses.includes(p.status)) return "Unknown printer status";
+  const { start, end, days } = p.workHours || defaultWorkHours;
+  if (!/^\d\d:\d\d$/.test(start) || !/^\d\d:\d\d$/.test(end)) return "Working hours need a start and end time";
+  if (start >= end) return "Working hours must end after they start";
+  if (!days.length) return "Pick at least one working day";
+  return null;
+}
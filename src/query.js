@@ -0,0 +1,245 @@
+// Search box query language. A query is a list of terms separated by spaces:
+//   status:"In Progress"  priority:>=High  due:<7d  created:<30d  requester:alex
+//   material:PETG  color:red  printer:prusa  notes:glue  is:pinned  has:files
+//   sort:due  "exact phrase"  plain words
+// Prefix a term with "-" to exclude it; "-archived" (any status name) hides that status.
+// Plain words and phrases match the name, description and notes.
+
+import { dayKey, parseDay } from "./calendar.js";
+import { defaultKindOf, isClosedKind } from "./pipeline.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const queryFields = {
+  status: "status:New",
+  priority: "priority:>=High",
+  due: "due:<7d",
+  created: "created:<30d",
+  requester: "requester:name",
+  material: "material:PETG",
+  color: "color:red",
+  printer: "printer:name",
+  notes: "notes:text",
+  is: "is:pinned",
+  has: "has:files",
+  sort: "sort:due",
+};
+
+const isValues = ["pinned", "overdue", "unsynced", "conflict"];
+const hasValues = ["files", "notes", "comments", "due", "printer"];
+const sortValues = ["newest", "oldest", "due", "priority"];
+const dateValues = ["today", "overdue", "none"];
+const comparable = ["priority", "due", "created"];
+
+// `-status:"In Progress"` -> { negate, field, op, value }; field is "" for plain text
+export function tokenize(text) {
+  const tokens = [];
+  const re = /(-)?(?:([a-z]+):(>=|<=|>|<|=)?)?(?:"([^"]*)"?|(\S*))/gi;
+  let m;
+  while ((m = re.exec(text))) {
+    if (!m[0]) {
+      re.lastIndex++;
+      continue;
+    }
+    const field = (m[2] || "").toLowerCase();
+    const quoted = m[4] !== undefined;
+    const value = quoted ? m[4] : m[5] || "";
+    if (field && !(field in queryFields)) {
+      // "http://..." and the like are just text
+      tokens.push({ negate: !!m[1], field: "", op: "", value: m[0].replace(/^-/, ""), quoted: false });
+    } else tokens.push({ negate: !!m[1], field, op: m[3] || "", value, quoted });
+  }
+  return tokens;
+}
+
+const pick = (list, value) => list.find((v) => v.toLowerCase() === value.toLowerCase());
+
+// Relative ("7d", "2w") or absolute ("2026-11-01") date value -> { days } or { date }
+function dateValue(value) {
+  const rel = /^(\d+)([dw])$/i.exec(value);
+  if (rel) return { days: Number(rel[1]) * (rel[2].toLowerCase() === "w" ? 7 : 1) };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [y, mo, d] = value.split("-").map(Number);
+    return { date: new Date(y, mo - 1, d) };
+  }
+  return null;
+}
+
+// { terms, words, sort, errors }. Terms that don't make sense are reported and ignored.
+export function parseQuery(text, { statuses, priorities }) {
+  const query = { terms: [], words: [], sort: "", errors: [] };
+
+  tokenize(text).forEach((t) => {
+    const { negate, field, op, value } = t;
+    if (!value) return;
+
+    if (!field) {
+      const status = negate && !t.quoted && pick(statuses, value);
+      if (status) query.terms.push({ field: "status", op: "=", value: status, negate: true });
+      else query.words.push({ text: value.toLowerCase(), negate });
+      return;
+    }
+    if (op && !comparable.includes(field)) return query.errors.push(`${field}: can't use ${op}`);
+
+    if (field === "sort") {
+      if (!sortValues.includes(value.toLowerCase())) return query.errors.push(`Unknown sort "${value}"`);
+      query.sort = value.toLowerCase();
+    } else if (field === "status") {
+      const status = pick(statuses, value);
+      if (!status) return query.errors.push(`Unknown status "${value}"`);
+      query.terms.push({ field, op: "=", value: status, negate });
+    } else if (field === "priority") {
+      const priority = pick(priorities, value);
+      if (!priority) return query.errors.push(`Unknown priority "${value}"`);
+      query.terms.push({ field, op: op || "=", value: priorities.indexOf(priority), negate });
+    } else if (field === "due" || field === "created") {
+      const keyword = pick(dateValues, value);
+      const parsed = keyword ? { keyword: keyword.toLowerCase() } : dateValue(value);
+      if (!parsed || (keyword && op)) return query.errors.push(`Bad date "${value}"`);
+      query.terms.push({ field, op: op || "=", value: parsed, negate });
+    } else if (field === "is" || field === "has") {
+      const known = pick(field === "is" ? isValues : hasValues, value);
+      if (!known) return query.errors.push(`Unknown ${field}:${value}`);
+      query.terms.push({ field, op: "=", value: known, negate });
+    } else query.terms.push({ field, op: "=", value: value.toLowerCase(), negate });
+  });
+
+  return query;
+}
+
+const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+
+const compare = (a, op, b) =>
+  op === ">" ? a > b : op === ">=" ? a >= b : op === "<" ? a < b : op === "<=" ? a <= b : a === b;
+
+// Relative values measure distance from now: due:<7d is due within a week (or overdue),
+// created:<7d was created less than a week ago. Absolute values compare by day.
+// Due dates are UTC-midnight day stamps, so their day is the first ten characters (as
+// in calendar.js); created dates are instants and fall on the local day they happened.
+function matchDate(iso, { op, value }, field, now) {
+  const date = iso ? (field === "due" ? parseDay(String(iso).slice(0, 10)) : new Date(iso)) : null;
+  const valid = date && !Number.isNaN(date.getTime());
+  if (value.keyword === "none") return !valid;
+  if (!valid) return false;
+  if (value.keyword === "today") return dayKey(date) === dayKey(now);
+  if (value.keyword === "overdue") return dayKey(date) < dayKey(now);
+  if (value.days !== undefined) {
+    const distance = (field === "due" ? date - now : now - date) / DAY;
+    return op === "=" ? Math.floor(distance) === value.days : compare(distance, op, value.days);
+  }
+  return compare(startOfDay(date).getTime(), op, value.date.getTime());
+}
+
+const contains = (v, text) => String(v ?? "").toLowerCase().includes(text);
+
+function matchTerm(req, term, { priorities, printerName, now, kindOf }) {
+  const { field, op, value } = term;
+  switch (field) {
+    case "status":
+      return req.status === value;
+    case "priority": {
+      const rank = priorities.indexOf(req.priority);
+      return rank !== -1 && compare(rank, op, value);
+    }
+    case "due":
+    case "created":
+      return matchDate(field === "due" ? req.dueDate : req.createdAt, term, field, now);
+    case "requester":
+      return contains(req.name, value) || contains(req.requesterEmail, value);
+    case "material":
+      return String(req.material || "").toLowerCase() === value;
+    case "color":
+      return contains(req.color, value);
+    case "printer":
+      return value === "none" ? !printerName(req) : contains(printerName(req), value);
+    case "notes":
+      return contains(req.devNotes, value);
+    case "is":
+      if (value === "pinned") return !!req.pinned;
+      if (value === "overdue") {
+        const closed = isClosedKind(kindOf(req.status));
+        return !closed && matchDate(req.dueDate, { value: { keyword: "overdue" } }, "due", now);
+      }
+      if (value === "unsynced") return !req.synced;
+      return !!req.conflict;
+    case "has":
+      if (value === "files") return req.attachments?.length > 0;
+      if (value === "notes") return !!req.devNotes;
+      if (value === "comments") return req.comments?.length > 0;
+      if (value === "due") return !!req.dueDate;
+      return !!printerName(req);
+    default:
+      return true;
+  }
+}
+
+// `printerName(req)` resolves the assigned printer ("" when none); `kindOf` maps statuses to pipeline kinds
+export function matchQuery(
+  req,
+  query,
+  { priorities, printerName = () => "", now = new Date(), kindOf = defaultKindOf }
+) {
+  const text = [req.name, req.description, req.devNotes].join("\n").toLowerCase();
+  return (
+    query.words.every((w) => text.includes(w.text) !== w.negate) &&
+    query.terms.every((t) => matchTerm(req, t, { priorities, printerName, now, kindOf }) !== t.negate)
+  );
+}
+
+// Statuses a query can still show, for picking board columns
+export function queryStatuses(query, statuses) {
+  const status = query.terms.filter((t) => t.field === "status");
+  const wanted = status.filter((t) => !t.negate).map((t) => t.value);
+  const hidden = status.filter((t) => t.negate).map((t) => t.value);
+  return statuses.filter((s) => (!wanted.length || wanted.includes(s)) && !hidden.includes(s));
+}
+
+const escape = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Matches the positive text (and requester) terms, for highlighting; null when there are none
+export function highlightPattern(query) {
+  const parts = [
+    ...query.words.filter((w) => !w.negate).map((w) => w.text),
+    ...query.terms.filter((t) => t.field === "requester" && !t.negate).map((t) => t.value),
+  ].filter(Boolean);
+  if (!parts.length) return null;
+  return new RegExp(`(${parts.sort((a, b) => b.length - a.length).map(escape).join("|")})`, "gi");
+}
+
+const quote = (v) => (/\s/.test(v) ? `"${v}"` : v);
+
+// Completions for the term being typed at the end of `text`: [{ label, text }],
+// where `text` is the whole query with that term completed
+export function suggest(text, { statuses, priorities, materials, requesters, printers }) {
+  const m = /(-?)(?:([a-z]+):(>=|<=|>|<|=)?)?("[^"]*|\S*)$/i.exec(text);
+  const before = text.slice(0, m.index);
+  const [, negate, rawField, op = "", typed] = m;
+  const partial = typed.replace(/^"/, "").toLowerCase();
+
+  if (!rawField) {
+    if (!partial) return [];
+    return Object.entries(queryFields)
+      .filter(([f]) => f.startsWith(partial) && f !== partial)
+      .map(([f, example]) => ({ label: example, text: `${before}${negate}${f}:` }));
+  }
+
+  const field = rawField.toLowerCase();
+  const values = {
+    status: statuses,
+    priority: priorities,
+    due: [...dateValues, "7d", "2w"],
+    created: ["today", "7d", "30d"],
+    requester: requesters,
+    material: materials,
+    printer: ["none", ...printers],
+    is: isValues,
+    has: hasValues,
+    sort: sortValues,
+  }[field];
+  if (!values) return [];
+
+  return values
+    .filter((v) => v.toLowerCase().startsWith(partial) && v.toLowerCase() !== partial)
+    .slice(0, 8)
+    .map((v) => ({ label: `${field}:${op}${v}`, text: `${before}${negate}${rawField}:${op}${quote(v)} ` }));
+}
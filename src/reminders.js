@@ -0,0 +1,131 @@
+// Due-date triage and reminders. Requests fall into buckets by due date:
+//   overdue  due before today and still open
+//   today    due today
+//   soon     open and due after today, within the reminder window
+// Reminders are opt-in per browser; each open request is raised once per bucket
+// and due date (so "due soon" and then "overdue" are both announced), and can be
+// snoozed or dismissed until that changes.
+//
+//   settings: { enabled, browser, windowHours, mineOnly }
+//   state:    { alerted: { id: key }, snoozed: { id: { key, until } } }   (until "" = dismissed)
+
+import { dayKey, parseDay } from "./calendar.js";
+import { defaultKindOf, isClosedKind } from "./pipeline.js";
+
+export const REMINDERS_KEY = "print-inbox-reminders-v1";
+export const REMINDER_STATE_KEY = "print-inbox-reminder-state-v1";
+
+export const defaultReminderSettings = { enabled: false, browser: false, windowHours: 48, mineOnly: false };
+
+export function loadReminderSettings() {
+  try {
+    return { ...defaultReminderSettings, ...JSON.parse(localStorage.getItem(REMINDERS_KEY) || "{}") };
+  } catch {
+    return defaultReminderSettings;
+  }
+}
+
+export function saveReminderSettings(settings) {
+  localStorage.setItem(REMINDERS_KEY, JSON.stringify(settings));
+}
+
+export function loadReminderState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(REMINDER_STATE_KEY) || "{}");
+    return { alerted: saved.alerted || {}, snoozed: saved.snoozed || {} };
+  } catch {
+    return { alerted: {}, snoozed: {} };
+  }
+}
+
+export function saveReminderState(state) {
+  localStorage.setItem(REMINDER_STATE_KEY, JSON.stringify(state));
+}
+
+// Due dates are stored as UTC-midnight day stamps; the day is the first ten
+// characters, compared with today's local day rather than read as an instant
+const dueDay = (r) => {
+  const day = r.dueDate ? String(r.dueDate).slice(0, 10) : "";
+  return /^\d{4}-\d{2}-\d{2}$/.test(day) ? day : null;
+};
+
+export function bucketOf(req, { now = new Date(), kindOf = defaultKindOf, windowHours = 48 } = {}) {
+  const due = dueDay(req);
+  if (due === null) return null;
+  const today = dayKey(now);
+  if (due === today) return "today";
+  if (isClosedKind(kindOf(req.status))) return null;
+  if (due < today) return "overdue";
+  return parseDay(due).getTime() - now.getTime() <= windowHours * 3600000 ? "soon" : null;
+}
+
+export function triageBuckets(reqs, options = {}) {
+  const buckets = { overdue: [], dueToday: [], dueSoon: [] };
+  const names = { overdue: "overdue", today: "dueToday", soon: "dueSoon" };
+  reqs.forEach((r) => {
+    const bucket = bucketOf(r, options);
+    if (bucket) buckets[names[bucket]].push(r);
+  });
+  return buckets;
+}
+
+export const reminderKey = (req, bucket) => `${bucket}:${req.dueDate}`;
+
+const bucketOrder = { overdue: 0, today: 1, soon: 2 };
+
+// Open requests that want attention now and aren't snoozed, most urgent first
+export function activeReminders(reqs, state, options = {}) {
+  const now = options.now || new Date();
+  return reqs
+    .filter((r) => !isClosedKind((options.kindOf || defaultKindOf)(r.status)))
+    .map((req) => {
+      const bucket = bucketOf(req, options);
+      return bucket && { req, bucket, key: reminderKey(req, bucket) };
+    })
+    .filter((r) => {
+      if (!r) return false;
+      const snooze = state.snoozed[r.req.id];
+      return !snooze || snooze.key !== r.key || (snooze.until && new Date(snooze.until) <= now);
+    })
+    .sort((a, b) => bucketOrder[a.bucket] - bucketOrder[b.bucket] || dueDay(a.req).localeCompare(dueDay(b.req)));
+}
+
+// Reminders not raised yet for their current bucket
+export const unannounced = (reminders, state) => reminders.filter((r) => state.alerted[r.req.id] !== r.key);
+
+export const markAnnounced = (state, reminders) => ({
+  ...state,
+  alerted: { ...state.alerted, ...Object.fromEntries(reminders.map((r) => [r.req.id, r.key])) },
+});
+
+export const snoozeOptions = [
+  { value: "hour", label: "1 hour" },
+  { value: "tomorrow", label: "Tomorrow" },
+  { value: "dismiss", label: "Dismiss" },
+];
+
+// A snooze raises the reminder again when it runs out; dismissing waits for the
+// next bucket (or a new due date)
+export function snooze(state, reminder, option, now = new Date()) {
+  let until = "";
+  if (option === "hour") until = new Date(now.getTime() + 3600000).toISOString();
+  if (option === "tomorrow") {
+    const morning = new Date(now);
+    morning.setDate(morning.getDate() + 1);
+    morning.setHours(9, 0, 0, 0);
+    until = morning.toISOString();
+  }
+  const { [reminder.req.id]: _alerted, ...alerted } = state.alerted;
+  return {
+    alerted: option === "dismiss" ? state.alerted : alerted,
+    snoozed: { ...state.snoozed, [reminder.req.id]: { key: reminder.key, until } },
+  };
+}
+
+export function describeReminder({ req, bucket }, now = new Date()) {
+  const day = parseDay(dueDay(req));
+  if (bucket === "overdue") return `Overdue since ${day.toLocaleDateString()}`;
+  if (bucket === "today") return "Due today";
+  const hours = Math.max(1, Math.round((day.getTime() - now.getTime()) / 3600000));
+  return hours < 48 ? `Due in ${hours}h` : `Due ${day.toLocaleDateString()}`;
+}
@@ -0,0 +1,83 @@
+// Requester directory. Requests only carry the free-text `name` typed on the form
+// (plus an optional email and team), so the same person can appear under several
+// spellings. Spellings are grouped by a loose key, and merged spellings are kept
+// as aliases so later requests typed the old way land on the chosen name.
+
+import { defaultKindOf, isClosedKind } from "./pipeline.js";
+
+export const ALIASES_KEY = "print-inbox-requester-aliases-v1";
+
+// "  alex  B. " and "Alex b" share a key
+export const requesterKey = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}@]+/gu, " ")
+    .trim();
+
+export function loadAliases() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ALIASES_KEY) || "{}");
+    return saved && typeof saved === "object" && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+export function saveAliases(aliases) {
+  localStorage.setItem(ALIASES_KEY, JSON.stringify(aliases));
+}
+
+// The name a spelling has been merged into, or the spelling itself
+export const canonicalName = (name, aliases) => aliases[requesterKey(name)] || String(name || "").trim();
+
+// Point every spelling in `names` (and anything already aliased to them) at `target`
+export function mergeAliases(aliases, names, target) {
+  const merged = new Set(names.map(requesterKey));
+  const next = Object.fromEntries(
+    Object.entries(aliases).map(([key, to]) => [key, merged.has(requesterKey(to)) ? target : to])
+  );
+  names.forEach((n) => {
+    if (requesterKey(n) !== requesterKey(target)) next[requesterKey(n)] = target;
+  });
+  delete next[requesterKey(target)];
+  return next;
+}
+
+// [{ key, name, spellings: [{ name, count }], emails, teams, total, open }], busiest first.
+// The display name is the alias target if there is one, else the most used spelling.
+export function requesterDirectory(requests, aliases, kindOf = defaultKindOf) {
+  const groups = new Map();
+  requests.forEach((r) => {
+    if (!String(r.name || "").trim()) return;
+    const key = requesterKey(canonicalName(r.name, aliases));
+    const g = groups.get(key) || { key, spellings: new Map(), emails: new Set(), teams: new Set(), total: 0, open: 0 };
+    const spelling = String(r.name).trim();
+    g.spellings.set(spelling, (g.spellings.get(spelling) || 0) + 1);
+    if (r.requesterEmail) g.emails.add(r.requesterEmail);
+    if (r.requesterTeam) g.teams.add(r.requesterTeam);
+    g.total += 1;
+    if (!isClosedKind(kindOf(r.status))) g.open += 1;
+    groups.set(key, g);
+  });
+
+  const targets = new Map(Object.values(aliases).map((name) => [requesterKey(name), name]));
+  return [...groups.values()]
+    .map((g) => {
+      const spellings = [...g.spellings].map(([name, count]) => ({ name, count })).sort((a, b) => b.count - a.count);
+      return {
+        ...g,
+        name: targets.get(g.key) || spellings[0].name,
+        spellings,
+        emails: [...g.emails],
+        teams: [...g.teams],
+      };
+    })
+    .sort((a, b) => b.open - a.open || b.total - a.total || a.name.localeCompare(b.name));
+}
+
+// Mine if the email matches, or the name does once aliases are applied
+export function isMine(req, profile, aliases) {
+  if (profile.email && String(req.requesterEmail || "").toLowerCase() === profile.email) return true;
+  if (!profile.name) return false;
+  return requesterKey(canonicalName(req.name, aliases)) === requesterKey(canonicalName(profile.name, aliases));
+}
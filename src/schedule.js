@@ -0,0 +1,110 @@
+// Print queue scheduler. Open requests are ordered (in progress first, then
+// priority, due date, age) and handed out one by one: jobs assigned to a printer
+// queue on it, the rest go to whichever printer would finish them first.
+// A job can only be started inside its printer's working hours but, once
+// started, runs unattended until it is done.
+
+import { fitOnPrinter, meshesFor } from "./fit.js";
+import { defaultWorkHours } from "./printers.js";
+import { defaultKindOf } from "./pipeline.js";
+
+// Used when a request has no time estimate and no G-code
+export const DEFAULT_JOB_HOURS = 2;
+
+const HOUR = 3600 * 1000;
+const schedulable = (p) => p.status === "Idle" || p.status === "Printing";
+
+const minutesOf = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+};
+
+// Earliest moment at or after `time` when someone can start a job on the printer
+export function nextWorkingStart(time, workHours = defaultWorkHours) {
+  const { start, end, days } = { ...defaultWorkHours, ...workHours };
+  if (!days.length) return null;
+  const t = new Date(time);
+  for (let i = 0; i < 8; i++) {
+    const day = new Date(t);
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() + i);
+    if (!days.includes(day.getDay())) continue;
+    const open = new Date(day.getTime() + minutesOf(start) * 60000);
+    const close = new Date(day.getTime() + minutesOf(end) * 60000);
+    if (t < open) return open;
+    if (t < close) return t;
+  }
+  return null;
+}
+
+// End of the due day, local time. Due dates are ISO timestamps of midnight UTC on the
+// picked day, so the day comes from the date part rather than the local conversion.
+export function dueDeadline(dueDate) {
+  if (!dueDate) return null;
+  const d = new Date(dueDate);
+  if (Number.isNaN(d.getTime())) return null;
+  const [y, m, day] = String(dueDate).slice(0, 10).split("-").map(Number);
+  return new Date(y, m - 1, day, 23, 59, 59);
+}
+
+function fitsOn(req, printer) {
+  return meshesFor(req).every((mesh) => {
+    const result = fitOnPrinter(mesh.size, printer);
+    return result.unknown || result.fits;
+  });
+}
+
+// Returns { lanes: [{ printer, jobs: [{ req, start, finish, hours, estimated, late }] }], unscheduled }
+// where `estimated` means DEFAULT_JOB_HOURS stood in for a real estimate. `kindOf`
+// maps a status to its pipeline kind; only waiting and printing requests are queued.
+export function scheduleQueue(requests, printers, { now = new Date(), rank, hoursFor, kindOf = defaultKindOf }) {
+  const lanes = printers.filter(schedulable).map((printer) => ({ printer, jobs: [], free: new Date(now) }));
+  const open = requests.filter((r) => kindOf(r.status) === "waiting" || kindOf(r.status) === "printing");
+  if (!lanes.length) return { lanes: [], unscheduled: open };
+
+  const order = [...open].sort((a, b) => {
+    const running = (r) => (kindOf(r.status) === "printing" ? 0 : 1);
+    if (running(a) !== running(b)) return running(a) - running(b);
+    if (rank(b) !== rank(a)) return rank(b) - rank(a);
+    const ad = dueDeadline(a.dueDate)?.getTime() ?? Infinity;
+    const bd = dueDeadline(b.dueDate)?.getTime() ?? Infinity;
+    if (ad !== bd) return ad - bd;
+    return new Date(a.createdAt) - new Date(b.createdAt);
+  });
+
+  const unscheduled = [];
+  order.forEach((req) => {
+    const known = hoursFor(req);
+    const hours = known > 0 ? known : DEFAULT_JOB_HOURS;
+
+    // Already printing: it started before now, so it doesn't wait for working hours
+    const plan = (lane) => {
+      const start =
+        kindOf(req.status) === "printing" && lane.printer.id === req.printerId && !lane.jobs.length
+          ? new Date(now)
+          : nextWorkingStart(lane.free, lane.printer.workHours);
+      return start && { lane, start, finish: new Date(start.getTime() + hours * HOUR) };
+    };
+
+    const assigned = lanes.find((l) => l.printer.id === req.printerId);
+    const candidates = assigned ? [assigned] : lanes.filter((l) => fitsOn(req, l.printer));
+    const best = (candidates.length ? candidates : lanes)
+      .map(plan)
+      .filter(Boolean)
+      .sort((a, b) => a.finish - b.finish)[0];
+    if (!best) return unscheduled.push(req);
+
+    const deadline = dueDeadline(req.dueDate);
+    best.lane.jobs.push({
+      req,
+      start: best.start,
+      finish: best.finish,
+      hours,
+      estimated: !(known > 0),
+      late: !!deadline && best.finish > deadline,
+    });
+    best.lane.free = best.finish;
+  });
+
+  return { lanes: lanes.map(({ printer, jobs }) => ({ printer, jobs })), unscheduled };
+}
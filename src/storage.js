@@ -0,0 +1,299 @@
+// Storage adapters. Every backend exposes the same calls, each resolving
+// to a result object instead of throwing:
+//
+//   list(collection)                            -> { ok, rows }
+//   create(record, collection)                  -> { ok, row, version }
+//   update(id, changes, updatedAt, collection)  -> { ok, row, version }
+//   remove(id, collection)                      -> { ok }
+//   attach(id, attachment, collection)          -> { ok, row }   (attachment.data is base64)
+//   comment(id, comment, collection)            -> { ok, row }   (appends to the row's comments)
+//   batch(updates, collection)                  -> { ok, rows, version }
+//   createMany(records, collection)             -> { ok, rows, version }   (upserts by id, for imports)
+//   notify(message)                             -> { ok, rows }   (the deliveries made; see notify.js)
+//     message is { event, id, commentId } for an event on a request, { resend } with a
+//     delivery id, or { event: "test" }; the backend looks up everything else
+//
+// `collection` is "requests" (the default), "printers", "history", "settings"
+// (shared configuration, one row per setting with its `value`) or "deliveries"
+// (the notification log, which only the backend writes).
+// Failures look like { ok: false, error, retryable }; the outbox retries the
+// retryable ones with backoff and surfaces the rest.
+// `remote: false` means there is nothing to sync (the local cache is the store).
+
+import { blobToBase64, loadAttachmentBlob } from "./attachments.js";
+
+export const SETTINGS_KEY = "print-inbox-settings-v1";
+
+const DEFAULT_SHEETS_ENDPOINT =
+  "https://script.google.com/macros/s/AKfycbwdRHaAIBTC7q0olATYdoGb6BBZuO3OUrBaCvu6V2AJuZvpMsq1PFkvUUy9wMNscL-EMA/exec";
+
+export const adapterOptions = [
+  { value: "apps-script", label: "Google Sheet (Apps Script)", needsEndpoint: true },
+  { value: "rest", label: "REST / JSON API", needsEndpoint: true },
+  { value: "local", label: "This browser only", needsEndpoint: false },
+];
+
+// Build-time defaults; a saved settings panel choice overrides them
+const env = import.meta.env;
+export const defaultStorageConfig = {
+  adapter: env.VITE_STORAGE_ADAPTER || "apps-script",
+  endpoint:
+    env.VITE_STORAGE_ENDPOINT ||
+    env.VITE_SHEETS_ENDPOINT ||
+    (env.VITE_STORAGE_ADAPTER && env.VITE_STORAGE_ADAPTER !== "apps-script"
+      ? ""
+      : DEFAULT_SHEETS_ENDPOINT),
+};
+
+export function loadStorageConfig() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "null");
+    return saved?.adapter ? { ...defaultStorageConfig, ...saved } : defaultStorageConfig;
+  } catch {
+    return defaultStorageConfig;
+  }
+}
+
+export function saveStorageConfig(config) {
+  if (!config) localStorage.removeItem(SETTINGS_KEY);
+  else localStorage.setItem(SETTINGS_KEY, JSON.stringify(config));
+}
+
+// ---------- shared HTTP handling ----------
+
+async function send(url, init) {
+  let res;
+  try {
+    res = await fetch(url, init);
+  } catch (e) {
+    return { ok: false, reason: "network", error: e.message, retryable: true };
+  }
+
+  let data = null;
+  try {
+    data = res.status === 204 ? {} : await res.json();
+  } catch {
+    // not JSON (e.g. a sign-in page); handled below
+  }
+
+  if (!res.ok) {
+    return {
+      ok: false,
+      reason: `http-${res.status}`,
+      error: data?.error || res.statusText || `HTTP ${res.status}`,
+      retryable: res.status >= 500 || res.status === 429 || res.status === 408,
+    };
+  }
+  if (!data) {
+    return { ok: false, reason: "bad-response", error: "Server did not reply with JSON", retryable: true };
+  }
+  return { ok: true, data };
+}
+
+const stripLocal = (record) => ({ ...record, synced: undefined, syncError: undefined, conflict: undefined });
+
+// ---------- Apps Script ----------
+
+// A text/plain POST is a "simple" CORS request (no preflight), and the script
+// answers with JSON: { ok: true, row, version } or { ok: false, error }.
+// See apps-script/Code.gs.
+export function createAppsScriptAdapter(endpoint) {
+  const post = async (payload) => {
+    const res = await send(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "text/plain;charset=utf-8" },
+      body: JSON.stringify(payload),
+      redirect: "follow",
+    });
+    if (!res.ok) return res;
+    // The script ran and refused the write; retrying the same payload won't help
+    if (!res.data.ok) {
+      return { ok: false, reason: "rejected", error: res.data.error || "Sheet rejected the change", retryable: false };
+    }
+    return { ok: true, row: res.data.row, rows: res.data.rows, version: res.data.version };
+  };
+
+  return {
+    kind: "apps-script",
+    remote: true,
+    endpoint,
+    // Read-only iCalendar feed of due dates, for calendar app subscriptions
+    calendarUrl: `${endpoint}?format=ics`,
+    async list(collection = "requests") {
+      const res = await send(`${endpoint}?method=GET&collection=${encodeURIComponent(collection)}`);
+      if (!res.ok) return res;
+      if (res.data.ok === false) return { ok: false, error: res.data.error || "Sheet error" };
+      if (!Array.isArray(res.data.rows)) return { ok: false, error: "Bad response" };
+      return { ok: true, rows: res.data.rows, version: res.data.version };
+    },
+    create: (record, collection = "requests") => post({ ...stripLocal(record), collection }),
+    update: (id, changes, updatedAt, collection = "requests") =>
+      post({ action: "update", collection, id, changes, updatedAt }),
+    remove: (id, collection = "requests") => post({ action: "delete", collection, id }),
+    attach: (id, attachment, collection = "requests") =>
+      post({ action: "attach", collection, id, attachment }),
+    comment: (id, comment, collection = "requests") => post({ action: "comment", collection, id, comment }),
+    batch: (updates, collection = "requests") => post({ action: "batch", collection, updates }),
+    createMany: (records, collection = "requests") =>
+      post({ action: "createMany", collection, records: records.map(stripLocal) }),
+    notify: (message) => post({ action: "notify", ...message }),
+  };
+}
+
+// ---------- generic REST / JSON ----------
+
+// GET    {endpoint}/{collection}       -> [rows] or { rows }
+// POST   {endpoint}/{collection}       -> row or { row, version }
+// PATCH  {endpoint}/{collection}/:id   -> row or { row, version }
+// DELETE {endpoint}/{collection}/:id
+// POST   {endpoint}/{collection}/:id/attachments -> row or { row }
+// POST   {endpoint}/{collection}/:id/comments    -> row or { row }
+// POST   {endpoint}/{collection}/batch  { updates: [{ id, changes, updatedAt }] } -> [rows] or { rows, version }
+// POST   {endpoint}/{collection}/bulk   { records: [row] } -> [rows] or { rows, version }
+// POST   {endpoint}/notify              { event, id, commentId } | { resend } | { event: "test" } -> { rows }
+export function createRestAdapter(endpoint) {
+  const root = endpoint.replace(/\/+$/, "");
+  const url = (collection, id) =>
+    `${root}/${collection}${id === undefined ? "" : `/${encodeURIComponent(id)}`}`;
+  const json = { "Content-Type": "application/json", Accept: "application/json" };
+
+  const unwrap = (res) => {
+    if (!res.ok) return res;
+    const row = res.data.row || res.data;
+    return { ok: true, row, version: res.data.version ?? row.version };
+  };
+
+  return {
+    kind: "rest",
+    remote: true,
+    endpoint,
+    async list(collection = "requests") {
+      const res = await send(url(collection), { headers: json });
+      if (!res.ok) return res;
+      const rows = Array.isArray(res.data) ? res.data : res.data.rows;
+      if (!Array.isArray(rows)) return { ok: false, error: "Bad response" };
+      return { ok: true, rows };
+    },
+    create: async (record, collection = "requests") =>
+      unwrap(
+        await send(url(collection), {
+          method: "POST",
+          headers: json,
+          body: JSON.stringify(stripLocal(record)),
+        })
+      ),
+    update: async (id, changes, updatedAt, collection = "requests") =>
+      unwrap(
+        await send(url(collection, id), {
+          method: "PATCH",
+          headers: json,
+          body: JSON.stringify({ ...changes, updatedAt }),
+        })
+      ),
+    async remove(id, collection = "requests") {
+      const res = await send(url(collection, id), { method: "DELETE", headers: json });
+      // Already gone is as good as deleted
+      if (!res.ok && res.reason === "http-404") return { ok: true };
+      return res.ok ? { ok: true } : res;
+    },
+    attach: async (id, attachment, collection = "requests") =>
+      unwrap(
+        await send(`${url(collection, id)}/attachments`, {
+          method: "POST",
+          headers: json,
+          body: JSON.stringify(attachment),
+        })
+      ),
+    comment: async (id, comment, collection = "requests") =>
+      unwrap(
+        await send(`${url(collection, id)}/comments`, {
+          method: "POST",
+          headers: json,
+          body: JSON.stringify(comment),
+        })
+      ),
+    async batch(updates, collection = "requests") {
+      const res = await send(`${url(collection)}/batch`, {
+        method: "POST",
+        headers: json,
+        body: JSON.stringify({ updates }),
+      });
+      if (!res.ok) return res;
+      const rows = Array.isArray(res.data) ? res.data : res.data.rows;
+      return { ok: true, rows: rows || [], version: res.data.version };
+    },
+    async notify(message) {
+      const res = await send(`${root}/notify`, { method: "POST", headers: json, body: JSON.stringify(message) });
+      if (!res.ok) return res;
+      return { ok: true, rows: res.data.rows || [] };
+    },
+    async createMany(records, collection = "requests") {
+      const res = await send(`${url(collection)}/bulk`, {
+        method: "POST",
+        headers: json,
+        body: JSON.stringify({ records: records.map(stripLocal) }),
+      });
+      if (!res.ok) return res;
+      const rows = Array.isArray(res.data) ? res.data : res.data.rows;
+      return { ok: true, rows: rows || [], version: res.data.version };
+    },
+  };
+}
+
+// ---------- this browser only ----------
+
+// The caches in localStorage are the store, so writes have nothing further to
+// do and there is never anything to sync. `cacheKeys` maps collection -> key.
+export function createLocalAdapter(cacheKeys) {
+  const done = (row) => Promise.resolve({ ok: true, row });
+  return {
+    kind: "local",
+    remote: false,
+    endpoint: "",
+    async list(collection = "requests") {
+      try {
+        const rows = JSON.parse(localStorage.getItem(cacheKeys[collection]) || "[]");
+        return { ok: true, rows: Array.isArray(rows) ? rows : [] };
+      } catch {
+        return { ok: true, rows: [] };
+      }
+    },
+    create: (record) => done(record),
+    update: () => done(undefined),
+    remove: () => done(null),
+    attach: () => done(undefined),
+    comment: () => done(undefined),
+    batch: () => Promise.resolve({ ok: true, rows: [] }),
+    createMany: (records) => Promise.resolve({ ok: true, rows: records }),
+  };
+}
+
+export function createAdapter(config, cacheKeys) {
+  if (config.adapter === "rest" && config.endpoint) return createRestAdapter(config.endpoint);
+  if (config.adapter === "apps-script" && config.endpoint) return createAppsScriptAdapter(config.endpoint);
+  return createLocalAdapter(cacheKeys);
+}
+
+// Replay one outbox op against whichever adapter is active
+export async function sendOp(adapter, op) {
+  const collection = op.collection || "requests";
+  if (op.type === "create") return adapter.create(op.payload, collection);
+  if (op.type === "update") {
+    return adapter.update(op.id, op.payload.changes, op.payload.updatedAt, collection);
+  }
+  if (op.type === "delete") return adapter.remove(op.id, collection);
+  if (op.type === "batch") return adapter.batch(op.payload.updates, collection);
+  if (op.type === "createMany") return adapter.createMany(op.payload.records, collection);
+  if (op.type === "comment") return adapter.comment(op.id, op.payload.comment, collection);
+  if (op.type === "notify") return adapter.notify({ ...op.payload, id: op.id });
+  if (op.type === "attach") {
+    // The file itself stays in IndexedDB until it's actually being sent
+    const { attachment } = op.payload;
+    const blob = await loadAttachmentBlob(attachment.id).catch(() => null);
+    if (!blob) {
+      return { ok: false, error: `${attachment.name} is no longer stored in this browser`, retryable: false };
+    }
+    return adapter.attach(op.id, { ...attachment, data: await blobToBase64(blob) }, collection);
+  }
+  return { ok: false, error: `Unknown op ${op.type}`, retryable: false };
+}
@@ -0,0 +1,225 @@
+// Moving requests in and out of the hub as CSV or JSON files: exports for
+// backups, imports (with column mapping and validation) from old spreadsheets.
+
+import { emptySpec, materials, normalizeSpec, specFields, supportOptions, validateSpec } from "./printSpec.js";
+
+export const csvColumns = [
+  "id",
+  "name",
+  "requesterEmail",
+  "requesterTeam",
+  "description",
+  "status",
+  "statusReason",
+  "priority",
+  "dueDate",
+  "createdAt",
+  "updatedAt",
+  "pinned",
+  "printerId",
+  "material",
+  "color",
+  "quantity",
+  "infill",
+  "layerHeight",
+  "supports",
+  "devNotes",
+];
+
+// Text starting with one of these opens as a formula in Excel and Sheets
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Requester-typed text is written with a leading ' (and quoted) so it stays text;
+// numbers are left alone. parseCsv takes the ' off again.
+const csvCell = (v) => {
+  const raw = v === null || v === undefined ? "" : typeof v === "object" ? JSON.stringify(v) : String(v);
+  const formula = typeof v !== "number" && FORMULA_START.test(raw);
+  const text = formula ? `'${raw}` : raw;
+  return formula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function toCsv(rows, columns = csvColumns) {
+  return [columns, ...rows.map((r) => columns.map((c) => r[c]))].map((line) => line.map(csvCell).join(",")).join("\r\n");
+}
+
+// Local bookkeeping that means nothing outside this browser
+const localFields = ["synced", "syncError", "conflict", "remoteUpdatedAt"];
+
+export function toJson(rows) {
+  const clean = rows.map((r) => Object.fromEntries(Object.entries(r).filter(([k]) => !localFields.includes(k))));
+  return JSON.stringify({ exportedAt: new Date().toISOString(), requests: clean }, null, 2);
+}
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += c;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+// { columns, rows } where rows are objects keyed by column name
+export function parseImportFile(name, text) {
+  if (name.toLowerCase().endsWith(".json")) {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data.requests;
+    if (!Array.isArray(rows)) throw new Error("JSON must be a list of requests or { requests: [...] }");
+    const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+    return { columns, rows };
+  }
+  const [header, ...lines] = parseCsv(text.replace(/^\uFEFF/, ""));
+  if (!header) throw new Error("The file is empty");
+  const columns = header.map((h) => h.trim());
+  const cell = (v = "") => (v[0] === "'" && FORMULA_START.test(v.slice(1)) ? v.slice(1) : v);
+  return { columns, rows: lines.map((l) => Object.fromEntries(columns.map((c, i) => [c, cell(l[i])]))) };
+}
+
+// Request fields an import can fill, with other names old sheets used for them
+export const importFields = [
+  { key: "id", label: "ID", aliases: ["uuid", "key"] },
+  { key: "name", label: "Name", aliases: ["title", "request", "requester", "part"], required: true },
+  { key: "requesterEmail", label: "Email", aliases: ["email", "e-mail", "requester email"] },
+  { key: "requesterTeam", label: "Team", aliases: ["team", "group", "department", "dept"] },
+  { key: "description", label: "Description", aliases: ["details", "notes from requester", "desc"] },
+  { key: "status", label: "Status", aliases: ["state"] },
+  { key: "priority", label: "Priority", aliases: ["urgency"] },
+  { key: "dueDate", label: "Due date", aliases: ["due", "deadline", "needed by"] },
+  { key: "createdAt", label: "Created", aliases: ["created", "submitted", "timestamp", "date"] },
+  { key: "devNotes", label: "Notes", aliases: ["dev notes", "notes", "comments"] },
+  { key: "pinned", label: "Pinned", aliases: [] },
+  { key: "material", label: "Material", aliases: ["filament"] },
+  { key: "color", label: "Color", aliases: ["colour"] },
+  { key: "quantity", label: "Quantity", aliases: ["qty", "copies", "count"] },
+  { key: "infill", label: "Infill", aliases: ["infill %"] },
+  { key: "layerHeight", label: "Layer height", aliases: ["layer"] },
+  { key: "supports", label: "Supports", aliases: ["support"] },
+];
+
+const simplify = (v) => String(v).toLowerCase().replace(/[^a-z0-9%]+/g, " ").trim();
+
+// field key -> source column ("" when nothing looks like it)
+export function guessMapping(columns) {
+  const used = new Set();
+  return Object.fromEntries(
+    importFields.map((f) => {
+      const names = [f.key, f.label, ...f.aliases].map(simplify);
+      const hit = columns.find((c) => !used.has(c) && names.includes(simplify(c)));
+      if (hit) used.add(hit);
+      return [f.key, hit || ""];
+    })
+  );
+}
+
+const pick = (list, value) => list.find((v) => v.toLowerCase() === String(value).trim().toLowerCase());
+
+const toIso = (v) => {
+  if (!v) return "";
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+};
+
+// Due dates are day stamps (UTC midnight, as the form stores them). ISO values keep
+// their day; anything else ("05/03/2024", "May 3, 2024") is read as a local date.
+const toDueIso = (v) => {
+  if (!v) return "";
+  const day = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(v).trim());
+  const d = day ? new Date(Date.UTC(day[1], day[2] - 1, day[3])) : new Date(v);
+  if (Number.isNaN(d.getTime())) return null;
+  return day ? d.toISOString() : new Date(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())).toISOString();
+};
+
+// Map and check each row: [{ record, errors: [], duplicate }]. `existingIds` are
+// ids already in the inbox; ids repeated inside the file count as errors.
+// With `passthrough` (JSON backups) columns that aren't mapped are kept as they
+// are, so attachments, estimates and the like survive a round trip.
+export function prepareImport(rows, mapping, { existingIds, statuses, priorities, passthrough = false }) {
+  const seen = new Set();
+  const mappedColumns = new Set(Object.values(mapping).filter(Boolean));
+  const fieldKeys = new Set(importFields.map((f) => f.key));
+  const extra = (row) =>
+    Object.fromEntries(
+      Object.entries(row).filter(([k]) => !mappedColumns.has(k) && !fieldKeys.has(k) && !localFields.includes(k))
+    );
+
+  return rows.map((row) => {
+    const value = (key) => (mapping[key] ? row[mapping[key]] : undefined);
+    const errors = [];
+    const record = passthrough ? extra(row) : {};
+    importFields.forEach((f) => {
+      const v = value(f.key);
+      if (v !== undefined && v !== "") record[f.key] = typeof v === "string" ? v.trim() : v;
+    });
+
+    if (!record.name) errors.push("Missing name");
+    if (record.status !== undefined) {
+      const status = pick(statuses, record.status);
+      if (status) record.status = status;
+      else errors.push(`Unknown status "${record.status}"`);
+    }
+    if (record.priority !== undefined) {
+      const priority = pick(priorities, record.priority);
+      if (priority) record.priority = priority;
+      else errors.push(`Unknown priority "${record.priority}"`);
+    }
+    for (const key of ["dueDate", "createdAt"]) {
+      if (record[key] === undefined) continue;
+      const iso = key === "dueDate" ? toDueIso(record[key]) : toIso(record[key]);
+      if (iso === null) errors.push(`Bad date "${record[key]}"`);
+      else record[key] = iso;
+    }
+    if (specFields.some((k) => record[k] !== undefined)) {
+      const spec = normalizeSpec({
+        ...emptySpec,
+        ...Object.fromEntries(specFields.filter((k) => record[k] !== undefined).map((k) => [k, record[k]])),
+        material: record.material === undefined ? emptySpec.material : pick(materials, record.material) || record.material,
+        supports: record.supports === undefined ? emptySpec.supports : pick(supportOptions, record.supports) || record.supports,
+        infill: record.infill === undefined ? emptySpec.infill : String(record.infill).replace("%", ""),
+      });
+      const specError = validateSpec(spec);
+      if (specError) errors.push(specError);
+      else Object.assign(record, spec);
+    }
+    if (record.pinned !== undefined) record.pinned = ["true", "yes", "1", "y", "x"].includes(simplify(record.pinned));
+    if (record.id !== undefined) {
+      record.id = String(record.id);
+      if (seen.has(record.id)) errors.push("ID appears twice in the file");
+      seen.add(record.id);
+    }
+
+    return { record, errors, duplicate: !!record.id && existingIds.has(record.id) };
+  });
+}
+
+export function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// e.g. "print-requests-2026-10-19.csv"
+export const datedName = (base, ext) => `${base}-${new Date().toISOString().slice(0, 10)}.${ext}`;
@@ -0,0 +1,21 @@
+// Soft delete. Deleting a request only stamps `deletedAt`, which syncs like any
+// other field; trashed requests are hidden everywhere except the Trash panel and
+// purged for good after the retention period or when the trash is emptied.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY = 24 * 3600 * 1000;
+
+export const isTrashed = (r) => !!r.deletedAt;
+
+export function purgeAt(r) {
+  return new Date(new Date(r.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY);
+}
+
+export function expiredTrash(reqs, now = new Date()) {
+  return reqs.filter((r) => isTrashed(r) && purgeAt(r) <= now);
+}
+
+export function daysLeft(r, now = new Date()) {
+  return Math.max(0, Math.ceil((purgeAt(r) - now) / DAY));
+}
@@ -0,0 +1,70 @@
+// What the inbox is showing, kept in the query string so a link reopens the same
+// filtered view (and the open request), plus named views saved in this browser:
+//   ?q=priority:Urgent&status=New&priority=All&sort=due&mine=1&view=board&request=<id>
+// Defaults are left out so plain links stay short.
+
+export const SAVED_VIEWS_KEY = "print-inbox-saved-views-v1";
+
+export const defaultViewState = { q: "", status: "All", priority: "All", sort: "newest", mine: "" };
+
+const params = {
+  q: "q",
+  status: "status",
+  priority: "priority",
+  sort: "sort",
+  mine: "mine",
+  view: "view",
+  request: "request",
+};
+
+// Values that aren't in the allowed lists fall back to the defaults
+export function readUrlState(search, { statuses, priorities, sorts, views }) {
+  const p = new URLSearchParams(search);
+  const oneOf = (list, key) => (list.includes(p.get(key)) ? p.get(key) : defaultViewState[key]);
+  return {
+    q: p.get(params.q) || "",
+    status: oneOf(["All", ...statuses], "status"),
+    priority: oneOf(["All", ...priorities], "priority"),
+    sort: oneOf(sorts, "sort"),
+    mine: p.get(params.mine) === "1" ? "1" : "",
+    view: views.includes(p.get(params.view)) ? p.get(params.view) : "",
+    request: p.get(params.request) || "",
+  };
+}
+
+export function queryString(state) {
+  const p = new URLSearchParams();
+  Object.entries(params).forEach(([key, name]) => {
+    const value = state[key];
+    if (value && value !== defaultViewState[key]) p.set(name, value);
+  });
+  const text = p.toString();
+  return text ? `?${text}` : "";
+}
+
+// Replaces the current history entry; the hash and path are left alone
+export function writeUrlState(state) {
+  const url = `${window.location.pathname}${queryString(state)}${window.location.hash}`;
+  if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(null, "", url);
+  }
+}
+
+// Offered until the first view is saved or removed
+export const starterViews = [
+  { id: "urgent", name: "Urgent", state: { q: "priority:Urgent -done -archived" } },
+  { id: "due-this-week", name: "Due this week", state: { q: "due:<7d -done -archived", sort: "due" } },
+];
+
+export function loadSavedViews() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY));
+    return Array.isArray(saved) ? saved : starterViews;
+  } catch {
+    return starterViews;
+  }
+}
+
+export function saveSavedViews(list) {
+  localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(list));
+}